@@ -0,0 +1,121 @@
+/**
+ * Alertes avant le début des events (« World Boss dans 5 min »).
+ * - state.alertRules : [{ id, type, minutesBefore, sound, enabled }] par chaîne
+ * - une alerte part quand nowMs entre dans la fenêtre [début - minutesBefore, début[
+ *   d'une occurrence de la timeline (lib/events.mjs)
+ * - clé d'alerte `<type>@<startTs>-T<minutes>` : mémorisée côté serveur (data/channels/<id>/alerts)
+ *   pour qu'un redémarrage ou un refresh ne la rejoue pas
+ *
+ * Fonctions pures (nowMs en paramètre) : testables avec une horloge simulée.
+ */
+
+import { EVENT_TYPES } from "./events.mjs";
+
+export const DEFAULT_ALERT_RULES = [
+    { type: "world_boss", minutesBefore: 5, sound: true, enabled: true },
+    { type: "world_boss", minutesBefore: 1, sound: true, enabled: true }
+];
+
+// Au-delà, l'occurrence n'est souvent pas encore dans la timeline (horizon de quelques heures)
+const MAX_MINUTES_BEFORE = 120;
+
+// Clés d'alertes gardées encore 1h après le début de l'event, puis oubliées
+const FIRED_RETENTION_MS = 60 * 60_000;
+
+const TITLES = { world_boss: "World Boss", legion: "Légion", helltide: "Helltide" };
+
+/**
+ * Règle nettoyée ; lève une erreur explicite si le type ou le délai est invalide.
+ */
+export function normalizeAlertRule(raw) {
+    const src = raw && typeof raw === "object" ? raw : {};
+    const type = String(src.type ?? "").trim();
+    if (!EVENT_TYPES.includes(type)) throw new Error(`Type d'event inconnu : "${type}" (${EVENT_TYPES.join(", ")})`);
+    const minutesBefore = Math.trunc(Number(src.minutesBefore));
+    if (!(minutesBefore >= 1 && minutesBefore <= MAX_MINUTES_BEFORE)) {
+        throw new Error(`Délai d'alerte invalide : "${src.minutesBefore}" (1 à ${MAX_MINUTES_BEFORE} minutes)`);
+    }
+    return {
+        id: `${type}-${minutesBefore}`,
+        type,
+        minutesBefore,
+        sound: src.sound !== false,
+        enabled: src.enabled !== false
+    };
+}
+
+/**
+ * Garantit state.alertRules : règles par défaut si absentes, règles illisibles ou en double ignorées,
+ * triées par type puis délai décroissant (T-5 avant T-1).
+ */
+export function normalizeAlertRules(state) {
+    if (!state || typeof state !== "object") state = {};
+    const rawRules = Array.isArray(state.alertRules) ? state.alertRules : DEFAULT_ALERT_RULES;
+    const rules = [];
+    for (const raw of rawRules) {
+        try {
+            const rule = normalizeAlertRule(raw);
+            if (!rules.some((r) => r.id === rule.id)) rules.push(rule);
+        } catch {
+            // règle illisible : ignorée
+        }
+    }
+    rules.sort((a, b) => EVENT_TYPES.indexOf(a.type) - EVENT_TYPES.indexOf(b.type) || b.minutesBefore - a.minutesBefore);
+    state.alertRules = rules;
+    return state;
+}
+
+export function alertKey(evt, rule) {
+    return `${evt.type}@${evt.startTs}-T${rule.minutesBefore}`;
+}
+
+// Texte du bandeau : "World Boss: Ashava dans 5 min — Fractured Peaks"
+export function alertText(evt, nowMs) {
+    const minutes = Math.max(1, Math.ceil((evt.startTs * 1000 - nowMs) / 60_000));
+    const title = evt.title || TITLES[evt.type] || evt.type;
+    return `${title} dans ${minutes} min${evt.zone ? ` — ${evt.zone}` : ""}`;
+}
+
+/**
+ * Alertes à envoyer maintenant.
+ * fired : { <clé>: startTs } des alertes déjà parties.
+ * Si plusieurs règles d'une même occurrence sont dues en même temps (serveur coupé pendant T-5,
+ * relancé à T-2), seule la plus proche du début part ; les autres sont marquées comme envoyées.
+ * Renvoie { alerts, fired } : fired = { <clé>: startTs } des alertes à mémoriser.
+ */
+export function dueAlerts(rules, timeline, nowMs, fired = {}) {
+    const alerts = [];
+    const newlyFired = {};
+    for (const evt of Array.isArray(timeline) ? timeline : []) {
+        const startMs = Number(evt?.startTs) * 1000;
+        if (!Number.isFinite(startMs) || startMs <= nowMs) continue;
+        const due = (rules || [])
+            .filter((rule) => rule.enabled && rule.type === evt.type)
+            .filter((rule) => startMs - rule.minutesBefore * 60_000 <= nowMs && !(alertKey(evt, rule) in fired))
+            .sort((a, b) => a.minutesBefore - b.minutesBefore);
+        if (!due.length) continue;
+        for (const rule of due) newlyFired[alertKey(evt, rule)] = evt.startTs;
+        const rule = due[0];
+        alerts.push({
+            id: alertKey(evt, rule),
+            type: evt.type,
+            title: evt.title || TITLES[evt.type] || evt.type,
+            zone: evt.zone || "",
+            startTs: evt.startTs,
+            minutesBefore: rule.minutesBefore,
+            sound: rule.sound,
+            text: alertText(evt, nowMs),
+            ...(evt.estimated ? { estimated: true } : {})
+        });
+    }
+    return { alerts, fired: newlyFired };
+}
+
+// Mémoire des alertes envoyées, sans les events commencés depuis plus d'une heure
+export function pruneFiredAlerts(fired, nowMs) {
+    const out = {};
+    for (const [key, startTs] of Object.entries(fired && typeof fired === "object" ? fired : {})) {
+        if (Number(startTs) * 1000 + FIRED_RETENTION_MS > nowMs) out[key] = Number(startTs);
+    }
+    return out;
+}
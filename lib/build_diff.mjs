@@ -0,0 +1,93 @@
+/**
+ * Comparaison entre une build enregistrée et sa version re-téléchargée (re-sync).
+ * Produit une liste de changements lisibles pour la page config :
+ * { kind, slot, from, to, label }
+ */
+
+function change(kind, slot, from, to, label) {
+    return { kind, slot: slot || "", from: from || "", to: to || "", label };
+}
+
+function bySlot(gear) {
+    const map = new Map();
+    for (const g of gear || []) if (g?.slot) map.set(g.slot, g);
+    return map;
+}
+
+function diffGear(before, after) {
+    const out = [];
+    const a = bySlot(before);
+    const b = bySlot(after);
+    for (const slot of new Set([...a.keys(), ...b.keys()])) {
+        const from = a.get(slot);
+        const to = b.get(slot);
+        if (!to) {
+            out.push(change("item", slot, from.item, "", `${slot} : ${from.item || from.aspect} retiré`));
+            continue;
+        }
+        if (!from) {
+            out.push(change("item", slot, "", to.item, `${slot} : ${to.item || to.aspect} ajouté`));
+            continue;
+        }
+        if ((from.item || "") !== (to.item || "")) {
+            out.push(change("item", slot, from.item, to.item, `${slot} : ${from.item || "—"} → ${to.item || "—"}`));
+        }
+        if ((from.aspect || "") !== (to.aspect || "")) {
+            out.push(change("aspect", slot, from.aspect, to.aspect, `Aspect (${slot}) : ${from.aspect || "—"} → ${to.aspect || "—"}`));
+        }
+        const affixesFrom = (from.affixes || []).join(", ");
+        const affixesTo = (to.affixes || []).join(", ");
+        if (affixesFrom !== affixesTo) {
+            out.push(change("affixes", slot, affixesFrom, affixesTo, `Affixes (${slot}) modifiés`));
+        }
+        const tempersFrom = (from.tempers || []).join(", ");
+        const tempersTo = (to.tempers || []).join(", ");
+        if (tempersFrom !== tempersTo) {
+            out.push(change("tempers", slot, tempersFrom, tempersTo, `Tempers (${slot}) modifiés`));
+        }
+    }
+    return out;
+}
+
+function diffNames(kind, labelAdded, labelRemoved, before, after) {
+    const a = new Set(before);
+    const b = new Set(after);
+    return [
+        ...[...b].filter((x) => !a.has(x)).map((x) => change(kind, "", "", x, `${labelAdded} : ${x}`)),
+        ...[...a].filter((x) => !b.has(x)).map((x) => change(kind, "", x, "", `${labelRemoved} : ${x}`))
+    ];
+}
+
+/**
+ * Liste des différences entre stored (build enregistrée) et fresh (build re-importée).
+ * Liste vide = rien n'a changé côté source.
+ */
+export function diffBuilds(stored, fresh) {
+    const out = [];
+    if ((stored?.title || "") !== (fresh?.title || "")) {
+        out.push(change("title", "", stored?.title, fresh?.title, `Titre : ${stored?.title || "—"} → ${fresh?.title || "—"}`));
+    }
+    if ((stored?.updatedOn || "") !== (fresh?.updatedOn || "")) {
+        out.push(change("updatedOn", "", stored?.updatedOn, fresh?.updatedOn, `Mis à jour le : ${stored?.updatedOn || "—"} → ${fresh?.updatedOn || "—"}`));
+    }
+    out.push(...diffGear(stored?.gear, fresh?.gear));
+    out.push(
+        ...diffNames(
+            "skill",
+            "Compétence ajoutée",
+            "Compétence retirée",
+            (stored?.skills || []).map((s) => s.name),
+            (fresh?.skills || []).map((s) => s.name)
+        )
+    );
+    out.push(
+        ...diffNames(
+            "paragon",
+            "Parangon ajouté",
+            "Parangon retiré",
+            (stored?.paragon || []).map((p) => `${p.board}${p.glyph ? ` (${p.glyph})` : ""}`),
+            (fresh?.paragon || []).map((p) => `${p.board}${p.glyph ? ` (${p.glyph})` : ""}`)
+        )
+    );
+    return out;
+}
@@ -0,0 +1,153 @@
+/**
+ * Modèle de build commun à tous les imports (Mobalytics, puis les autres sources).
+ *
+ * {
+ *   source, title, author, updatedOn, url,     // méta affichées dans l'overlay
+ *   class, season,                              // ex : "Barbarian", "Season 11"
+ *   skills:  [{ name, slot }],                  // barre de compétences (slot = position 1..6 si connue)
+ *   gear:    [{ slot, item, rarity, aspect, affixes: string[], tempers: string[] }],
+ *   gems:    string[],
+ *   paragon: [{ board, glyph }],
+ *   highlights: [{ slot, item, rarity, aspect }], // carte "Stuff" de l'overlay (éditable à la main)
+ *   highlightsCustom,                           // true si les highlights ont été édités (gardés au re-sync)
+ *   lastSyncedAt,                               // dernier re-sync avec la source (ISO)
+ *   unresolved: string[],                       // identifiants de jeu sans nom lisible dans la source (Maxroll)
+ *   pendingUpdate: { fetchedAt, build, changes } | null   // re-sync en attente de validation
+ * }
+ */
+
+const str = (value) => (value === null || value === undefined ? "" : String(value).trim());
+
+const strList = (value) => (Array.isArray(value) ? value.map(str).filter(Boolean) : []);
+
+function normalizeGearEntry(entry) {
+    return {
+        slot: str(entry?.slot),
+        item: str(entry?.item),
+        rarity: str(entry?.rarity).toLowerCase(),
+        aspect: str(entry?.aspect),
+        affixes: strList(entry?.affixes),
+        tempers: strList(entry?.tempers)
+    };
+}
+
+/**
+ * URL canonique d'une build pour repérer les doublons : sans query, sans "/" final,
+ * hôte en minuscules sans "www.". Le fragment est gardé (#2 = 2e profil d'un planner Maxroll).
+ */
+export function canonicalBuildUrl(url) {
+    const raw = str(url);
+    if (!raw) return "";
+    try {
+        const u = new URL(raw);
+        const host = u.host.toLowerCase().replace(/^www\./, "");
+        const pathname = u.pathname.replace(/\/+$/, "");
+        return `${u.protocol}//${host}${pathname}${u.hash}`;
+    } catch {
+        return raw.replace(/[?].*$/, "").replace(/\/+$/, "");
+    }
+}
+
+// Index de la première build ayant la même URL canonique (-1 si aucune)
+export function findBuildByUrl(builds, url) {
+    const canonical = canonicalBuildUrl(url);
+    if (!canonical) return -1;
+    return (builds || []).findIndex((b) => canonicalBuildUrl(b?.url) === canonical);
+}
+
+/**
+ * Remplace une build par une version plus récente de même URL sans perdre ce que l'utilisateur a saisi :
+ * une carte Stuff éditée à la main (highlightsCustom) est reprise si la nouvelle version n'en a pas.
+ */
+export function mergeDuplicateBuild(previous, next) {
+    if (!previous?.highlightsCustom || next?.highlightsCustom) return next;
+    return { ...next, highlights: previous.highlights, highlightsCustom: true };
+}
+
+/**
+ * Fusionne les builds de même URL canonique. La version la plus récente (la dernière de la liste)
+ * prend la place de la première occurrence (champs édités à la main conservés, voir mergeDuplicateBuild).
+ * currentIndex est recalé sur la build équivalente.
+ */
+export function dedupeBuilds(builds, currentIndex) {
+    const list = Array.isArray(builds) ? builds : [];
+    const firstByUrl = new Map();
+    const keptIndex = []; // ancien index -> nouvel index
+    const out = [];
+    list.forEach((b, i) => {
+        const key = canonicalBuildUrl(b?.url);
+        if (key && firstByUrl.has(key)) {
+            const target = firstByUrl.get(key);
+            out[target] = mergeDuplicateBuild(out[target], b);
+            keptIndex[i] = target;
+            return;
+        }
+        if (key) firstByUrl.set(key, out.length);
+        keptIndex[i] = out.length;
+        out.push(b);
+    });
+    return {
+        builds: out,
+        currentIndex: keptIndex[currentIndex] ?? 0,
+        removed: list.length - out.length
+    };
+}
+
+export const HIGHLIGHT_RARITIES = ["legendary", "unique", "mythic"];
+
+// Une ligne de la carte Stuff. Accepte l'ancien format texte "Slot: Item".
+function normalizeHighlight(entry) {
+    if (typeof entry === "string") {
+        const m = entry.match(/^([^:]+):\s*(.*)$/);
+        return { slot: str(m ? m[1] : ""), item: str(m ? m[2] : entry), rarity: "", aspect: "" };
+    }
+    const rarity = str(entry?.rarity).toLowerCase();
+    return {
+        slot: str(entry?.slot),
+        item: str(entry?.item),
+        rarity: HIGHLIGHT_RARITIES.includes(rarity) ? rarity : "",
+        aspect: str(entry?.aspect)
+    };
+}
+
+export function normalizeHighlights(list) {
+    return (Array.isArray(list) ? list : []).map(normalizeHighlight).filter((h) => h.slot || h.item || h.aspect);
+}
+
+// Highlights par défaut : un par slot de stuff importé
+export function gearHighlights(gear) {
+    return normalizeHighlights(
+        (gear || [])
+            .filter((g) => g.slot && (g.item || g.aspect))
+            .map((g) => ({ slot: g.slot, item: g.item, rarity: g.rarity, aspect: g.aspect }))
+    );
+}
+
+/**
+ * Normalise une build (import ou saisie) : chaque champ existe avec le bon type.
+ */
+export function normalizeBuild(raw) {
+    const gear = Array.isArray(raw?.gear) ? raw.gear.map(normalizeGearEntry).filter((g) => g.slot) : [];
+    return {
+        source: str(raw?.source) || "manual",
+        title: str(raw?.title),
+        author: str(raw?.author),
+        updatedOn: str(raw?.updatedOn),
+        url: str(raw?.url),
+        class: str(raw?.class),
+        season: str(raw?.season),
+        skills: Array.isArray(raw?.skills)
+            ? raw.skills.map((s) => ({ name: str(s?.name), slot: str(s?.slot) })).filter((s) => s.name)
+            : [],
+        gear,
+        gems: strList(raw?.gems),
+        paragon: Array.isArray(raw?.paragon)
+            ? raw.paragon.map((p) => ({ board: str(p?.board), glyph: str(p?.glyph) })).filter((p) => p.board)
+            : [],
+        highlights: Array.isArray(raw?.highlights) ? normalizeHighlights(raw.highlights) : gearHighlights(gear),
+        highlightsCustom: raw?.highlightsCustom === true,
+        lastSyncedAt: str(raw?.lastSyncedAt),
+        unresolved: strList(raw?.unresolved),
+        pendingUpdate: raw?.pendingUpdate && typeof raw.pendingUpdate === "object" ? raw.pendingUpdate : null
+    };
+}
@@ -0,0 +1,191 @@
+/**
+ * Commandes du bot de chat Twitch (réponses calculées depuis l'état de la chaîne, voir channelView).
+ * - lecture, pour tout le monde : !build, !builds, !wb, !events, !objectifs, !<compteur> (!deaths, !uniques...)
+ * - modos / broadcaster : !<compteur>+ / !<compteur>- (!death+), comme POST /counters/<nom>/inc|dec
+ *
+ * Cooldowns par commande et par chaîne (secondes), clés : build, builds, wb, events, objectifs,
+ * counter (lecture d'un compteur), mod (+ / - sur un compteur).
+ * Fonctions pures (nowMs en paramètre) : testables sans client IRC ; createChatHandler les branche
+ * sur le serveur (état, permissions, compteurs) par injection.
+ */
+
+export const DEFAULT_CHAT_COOLDOWNS = {
+    build: 30,
+    builds: 60,
+    wb: 30,
+    events: 30,
+    objectifs: 30,
+    counter: 15,
+    // Court : absorbe deux modos qui comptent la même mort
+    mod: 3
+};
+
+// Twitch coupe les messages au-delà de 500 caractères
+const MAX_MESSAGE = 450;
+const MAX_LISTED_BUILDS = 8;
+const MAX_LISTED_EVENTS = 4;
+
+// Raccourcis au singulier (!death+ -> compteur deaths)
+const COUNTER_ALIASES = { death: "deaths", unique: "uniques" };
+
+const READ_COMMANDS = ["build", "builds", "wb", "events", "objectifs"];
+
+/**
+ * "!build" -> { command: "build", cooldown: "build" } ;
+ * "!death+" -> { command: "counter", name: "deaths", op: "inc", cooldown: "mod" } ;
+ * "!uniques" -> { command: "counter", name: "uniques", op: null, cooldown: "counter" } ; null si ce n'est pas une commande.
+ * Le nom de compteur n'est pas vérifié ici (les compteurs sont personnalisables).
+ */
+export function parseChatCommand(text) {
+    const match = String(text ?? "").trim().match(/^!([a-z0-9_-]+?)([+-])?(?:\s|$)/i);
+    if (!match) return null;
+    const word = match[1].toLowerCase();
+    const sign = match[2];
+    if (!sign && READ_COMMANDS.includes(word)) return { command: word, cooldown: word };
+    const name = COUNTER_ALIASES[word] ?? word;
+    if (!sign) return { command: "counter", name, op: null, cooldown: "counter" };
+    return { command: "counter", name, op: sign === "+" ? "inc" : "dec", cooldown: "mod" };
+}
+
+// "build=10,wb=60" (variable d'environnement) -> cooldowns par défaut surchargés ; clés inconnues ignorées
+export function parseChatCooldowns(raw) {
+    const cooldowns = { ...DEFAULT_CHAT_COOLDOWNS };
+    for (const part of String(raw ?? "").split(",")) {
+        const [key, value] = part.split("=").map((s) => s.trim());
+        const seconds = Number(value);
+        if (key in cooldowns && value !== "" && Number.isFinite(seconds) && seconds >= 0) cooldowns[key] = seconds;
+    }
+    return cooldowns;
+}
+
+/**
+ * Prend le cooldown d'une commande : true si elle peut répondre (et mémorise nowMs), false si trop tôt.
+ * lastUsed : Map clé -> dernier usage (ms), tenue par l'appelant.
+ */
+export function takeCooldown(lastUsed, key, seconds, nowMs) {
+    const last = lastUsed.get(key);
+    if (last !== undefined && nowMs - last < seconds * 1000) return false;
+    lastUsed.set(key, nowMs);
+    return true;
+}
+
+// Rôle d'un message IRC (tags IRCv3 de Twitch) : broadcaster, moderator ou viewer
+export function chatRole(tags, login, channelLogin) {
+    const badges = String(tags?.badges ?? "");
+    if (login === channelLogin || /(^|,)broadcaster\//.test(badges)) return "broadcaster";
+    if (tags?.mod === "1" || /(^|,)moderator\//.test(badges)) return "moderator";
+    return "viewer";
+}
+
+function clip(text) {
+    return text.length > MAX_MESSAGE ? `${text.slice(0, MAX_MESSAGE - 1)}…` : text;
+}
+
+// "☠️ Morts : 4 / 10" (icône et objectif du compteur s'il y en a)
+export function counterText(def, value) {
+    const label = `${def.icon ? `${def.icon} ` : ""}${def.label || def.name}`;
+    return `${label} : ${value}${def.target ? ` / ${def.target}` : ""}`;
+}
+
+function buildText(view) {
+    const build = view.build;
+    if (!build || !build.url) return build?.title ? `Build actuelle : ${build.title}` : "Aucune build affichée pour le moment.";
+    return `Build actuelle : ${build.title || "sans titre"} — ${build.url}`;
+}
+
+function buildsText(view) {
+    const builds = Array.isArray(view.builds) ? view.builds.filter((b) => b.url || b.title) : [];
+    if (!builds.length) return "Aucune build dans la bibliothèque.";
+    const list = builds.slice(0, MAX_LISTED_BUILDS).map((b, i) => `${i + 1}. ${b.title || b.url}`);
+    const more = builds.length > MAX_LISTED_BUILDS ? ` (+${builds.length - MAX_LISTED_BUILDS})` : "";
+    return `Builds (${builds.length}) : ${list.join(" | ")}${more} — lien de la build affichée : !build`;
+}
+
+// "Légion dans 12 min (14:05 UTC) — Kehjistan" ou "Helltide en cours, encore 40 min"
+function eventText(evt, nowSec) {
+    const zone = evt.zone ? ` — ${evt.zone}` : "";
+    const estimated = evt.estimated ? " (horaire estimé)" : "";
+    if (evt.startTs <= nowSec) {
+        const left = Math.max(1, Math.ceil((evt.endTs - nowSec) / 60));
+        return `${evt.title} en cours, encore ${left} min${zone}${estimated}`;
+    }
+    const minutes = Math.max(1, Math.ceil((evt.startTs - nowSec) / 60));
+    const at = new Date(evt.startTs * 1000).toISOString().slice(11, 16);
+    return `${evt.title} dans ${minutes} min (${at} UTC)${zone}${estimated}`;
+}
+
+// Prochain World Boss (ou en cours) d'après la timeline, sinon events.nextWorldBoss
+function worldBossText(view, nowMs) {
+    const nowSec = nowMs / 1000;
+    const boss = (view.timeline || []).find((e) => e.type === "world_boss" && (e.endTs ?? e.startTs) > nowSec)
+        ?? view.events?.nextWorldBoss;
+    if (!boss || (boss.endTs ?? boss.startTs) <= nowSec) return "Pas de World Boss connu pour le moment.";
+    return eventText(boss, nowSec);
+}
+
+// Prochaines occurrences de la timeline (tous types), en cours d'abord
+function eventsText(view, nowMs) {
+    const nowSec = nowMs / 1000;
+    const upcoming = (view.timeline || []).filter((e) => (e.endTs ?? e.startTs) > nowSec).slice(0, MAX_LISTED_EVENTS);
+    if (!upcoming.length) return "Pas d'event connu pour le moment.";
+    return `Events : ${upcoming.map((e) => eventText(e, nowSec)).join(" · ")}`;
+}
+
+function objectivesText(view) {
+    const objectives = Array.isArray(view.objectives) ? view.objectives : [];
+    if (!objectives.length) return "Pas d'objectif pour ce stream.";
+    const list = objectives.map((o) => `${o.done ? "✅" : "⬜"} ${o.text}${o.progress ? ` ${o.progress.current}/${o.progress.target}` : ""}`);
+    return `Objectifs : ${list.join(" · ")}`;
+}
+
+/**
+ * Réponse à une commande de lecture, ou null si elle ne s'applique pas (compteur inconnu).
+ * view : état complet de la chaîne (channelView).
+ */
+export function chatReply(command, view, nowMs) {
+    let text = null;
+    if (command.command === "build") text = buildText(view);
+    else if (command.command === "builds") text = buildsText(view);
+    else if (command.command === "wb") text = worldBossText(view, nowMs);
+    else if (command.command === "events") text = eventsText(view, nowMs);
+    else if (command.command === "objectifs") text = objectivesText(view);
+    else if (command.command === "counter") {
+        const def = (view.counterDefs || []).find((d) => d.name === command.name);
+        if (def) text = counterText(def, view.counters?.[def.name] ?? 0);
+    }
+    return text === null ? null : clip(text);
+}
+
+/**
+ * onMessage du bot (createChatBot) : commande -> réponse dans le chat, cooldowns et permissions compris.
+ * - channels : Map login de la chaîne -> channel_id de l'état servi
+ * - readView(channelId) : état complet de la chaîne (channelView)
+ * - canEdit(channelId, role) : le rôle a-t-il counters.edit sur cette chaîne
+ * - updateCounter(channelId, name, op) : nouvelle valeur (diffusion comprise), null si compteur inconnu
+ * - say(channel, text) : envoi dans le chat ; cooldowns : parseChatCooldowns ; now : horloge (tests)
+ */
+export function createChatHandler({ channels, readView, canEdit, updateCounter, say, cooldowns = DEFAULT_CHAT_COOLDOWNS, now = Date.now }) {
+    // "<login>:<commande>" -> dernier usage (ms)
+    const lastUsed = new Map();
+
+    return async function handleChatMessage({ channel, login, tags, text }) {
+        const command = parseChatCommand(text);
+        const channelId = channels.get(channel);
+        if (!command || !channelId) return;
+        const key = `${channel}:${command.command === "counter" ? `${command.name}${command.op ?? ""}` : command.command}`;
+
+        if (command.op) {
+            if (!canEdit(channelId, chatRole(tags, login, channel))) return;
+            if (!takeCooldown(lastUsed, key, cooldowns.mod, now())) return;
+            const value = await updateCounter(channelId, command.name, command.op);
+            if (value === null) return;
+            const def = (readView(channelId).counterDefs || []).find((d) => d.name === command.name);
+            say(channel, counterText(def ?? { name: command.name }, value));
+            return;
+        }
+
+        const reply = chatReply(command, readView(channelId), now());
+        if (!reply || !takeCooldown(lastUsed, key, cooldowns[command.cooldown], now())) return;
+        say(channel, reply);
+    };
+}
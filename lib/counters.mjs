@@ -0,0 +1,93 @@
+/**
+ * Compteurs définis par le broadcaster (morts, uniques, « Mythiques 0/5 », pit clears…).
+ * - state.counterDefs : [{ name, label, icon, target }] dans l'ordre d'affichage
+ * - state.counters : { <name>: valeur } (forme historique, lue par les macros et les anciens fronts)
+ *
+ * `name` est la clé stable utilisée dans les routes (/counters/<name>/inc) : un renommage ne
+ * change que le libellé, pour ne pas casser les macros Stream Deck.
+ */
+
+export const DEFAULT_COUNTERS = [
+    { name: "deaths", label: "Morts", icon: "💀", target: null },
+    { name: "uniques", label: "Uniques", icon: "✨", target: null }
+];
+
+export const COUNTER_OPS = ["inc", "dec", "set", "reset"];
+
+const NAME_RE = /^[a-z0-9_-]{1,32}$/;
+
+// Clé dérivée d'un libellé : "Pit clears" -> "pit-clears"
+export function counterSlug(text) {
+    return String(text ?? "")
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase()
+        .replace(/[^a-z0-9_-]+/g, "-")
+        .replace(/^-+|-+$/g, "")
+        .slice(0, 32);
+}
+
+// Valeur entière >= 0, sinon null
+export function parseCounterValue(raw) {
+    if (raw === null || raw === undefined || raw === "") return null;
+    const n = Number(raw);
+    return Number.isFinite(n) && n >= 0 ? Math.trunc(n) : null;
+}
+
+/**
+ * Définition de compteur nettoyée ; lève une erreur explicite si le nom ou le libellé manque.
+ * `base` : définition existante (mise à jour partielle).
+ */
+export function normalizeCounterDef(raw, base = {}) {
+    const src = raw && typeof raw === "object" ? raw : {};
+    const label = String(src.label ?? base.label ?? "").trim().slice(0, 40);
+    const name = base.name || String(src.name ?? "").trim().toLowerCase() || counterSlug(label);
+    if (!label) throw new Error("Libellé de compteur requis");
+    if (!NAME_RE.test(name)) throw new Error(`Nom de compteur invalide : "${name}" (a-z, 0-9, - et _, 32 caractères max)`);
+    const target = "target" in src ? parseCounterValue(src.target) : (base.target ?? null);
+    return {
+        name,
+        label,
+        icon: String(src.icon ?? base.icon ?? "").trim().slice(0, 8),
+        target: target > 0 ? target : null
+    };
+}
+
+/**
+ * Garantit counterDefs + counters cohérents (remplace l'ancien ensureCounters) :
+ * un state sans définitions reçoit les compteurs par défaut, chaque définition a une valeur.
+ */
+export function normalizeCounters(state) {
+    if (!state || typeof state !== "object") state = {};
+    const values = state.counters && typeof state.counters === "object" ? state.counters : {};
+    const rawDefs = Array.isArray(state.counterDefs) ? state.counterDefs : DEFAULT_COUNTERS;
+
+    const defs = [];
+    for (const raw of rawDefs) {
+        try {
+            const def = normalizeCounterDef(raw);
+            if (!defs.some((d) => d.name === def.name)) defs.push(def);
+        } catch {
+            // définition illisible : ignorée
+        }
+    }
+
+    state.counterDefs = defs;
+    state.counters = Object.fromEntries(defs.map((d) => [d.name, parseCounterValue(values[d.name]) ?? 0]));
+    return state;
+}
+
+/**
+ * Applique inc / dec / set / reset sur un compteur du state (déjà normalisé).
+ * Renvoie la nouvelle valeur, ou null si le compteur n'existe pas.
+ */
+export function applyCounterOp(state, name, op, value) {
+    if (!(name in state.counters)) return null;
+    const current = state.counters[name];
+    if (op === "inc") state.counters[name] = current + 1;
+    else if (op === "dec") state.counters[name] = Math.max(current - 1, 0);
+    else if (op === "set") state.counters[name] = parseCounterValue(value) ?? current;
+    else if (op === "reset") state.counters[name] = 0;
+    else throw new Error(`Opération de compteur inconnue : "${op}"`);
+    return state.counters[name];
+}
@@ -0,0 +1,63 @@
+/**
+ * Planning de secours quand helltides.com ne répond pas (panne, rate-limit, redémarrage sans réseau).
+ *
+ * À partir du dernier planning valide :
+ * - les occurrences connues qui ne sont pas encore terminées sont gardées telles quelles ;
+ * - au-delà, chaque type est extrapolé depuis sa dernière heure de début connue (ancre)
+ *   avec l'intervalle de rotation du jeu. Ces occurrences portent estimated: true
+ *   (affichées « estimé » sur le panel).
+ *
+ * Fonctions pures (nowMs en paramètre) : testables avec une horloge simulée, sans réseau.
+ */
+
+import { EVENT_DURATIONS_MS, EVENT_TYPES, eventEndMs } from "./events.mjs";
+
+// Rotation des events (entre deux débuts)
+export const EVENT_INTERVALS_MS = {
+    world_boss: 210 * 60_000,
+    legion: 25 * 60_000,
+    helltide: 60 * 60_000
+};
+
+// Dernière heure de début connue par type (ms), null si le type est absent du planning
+export function scheduleAnchors(schedule) {
+    const anchors = {};
+    for (const type of EVENT_TYPES) {
+        const starts = (Array.isArray(schedule?.[type]) ? schedule[type] : [])
+            .map((item) => new Date(item?.startTime).getTime())
+            .filter(Number.isFinite);
+        anchors[type] = starts.length ? Math.max(...starts) : null;
+    }
+    return anchors;
+}
+
+/**
+ * Débuts extrapolés après l'ancre (ancre + k * intervalle, k >= 1) pour les occurrences
+ * pas encore terminées à nowMs et qui démarrent au plus tard à untilMs.
+ */
+export function predictStarts(anchorMs, intervalMs, durationMs, nowMs, untilMs) {
+    if (!Number.isFinite(anchorMs) || !(intervalMs > 0)) return [];
+    const firstK = Math.max(1, Math.floor((nowMs - durationMs - anchorMs) / intervalMs) + 1);
+    const starts = [];
+    for (let k = firstK; anchorMs + k * intervalMs <= untilMs; k++) {
+        starts.push(anchorMs + k * intervalMs);
+    }
+    return starts;
+}
+
+/**
+ * Planning au format de l'API (world_boss / legion / helltide) reconstruit depuis le dernier
+ * planning valide : occurrences connues encore utiles + extrapolation jusqu'à nowMs + horizonMs.
+ */
+export function fallbackSchedule(lastSchedule, nowMs, horizonMs) {
+    const anchors = scheduleAnchors(lastSchedule);
+    const schedule = {};
+    for (const type of EVENT_TYPES) {
+        const known = (Array.isArray(lastSchedule?.[type]) ? lastSchedule[type] : [])
+            .filter((item) => eventEndMs(item, type) > nowMs);
+        const predicted = predictStarts(anchors[type], EVENT_INTERVALS_MS[type], EVENT_DURATIONS_MS[type], nowMs, nowMs + horizonMs)
+            .map((startMs) => ({ startTime: new Date(startMs).toISOString(), estimated: true }));
+        schedule[type] = [...known, ...predicted];
+    }
+    return schedule;
+}
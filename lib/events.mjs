@@ -0,0 +1,142 @@
+/**
+ * Planning des events Diablo 4 (helltides.com/api/schedule) mis en forme pour l'overlay.
+ * - events : World Boss / Légion / Helltide en cours, sinon le prochain (clés nextX historiques)
+ * - timeline : occurrences en cours et des prochaines heures, triées par heure de début
+ *
+ * Chaque event porte son début et sa fin (endTime du planning, sinon durée par défaut du type)
+ * et un statut "active" / "upcoming" calculé à nowMs.
+ *
+ * Les fonctions prennent nowMs : testables sans réseau ni horloge réelle.
+ */
+
+export const HELLTIDES_SCHEDULE_URL = "https://helltides.com/api/schedule";
+
+export const EVENT_TYPES = ["world_boss", "legion", "helltide"];
+
+// Durées par défaut quand le planning ne donne pas de fin
+export const EVENT_DURATIONS_MS = {
+    world_boss: 15 * 60_000,
+    legion: 5 * 60_000,
+    helltide: 55 * 60_000
+};
+
+// Taille de la timeline dans la version compacte (PubSub, limite 5 Ko)
+const COMPACT_TIMELINE_MAX = 8;
+
+export function toUnixSeconds(dateIsoOrDate) {
+    const d = typeof dateIsoOrDate === "string" ? new Date(dateIsoOrDate) : dateIsoOrDate;
+    return Math.floor(d.getTime() / 1000);
+}
+
+export function pickNextByStartTime(items, nowMs) {
+    if (!Array.isArray(items)) return null;
+    const next = items
+        .map((x) => ({ ...x, startMs: new Date(x.startTime).getTime() }))
+        .filter((x) => Number.isFinite(x.startMs) && x.startMs > nowMs)
+        .sort((a, b) => a.startMs - b.startMs)[0];
+
+    return next ?? null;
+}
+
+// Fin d'un event : endTime du planning s'il est cohérent, sinon début + durée par défaut du type
+export function eventEndMs(evt, type, startMs = new Date(evt?.startTime).getTime()) {
+    const endMs = new Date(evt?.endTime ?? evt?.end_time ?? NaN).getTime();
+    if (Number.isFinite(endMs) && endMs > startMs) return endMs;
+    return startMs + (EVENT_DURATIONS_MS[type] ?? 0);
+}
+
+// Event en cours (début passé, fin à venir), sinon le prochain à démarrer
+export function pickCurrentOrNext(items, type, nowMs) {
+    if (!Array.isArray(items)) return null;
+    const active = items
+        .map((x) => ({ ...x, startMs: new Date(x.startTime).getTime() }))
+        .filter((x) => Number.isFinite(x.startMs) && x.startMs <= nowMs && eventEndMs(x, type, x.startMs) > nowMs)
+        .sort((a, b) => b.startMs - a.startMs)[0];
+    return active ?? pickNextByStartTime(items, nowMs);
+}
+
+// Durée restante lisible : "23:14", "1:02:03"
+export function formatRemaining(ms) {
+    const total = Math.max(0, Math.floor(ms / 1000));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const sec = String(total % 60).padStart(2, "0");
+    return h > 0 ? `${h}:${String(m).padStart(2, "0")}:${sec}` : `${m}:${sec}`;
+}
+
+// Zones d'un event (zone[] de l'API), séparées par des virgules
+function zoneNames(evt) {
+    if (!Array.isArray(evt.zone)) return "";
+    return evt.zone.map((z) => z?.name).filter(Boolean).join(", ");
+}
+
+export function formatEventForOverlay(evt, type, nowMs = Date.now()) {
+    if (!evt) return null;
+
+    let base = null;
+    if (type === "world_boss") {
+        // D’après l’API : boss + zone[] présents sur world_boss
+        base = {
+            type: "world_boss",
+            title: evt.boss ? `World Boss: ${evt.boss}` : "World Boss",
+            zone: evt.zone?.[0]?.name ?? ""
+        };
+    } else if (type === "legion") {
+        base = { type: "legion", title: "Légion", zone: zoneNames(evt) };
+    } else if (type === "helltide") {
+        base = { type: "helltide", title: "Helltide", zone: zoneNames(evt) };
+    }
+    if (!base) return null;
+
+    const startMs = new Date(evt.startTime).getTime();
+    const endMs = eventEndMs(evt, type, startMs);
+    const active = startMs <= nowMs && nowMs < endMs;
+    return {
+        ...base,
+        startTime: evt.startTime,
+        startTs: toUnixSeconds(evt.startTime),
+        endTime: new Date(endMs).toISOString(),
+        endTs: Math.floor(endMs / 1000),
+        status: active ? "active" : "upcoming",
+        // Texte figé au moment du refresh ; le panel le recalcule chaque seconde
+        statusText: active ? `En cours — ${formatRemaining(endMs - nowMs)} restant` : "À venir",
+        // Occurrence extrapolée (planning de secours, voir event_predictor.mjs)
+        ...(evt.estimated ? { estimated: true } : {})
+    };
+}
+
+// Occurrences en cours ou qui démarrent dans l'horizon (jusqu'à nowMs + horizonMs), triées
+export function buildTimeline(schedule, nowMs, horizonMs) {
+    const timeline = [];
+    for (const type of EVENT_TYPES) {
+        const items = Array.isArray(schedule?.[type]) ? schedule[type] : [];
+        for (const item of items) {
+            const startMs = new Date(item?.startTime).getTime();
+            if (!Number.isFinite(startMs) || eventEndMs(item, type, startMs) <= nowMs || startMs > nowMs + horizonMs) continue;
+            timeline.push(formatEventForOverlay(item, type, nowMs));
+        }
+    }
+    return timeline.sort((a, b) => a.startTs - b.startTs);
+}
+
+// Planning tel que stocké (data/events.json) et servi au front
+export function eventsSnapshot(schedule, nowMs, { horizonMs }) {
+    return {
+        nowIso: new Date(nowMs).toISOString(),
+        events: {
+            nextWorldBoss: formatEventForOverlay(pickCurrentOrNext(schedule?.world_boss, "world_boss", nowMs), "world_boss", nowMs),
+            nextLegion: formatEventForOverlay(pickCurrentOrNext(schedule?.legion, "legion", nowMs), "legion", nowMs),
+            nextHelltide: formatEventForOverlay(pickCurrentOrNext(schedule?.helltide, "helltide", nowMs), "helltide", nowMs)
+        },
+        timeline: buildTimeline(schedule, nowMs, horizonMs)
+    };
+}
+
+// Timeline réduite pour PubSub : occurrences pas encore terminées, champs utiles au panel seulement
+export function compactTimeline(timeline, nowMs) {
+    if (!Array.isArray(timeline)) return [];
+    return timeline
+        .filter((evt) => (evt.endTs ?? evt.startTs) * 1000 > nowMs)
+        .slice(0, COMPACT_TIMELINE_MAX)
+        .map(({ type, title, zone, startTs, endTs, estimated }) => ({ type, title, zone, startTs, endTs, ...(estimated ? { estimated } : {}) }));
+}
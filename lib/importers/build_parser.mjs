@@ -0,0 +1,136 @@
+/**
+ * Lecture générique d'une build dans les données JSON embarquées d'une page (Mobalytics, d4builds...).
+ * On cherche le nœud qui ressemble à une build (stuff + compétences ou parangon) puis on le convertit
+ * vers le modèle commun. Les noms de champs varient d'un site à l'autre : chaque lecture
+ * essaie plusieurs clés connues.
+ */
+
+import { load } from "cheerio";
+import { normalizeBuild } from "../build_model.mjs";
+import { collectApolloRefs, deref, extractEmbeddedJson, formatUpdatedOn, pick, walkJson } from "./embedded_json.mjs";
+
+const SKILL_KEYS = ["skillBar", "skills", "activeSkills", "skillTree"];
+const GEAR_KEYS = ["gear", "equipment", "gearSlots", "items"];
+const PARAGON_KEYS = ["paragon", "paragonBoards", "boards"];
+
+// Nom affichable d'une valeur : chaîne directe ou objet { name | title | label | displayName }
+export function nameOf(value, refs) {
+    const v = deref(value, refs);
+    if (v === null || v === undefined) return "";
+    if (typeof v !== "object") return String(v).trim();
+    const n = pick(v, ["name", "title", "label", "displayName", "slug"]);
+    return typeof n === "object" ? nameOf(n, refs) : String(n ?? "").trim();
+}
+
+// Tableau ou dictionnaire { clé: valeur } -> tableau d'entrées (la clé sert de slot par défaut)
+export function entriesOf(value, refs) {
+    const v = deref(value, refs);
+    if (Array.isArray(v)) return v.map((x) => deref(x, refs)).filter(Boolean);
+    if (v && typeof v === "object") {
+        return Object.entries(v)
+            .filter(([k]) => k !== "__typename")
+            .map(([slot, x]) => {
+                const entry = deref(x, refs);
+                return entry && typeof entry === "object" ? { slot, ...entry } : { slot, item: entry };
+            });
+    }
+    return [];
+}
+
+function looksLikeBuild(node) {
+    const has = (keys) => keys.some((k) => node[k] !== undefined && node[k] !== null);
+    return has(GEAR_KEYS) && (has(SKILL_KEYS) || has(PARAGON_KEYS));
+}
+
+function parseGear(value, refs) {
+    return entriesOf(value, refs).map((e) => {
+        const itemObj = deref(pick(e, ["item", "unique", "equipment"]), refs);
+        const aspect = nameOf(pick(e, ["aspect", "legendaryAspect", "legendaryPower"]), refs);
+        const rarityRaw = nameOf(pick(itemObj, ["rarity", "quality"]), refs) || nameOf(pick(e, ["rarity", "quality"]), refs);
+        return {
+            slot: nameOf(pick(e, ["slot", "slotName", "slotType", "type"]), refs),
+            item: nameOf(itemObj, refs) || nameOf(pick(e, ["itemName", "name"]), refs),
+            rarity: rarityRaw || (aspect ? "legendary" : ""),
+            aspect,
+            affixes: entriesOf(pick(e, ["affixes", "stats", "attributes"]), refs).map((a) => nameOf(a, refs)),
+            tempers: entriesOf(pick(e, ["tempers", "temperings", "tempering"]), refs).map((t) => nameOf(t, refs))
+        };
+    });
+}
+
+function parseSkills(value, refs) {
+    return entriesOf(value, refs).map((s, i) => ({
+        name: nameOf(pick(s, ["skill"]) ?? s, refs),
+        slot: String(pick(s, ["slot", "position", "index"]) ?? i + 1)
+    }));
+}
+
+function parseParagon(value, refs) {
+    const v = deref(value, refs);
+    const boards = v && !Array.isArray(v) && v.boards ? v.boards : v;
+    return entriesOf(boards, refs).map((b) => ({
+        board: nameOf(pick(b, ["board"]) ?? b, refs),
+        glyph: nameOf(pick(b, ["glyph"]), refs)
+    }));
+}
+
+// Retire les préfixes doublés par le fil d'Ariane ("Diablo 4Diablo 4 Barbarian ..." -> "Diablo 4 Barbarian ...").
+// Seulement un doublon collé (pas d'espace entre les deux copies) suivi d'un espace : un titre qui répète
+// volontairement un mot ("Boom Boom Barbarian") est gardé tel quel.
+export function cleanTitle(title) {
+    return String(title || "").replace(/\s+/g, " ").replace(/^(\S.{1,38}\S)\1(?= |$)/, "$1").trim();
+}
+
+// "11" -> "Season 11" ; sinon on tente de lire la saison dans le titre
+export function seasonLabel(raw, title) {
+    const s = String(raw ?? "").trim();
+    if (s) return /^\d+$/.test(s) ? `Season ${s}` : s;
+    return String(title || "").match(/Season \d+/i)?.[0] ?? "";
+}
+
+// Une build sans compétences ni stuff reconnu = structure de page non comprise : on refuse
+export function assertUsableBuild(build, label) {
+    if (!build.title || (!build.skills.length && !build.gear.some((g) => g.item || g.aspect))) {
+        throw new Error(`${label} : build incomplète (ni compétences ni stuff reconnus), import annulé`);
+    }
+    return build;
+}
+
+/**
+ * Parse le HTML d'une page de build (séparé du fetch pour pouvoir tester hors ligne).
+ * label sert aux messages d'erreur ("Mobalytics", "d4builds"...).
+ */
+export function parseEmbeddedBuild(html, { source, label, url }) {
+    const embedded = extractEmbeddedJson(html);
+    const roots = Object.values(embedded);
+    if (!roots.length) {
+        throw new Error(`${label} : aucune donnée JSON embarquée dans la page (mise en page modifiée ?)`);
+    }
+    const refs = collectApolloRefs(roots);
+    const node = walkJson(roots, looksLikeBuild, refs);
+    if (!node) {
+        throw new Error(`${label} : build introuvable dans les données de la page (mise en page modifiée ?)`);
+    }
+
+    const $ = load(html);
+    const title = cleanTitle(
+        nameOf(pick(node, ["name", "title"]), refs) ||
+            $('meta[property="og:title"]').attr("content") ||
+            $("h1").first().text()
+    );
+
+    const build = normalizeBuild({
+        source,
+        title,
+        author: nameOf(pick(node, ["author", "creator", "user"]), refs),
+        updatedOn: formatUpdatedOn(pick(node, ["updatedAt", "updatedOn", "modifiedAt", "lastUpdated", "publishedAt"])),
+        url,
+        class: nameOf(pick(node, ["class", "className", "heroClass", "characterClass"]), refs),
+        season: seasonLabel(nameOf(pick(node, ["season"]), refs), title),
+        skills: parseSkills(pick(node, SKILL_KEYS), refs),
+        gear: parseGear(pick(node, GEAR_KEYS), refs),
+        gems: entriesOf(pick(node, ["gems", "jewels"]), refs).map((g) => nameOf(g, refs)),
+        paragon: parseParagon(pick(node, PARAGON_KEYS), refs)
+    });
+    return assertUsableBuild(build, label);
+}
@@ -0,0 +1,19 @@
+/**
+ * Import d4builds.gg (page /builds/<id>).
+ * Même principe que Mobalytics : la page Next.js embarque la build dans __NEXT_DATA__.
+ */
+
+import { parseEmbeddedBuild } from "./build_parser.mjs";
+import { fetchPage } from "./fetch_page.mjs";
+
+export function matchesD4Builds(url) {
+    return /^https:\/\/(www\.)?d4builds\.gg\/builds\/[^/?#]+/i.test(url);
+}
+
+export function parseD4BuildsHtml(html, url) {
+    return parseEmbeddedBuild(html, { source: "d4builds", label: "d4builds", url });
+}
+
+export async function importFromD4Builds(url) {
+    return parseD4BuildsHtml(await fetchPage(url, "d4builds"), url);
+}
@@ -0,0 +1,128 @@
+/**
+ * Extraction des données JSON embarquées dans les pages des sites de builds
+ * (Next.js : <script id="__NEXT_DATA__">, Apollo / Redux : window.__APOLLO_STATE__ = {...}).
+ */
+
+import { load } from "cheerio";
+
+// Assignations globales connues : window.__XXX__ = { ... };
+const GLOBAL_ASSIGN_RE = /window\.(__[A-Z_]+__)\s*=\s*/g;
+
+// Lit un objet littéral JSON à partir de l'index d'une accolade ouvrante (compte les accolades hors chaînes)
+function sliceJsonObject(text, start) {
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    for (let i = start; i < text.length; i++) {
+        const c = text[i];
+        if (inString) {
+            if (escaped) escaped = false;
+            else if (c === "\\") escaped = true;
+            else if (c === '"') inString = false;
+            continue;
+        }
+        if (c === '"') inString = true;
+        else if (c === "{") depth++;
+        else if (c === "}") {
+            depth--;
+            if (depth === 0) return text.slice(start, i + 1);
+        }
+    }
+    return null;
+}
+
+/**
+ * Retourne { name -> objet } pour chaque bloc JSON trouvé dans la page.
+ * name = "__NEXT_DATA__", "__APOLLO_STATE__", "__PRELOADED_STATE__", ...
+ */
+export function extractEmbeddedJson(html) {
+    const $ = load(html);
+    const found = {};
+
+    $("script").each((_, node) => {
+        const id = $(node).attr("id");
+        const type = String($(node).attr("type") || "");
+        const text = $(node).html() || "";
+
+        if (id && type.includes("json")) {
+            try {
+                found[id] = JSON.parse(text);
+            } catch {
+                // bloc JSON invalide : ignoré, l'importeur échouera plus loin s'il en avait besoin
+            }
+            return;
+        }
+
+        for (const m of text.matchAll(GLOBAL_ASSIGN_RE)) {
+            const start = m.index + m[0].length;
+            if (text[start] !== "{") continue;
+            const raw = sliceJsonObject(text, start);
+            if (!raw) continue;
+            try {
+                found[m[1]] = JSON.parse(raw);
+            } catch {
+                // objet JS non JSON (undefined, fonctions...) : ignoré
+            }
+        }
+    });
+
+    return found;
+}
+
+/**
+ * Parcours en profondeur avec résolution des références Apollo ({ __ref: "Type:id" }).
+ * visit(node) retourne true pour arrêter le parcours.
+ */
+export function walkJson(root, visit, refs = {}) {
+    const seen = new Set();
+    const stack = [root];
+    while (stack.length) {
+        let node = stack.pop();
+        if (node && typeof node === "object" && typeof node.__ref === "string") node = refs[node.__ref];
+        if (!node || typeof node !== "object" || seen.has(node)) continue;
+        seen.add(node);
+        if (!Array.isArray(node) && visit(node)) return node;
+        const children = Array.isArray(node) ? node : Object.values(node);
+        for (let i = children.length - 1; i >= 0; i--) stack.push(children[i]);
+    }
+    return null;
+}
+
+/**
+ * Index des objets normalisés d'un cache Apollo : { "Type:id": objet }.
+ * Les caches sont repérés à leurs clés "Type:id" dont la valeur porte un __typename.
+ */
+export function collectApolloRefs(roots) {
+    const refs = {};
+    walkJson(roots, (node) => {
+        for (const [key, value] of Object.entries(node)) {
+            if (key.includes(":") && value && typeof value === "object" && value.__typename) refs[key] = value;
+        }
+        return false;
+    });
+    return refs;
+}
+
+// Suit une référence Apollo si besoin
+export function deref(value, refs = {}) {
+    if (value && typeof value === "object" && typeof value.__ref === "string") return refs[value.__ref] ?? null;
+    return value;
+}
+
+// Premier champ non vide parmi plusieurs noms possibles
+export function pick(obj, keys) {
+    if (!obj || typeof obj !== "object") return undefined;
+    for (const key of keys) {
+        const v = obj[key];
+        if (v !== undefined && v !== null && v !== "") return v;
+    }
+    return undefined;
+}
+
+// "2025-12-27T10:00:00Z" -> "Dec 27, 2025" (format affiché jusqu'ici dans l'overlay)
+export function formatUpdatedOn(value) {
+    if (!value) return "";
+    const d = new Date(typeof value === "number" && value < 1e12 ? value * 1000 : value);
+    if (!Number.isFinite(d.getTime())) return String(value);
+    return d.toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric", timeZone: "UTC" });
+}
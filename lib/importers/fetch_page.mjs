@@ -0,0 +1,28 @@
+/**
+ * Téléchargement des pages / API des sites de builds (même User-Agent pour tous les importeurs).
+ */
+
+const USER_AGENT = "Mozilla/5.0 (overlay-local; +OBS)";
+// Délai max par page (réponse + corps) : un site qui ne répond pas ne bloque ni l'import ni un re-sync
+const FETCH_TIMEOUT_MS = 15_000;
+
+export async function fetchPage(url, label, { json = false, timeoutMs = FETCH_TIMEOUT_MS } = {}) {
+    try {
+        const res = await fetch(url, {
+            headers: {
+                "User-Agent": USER_AGENT,
+                Accept: json ? "application/json" : "text/html"
+            },
+            signal: AbortSignal.timeout(timeoutMs)
+        });
+
+        if (!res.ok) {
+            throw new Error(`${label} fetch failed: HTTP ${res.status}`);
+        }
+
+        return await (json ? res.json() : res.text());
+    } catch (e) {
+        if (e.name === "TimeoutError") throw new Error(`${label} : pas de réponse après ${Math.round(timeoutMs / 1000)} s`);
+        throw e;
+    }
+}
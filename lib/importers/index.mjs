@@ -0,0 +1,41 @@
+/**
+ * Registre des importeurs de builds : l'URL choisit l'importeur.
+ * Tous produisent le même modèle (lib/build_model.mjs).
+ * Pour ajouter un site : un module avec matchesXxx(url) + importFromXxx(url), puis une entrée ici.
+ */
+
+import { importFromD4Builds, matchesD4Builds } from "./d4builds.mjs";
+import { importFromMaxroll, matchesMaxroll } from "./maxroll.mjs";
+import { importFromMobalytics, matchesMobalytics } from "./mobalytics.mjs";
+
+const IMPORTERS = [
+    {
+        id: "mobalytics",
+        label: "Mobalytics",
+        example: "https://mobalytics.gg/diablo-4/builds/...",
+        matches: matchesMobalytics,
+        importBuild: importFromMobalytics
+    },
+    {
+        id: "maxroll",
+        label: "Maxroll (planner)",
+        example: "https://maxroll.gg/d4/planner/...",
+        matches: matchesMaxroll,
+        importBuild: importFromMaxroll
+    },
+    {
+        id: "d4builds",
+        label: "d4builds.gg",
+        example: "https://d4builds.gg/builds/...",
+        matches: matchesD4Builds,
+        importBuild: importFromD4Builds
+    }
+];
+
+export function findImporter(url) {
+    return IMPORTERS.find((imp) => imp.matches(url)) ?? null;
+}
+
+export function listImporters() {
+    return IMPORTERS.map(({ id, label, example }) => ({ id, label, example }));
+}
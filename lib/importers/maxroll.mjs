@@ -0,0 +1,138 @@
+/**
+ * Import Maxroll (liens du planner : https://maxroll.gg/d4/planner/<id>#<profil>).
+ * Le planner charge ses données via l'API profiles : un JSON dont le champ "data" contient
+ * les profils (stuff par slot, barre de compétences, parangon) et la liste des objets.
+ * Les objets sont référencés par identifiant de jeu ("Helm_Unique_Generic_001") : on affiche le nom
+ * fourni par le planner quand il y en a un, sinon le champ reste vide et l'identifiant est listé
+ * dans build.unresolved (pas de pseudo-nom fabriqué à partir de l'identifiant).
+ */
+
+import { normalizeBuild } from "../build_model.mjs";
+import { formatUpdatedOn, pick } from "./embedded_json.mjs";
+import { assertUsableBuild, cleanTitle, entriesOf, nameOf, seasonLabel } from "./build_parser.mjs";
+import { fetchPage } from "./fetch_page.mjs";
+
+const MAXROLL_PROFILE_API = "https://planners.maxroll.gg/profiles/d4/";
+
+const PLANNER_URL_RE = /^https:\/\/(www\.)?maxroll\.gg\/d4\/planner\/([A-Za-z0-9]+)(?:[/?#]|$)/i;
+
+// Identifiants de slots du planner
+const SLOT_NAMES = {
+    4: "Helm",
+    5: "Chest Armor",
+    6: "Off-Hand",
+    7: "Weapon",
+    8: "Two-Handed Weapon",
+    9: "Dual-Wield Weapon 1",
+    10: "Dual-Wield Weapon 2",
+    11: "Ranged Weapon",
+    12: "Gloves",
+    13: "Pants",
+    14: "Boots",
+    15: "Ring 1",
+    16: "Ring 2",
+    17: "Amulet"
+};
+
+export function matchesMaxroll(url) {
+    return PLANNER_URL_RE.test(url);
+}
+
+const NAME_KEYS = ["name", "displayName", "label", "title"];
+
+/**
+ * Nom lisible d'une valeur du planner ({ nid | id, name? } ou identifiant seul).
+ * Sans nom : "" et l'identifiant rejoint unresolved.
+ */
+function resolveName(value, unresolved) {
+    if (value === null || value === undefined || value === "") return "";
+    let id = value;
+    if (typeof value === "object") {
+        const name = pick(value, NAME_KEYS);
+        if (typeof name === "string" && name.trim()) return name.trim();
+        id = value.nid ?? value.id ?? value.skill ?? value.board ?? "";
+    }
+    id = String(id).trim();
+    if (id) unresolved.add(id);
+    return "";
+}
+
+function rarityFromId(id) {
+    if (/_Unique_/i.test(id)) return "unique";
+    if (/_Legendary_/i.test(id)) return "legendary";
+    return "";
+}
+
+// Profil choisi par l'ancre (#2 = 2e profil), sinon le premier
+function pickProfile(profiles, url) {
+    const list = Array.isArray(profiles) ? profiles : [];
+    const anchor = Number(String(url).split("#")[1]);
+    const idx = Number.isInteger(anchor) && anchor >= 1 && anchor <= list.length ? anchor - 1 : 0;
+    return list[idx] ?? null;
+}
+
+/**
+ * Convertit la réponse de l'API profiles en build (séparé du fetch pour pouvoir tester hors ligne).
+ */
+export function parseMaxrollProfile(payload, url) {
+    let data = payload?.data;
+    if (typeof data === "string") {
+        try {
+            data = JSON.parse(data);
+        } catch {
+            throw new Error("Maxroll : champ data illisible (format du planner modifié ?)");
+        }
+    }
+    const profile = pickProfile(data?.profiles, url);
+    if (!profile) throw new Error("Maxroll : aucun profil dans ce planner (format modifié ?)");
+
+    const unresolved = new Set();
+    const named = (value) => resolveName(value, unresolved);
+    const items = data.items || {};
+    const gear = Object.entries(profile.items || {}).map(([slotId, itemRef]) => {
+        const item = items[itemRef] || {};
+        const legendary = pick(item, ["legendaryPower", "aspect"]);
+        return {
+            slot: SLOT_NAMES[slotId] || `Slot ${slotId}`,
+            item: named(item),
+            rarity: rarityFromId(item.id) || (legendary ? "legendary" : ""),
+            aspect: named(legendary),
+            affixes: entriesOf(item.explicits).map(named).filter(Boolean),
+            tempers: entriesOf(item.tempered ?? item.tempers).map(named).filter(Boolean)
+        };
+    });
+
+    const paragonSteps = entriesOf(profile.paragon?.steps);
+    const lastStep = paragonSteps[paragonSteps.length - 1];
+    const paragon = entriesOf(lastStep?.data ?? profile.paragon?.boards).map((b) => ({
+        board: named(b.board && typeof b.board === "object" ? b.board : b),
+        glyph: named(b.glyph)
+    }));
+
+    const title = cleanTitle(nameOf(pick(payload, ["name"])) || profile.name || "Build (Maxroll)");
+    const build = normalizeBuild({
+        source: "maxroll",
+        title,
+        author: "",
+        updatedOn: formatUpdatedOn(payload?.date),
+        url,
+        class: nameOf(pick(payload, ["class"]) ?? data.class),
+        season: seasonLabel(data.season, title),
+        skills: entriesOf(profile.skillBar).map((s, i) => ({ name: named(s), slot: String(i + 1) })),
+        gear,
+        gems: entriesOf(profile.gems).map(named).filter(Boolean),
+        paragon,
+        unresolved: [...unresolved]
+    });
+    if (!build.skills.length && !build.gear.some((g) => g.item || g.aspect) && unresolved.size) {
+        throw new Error(`Maxroll : aucun nom lisible dans la réponse du planner (${unresolved.size} identifiants non résolus), import annulé`);
+    }
+    return assertUsableBuild(build, "Maxroll");
+}
+
+export async function importFromMaxroll(url) {
+    const id = url.match(PLANNER_URL_RE)?.[2];
+    if (!id) throw new Error("Maxroll : lien de planner invalide");
+    const payload = await fetchPage(`${MAXROLL_PROFILE_API}${id}`, "Maxroll", { json: true });
+    return parseMaxrollProfile(payload, url);
+}
@@ -0,0 +1,23 @@
+/**
+ * Import Mobalytics (page guide de build).
+ * Les pages embarquent l'état de l'app (cache Apollo / état préchargé) en JSON : on y cherche
+ * le nœud de build (compétences + stuff + parangon) plutôt que de scraper le texte visible.
+ * Si la structure n'est plus reconnue, l'import échoue avec un message explicite
+ * au lieu d'enregistrer une build vide ou incohérente.
+ */
+
+import { parseEmbeddedBuild } from "./build_parser.mjs";
+import { fetchPage } from "./fetch_page.mjs";
+
+export function matchesMobalytics(url) {
+    return /^https:\/\/mobalytics\.gg\/diablo-4\//i.test(url);
+}
+
+// Parse le HTML d'une page Mobalytics (séparé du fetch pour pouvoir tester hors ligne)
+export function parseMobalyticsHtml(html, url) {
+    return parseEmbeddedBuild(html, { source: "mobalytics", label: "Mobalytics", url });
+}
+
+export async function importFromMobalytics(url) {
+    return parseMobalyticsHtml(await fetchPage(url, "Mobalytics"), url);
+}
@@ -0,0 +1,47 @@
+/**
+ * Diff JSON au format JSON Patch (RFC 6902), restreint à add / remove / replace.
+ * - Objets : comparés clé par clé (récursif)
+ * - Tableaux de même longueur : comparés élément par élément ; longueur différente : remplacés en entier
+ *   (pas de décalage d'indices à rejouer côté client, le patch reste simple à appliquer)
+ * Chemins en JSON Pointer : "/counters/deaths", "/objectives/0/done" (~ -> ~0, / -> ~1).
+ */
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+export function escapePointer(key) {
+    return String(key).replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+function diffInto(ops, path, previous, next) {
+    if (previous === next) return;
+    if (isObject(previous) && isObject(next)) {
+        for (const key of Object.keys(previous)) {
+            if (!(key in next) || next[key] === undefined) {
+                if (previous[key] !== undefined) ops.push({ op: "remove", path: `${path}/${escapePointer(key)}` });
+            }
+        }
+        for (const [key, value] of Object.entries(next)) {
+            if (value === undefined) continue;
+            const childPath = `${path}/${escapePointer(key)}`;
+            if (!(key in previous) || previous[key] === undefined) ops.push({ op: "add", path: childPath, value });
+            else diffInto(ops, childPath, previous[key], value);
+        }
+        return;
+    }
+    if (Array.isArray(previous) && Array.isArray(next) && previous.length === next.length) {
+        next.forEach((value, i) => diffInto(ops, `${path}/${i}`, previous[i], value));
+        return;
+    }
+    // Scalaires différents, changement de type ou tableau redimensionné
+    if (JSON.stringify(previous) !== JSON.stringify(next)) ops.push({ op: "replace", path, value: next });
+}
+
+/**
+ * Opérations qui transforment previous en next ([] si identiques). Les deux documents doivent être du JSON
+ * (pas de Date, de Map... : ce qui est diffusé aux clients).
+ */
+export function diffJson(previous, next) {
+    const ops = [];
+    diffInto(ops, "", previous, next);
+    return ops;
+}
@@ -0,0 +1,161 @@
+/**
+ * Objectifs du stream.
+ * - state.objectives : [{ id, text, done, doneAt, progress }] dans l'ordre d'affichage
+ *   progress : { current, target } (« Donjons cauchemar 3/10 ») ou null
+ * - state.objectivesCollapseSec : délai avant de replier un objectif terminé sur le panel (0 = jamais)
+ *
+ * Les anciens états (string[]) sont convertis à la lecture : ids o1, o2... dans l'ordre, stables
+ * tant que la liste n'est pas réécrite.
+ * Les fonctions prennent nowMs pour rester testables sans horloge réelle.
+ */
+
+export const DEFAULT_OBJECTIVES = ["Objectif 1", "Objectif 2", "Objectif 3"];
+
+export const OBJECTIVE_OPS = ["toggle", "inc", "dec", "set"];
+
+export const DEFAULT_COLLAPSE_SEC = 60;
+
+const ID_RE = /^[a-z0-9_-]{1,24}$/;
+const MAX_TEXT = 120;
+const MAX_TARGET = 100_000;
+
+// Entier >= 0 borné, sinon null
+function parseCount(raw) {
+    if (raw === null || raw === undefined || raw === "") return null;
+    const n = Number(raw);
+    return Number.isFinite(n) && n >= 0 ? Math.min(Math.trunc(n), MAX_TARGET) : null;
+}
+
+// Ligne saisie à la main : "Donjons cauchemar 3/10" -> texte + progression (aucune sans "n/m")
+export function parseObjectiveLine(line) {
+    const text = String(line ?? "").trim();
+    const match = text.match(/^(.*\S)\s+(\d+)\s*\/\s*(\d+)$/);
+    if (!match) return { text, progress: null };
+    return { text: match[1], progress: { current: Number(match[2]), target: Number(match[3]) } };
+}
+
+// Inverse de parseObjectiveLine (zone de texte de la page config)
+export function objectiveToLine(objective) {
+    const { text, progress } = objective;
+    return progress ? `${text} ${progress.current}/${progress.target}` : text;
+}
+
+function normalizeProgress(raw) {
+    if (!raw || typeof raw !== "object") return null;
+    const target = parseCount(raw.target);
+    if (!(target > 0)) return null;
+    return { current: Math.min(parseCount(raw.current) ?? 0, target), target };
+}
+
+// Terminé / pas terminé, avec l'heure de complétion (base du repli sur le panel)
+function setDone(objective, done, nowMs) {
+    if (done && !objective.done) objective.doneAt = new Date(nowMs).toISOString();
+    if (!done) objective.doneAt = null;
+    objective.done = done;
+    return objective;
+}
+
+/**
+ * Objectif nettoyé ; lève une erreur explicite si le texte manque.
+ * raw : chaîne (ligne) ou { id?, text, done?, progress? } ; base : objectif existant (id, état gardés).
+ */
+export function normalizeObjective(raw, base = null, nowMs = Date.now()) {
+    const src = typeof raw === "string" ? parseObjectiveLine(raw) : raw && typeof raw === "object" ? raw : {};
+    const text = String(src.text ?? "").trim().slice(0, MAX_TEXT);
+    if (!text) throw new Error("Texte d'objectif requis");
+    const progress = "progress" in src ? normalizeProgress(src.progress) : (base?.progress ?? null);
+    const id = String(base?.id ?? src.id ?? "");
+    const objective = {
+        id: ID_RE.test(id) ? id : null,
+        text,
+        done: base?.done === true,
+        doneAt: base?.done === true ? (base.doneAt ?? null) : null,
+        progress
+    };
+    if (progress && (!base?.progress || base.progress.current !== progress.current || base.progress.target !== progress.target)) {
+        setDone(objective, progress.current >= progress.target, nowMs);
+    } else if (typeof src.done === "boolean") {
+        setDone(objective, src.done, nowMs);
+    }
+    return objective;
+}
+
+// Prochain id libre : o<max + 1>, jamais réutilisé tant que la liste contient le plus grand
+function nextObjectiveId(objectives) {
+    const max = objectives.reduce((m, o) => Math.max(m, Number(/^o(\d+)$/.exec(o.id)?.[1]) || 0), 0);
+    return `o${max + 1}`;
+}
+
+// Ids présents et uniques (objectifs nouveaux ou ids en double)
+function withIds(list) {
+    const out = [];
+    for (const objective of list) {
+        if (!objective.id || out.some((o) => o.id === objective.id)) objective.id = nextObjectiveId([...out, ...list]);
+        out.push(objective);
+    }
+    return out;
+}
+
+/**
+ * Garantit state.objectives au format structuré (remplace les anciens string[]) et
+ * state.objectivesCollapseSec.
+ */
+export function normalizeObjectives(state) {
+    if (!state || typeof state !== "object") state = {};
+    const raw = Array.isArray(state.objectives) ? state.objectives : DEFAULT_OBJECTIVES;
+    const list = [];
+    raw.forEach((item, i) => {
+        try {
+            // Objectif stocké : il sert de base à lui-même (id, état terminé conservés)
+            list.push(normalizeObjective(item, typeof item === "string" ? { id: `o${i + 1}` } : item));
+        } catch {
+            // objectif illisible : ignoré
+        }
+    });
+    state.objectives = withIds(list);
+    const collapse = parseCount(state.objectivesCollapseSec);
+    state.objectivesCollapseSec = collapse ?? DEFAULT_COLLAPSE_SEC;
+    return state;
+}
+
+/**
+ * Nouvelle liste envoyée en bloc (POST /objectives) : chaînes ou objets.
+ * Un objectif existant (même id, sinon même texte) garde son id et son état terminé.
+ */
+export function mergeObjectives(previous, rawList, nowMs) {
+    const unused = [...previous];
+    // Lignes vides ignorées (zone de texte de la page config)
+    const list = rawList.filter((raw) => typeof raw !== "string" || raw.trim()).map((raw) => {
+        const src = typeof raw === "string" ? parseObjectiveLine(raw) : raw && typeof raw === "object" ? raw : {};
+        const text = String(src.text ?? "").trim();
+        const index = unused.findIndex((o) => (src.id && o.id === src.id) || (!src.id && o.text === text));
+        const base = index >= 0 ? unused.splice(index, 1)[0] : null;
+        return normalizeObjective(raw, base, nowMs);
+    });
+    return withIds(list);
+}
+
+/**
+ * toggle (done optionnel pour forcer l'état) / inc / dec / set (value) sur un objectif.
+ * Renvoie l'objectif modifié, ou { error } si l'opération n'a pas de sens (progression absente).
+ */
+export function applyObjectiveOp(objective, op, value, nowMs) {
+    if (op === "toggle") return setDone(objective, typeof value === "boolean" ? value : !objective.done, nowMs);
+    if (!objective.progress) return { error: `L'objectif "${objective.text}" n'a pas de progression` };
+    const { progress } = objective;
+    if (op === "inc") progress.current = Math.min(progress.current + 1, progress.target);
+    else if (op === "dec") progress.current = Math.max(progress.current - 1, 0);
+    else if (op === "set") progress.current = Math.min(parseCount(value) ?? progress.current, progress.target);
+    else throw new Error(`Opération d'objectif inconnue : "${op}"`);
+    return setDone(objective, progress.current >= progress.target, nowMs);
+}
+
+// Déplace un objectif à la position index (bornée) ; false si l'id est inconnu
+export function moveObjective(objectives, id, index) {
+    const from = objectives.findIndex((o) => o.id === id);
+    if (from < 0) return false;
+    const [objective] = objectives.splice(from, 1);
+    const to = Math.min(Math.max(0, Math.trunc(Number(index)) || 0), objectives.length);
+    objectives.splice(to, 0, objective);
+    return true;
+}
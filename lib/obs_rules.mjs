@@ -0,0 +1,144 @@
+/**
+ * Règles OBS : un déclencheur (changement d'état de l'overlay) -> une action obs-websocket.
+ * Réglages par chaîne (data/channels/<id>/obs, hors du state diffusé : le mot de passe y est) :
+ * { enabled, host, port, password, rules: [{ id, trigger, counter, eventType, action, scene, source, durationSec, text, enabled }] }
+ *
+ * Déclencheurs :
+ * - counter_up : un compteur augmente (counter : nom, "deaths" par défaut)
+ * - alert : alerte d'event (eventType : world_boss / legion / helltide, vide = toutes)
+ * - build_change : la build affichée change
+ * Actions :
+ * - show_source : affiche la source `source` de la scène `scene` (scène en cours si vide) pendant durationSec
+ * - switch_scene : bascule sur la scène `scene`
+ * - set_text : remplace le texte de la source `source` par `text` ({build}, {url}, {counter}, {value}, {alert})
+ */
+
+import { EVENT_TYPES } from "./events.mjs";
+
+export const OBS_TRIGGERS = ["counter_up", "alert", "build_change"];
+export const OBS_ACTIONS = ["show_source", "switch_scene", "set_text"];
+
+export const DEFAULT_OBS_PORT = 4455;
+const DEFAULT_DURATION_SEC = 3;
+const MAX_DURATION_SEC = 600;
+const MAX_RULES = 30;
+const MAX_NAME = 100;
+
+const name = (raw) => String(raw ?? "").trim().slice(0, MAX_NAME);
+
+/**
+ * Règle nettoyée ; lève une erreur explicite si le déclencheur, l'action ou leurs paramètres manquent.
+ */
+export function normalizeObsRule(raw) {
+    const src = raw && typeof raw === "object" ? raw : {};
+    const trigger = String(src.trigger ?? "").trim();
+    if (!OBS_TRIGGERS.includes(trigger)) throw new Error(`Déclencheur OBS inconnu : "${trigger}" (${OBS_TRIGGERS.join(", ")})`);
+    const action = String(src.action ?? "").trim();
+    if (!OBS_ACTIONS.includes(action)) throw new Error(`Action OBS inconnue : "${action}" (${OBS_ACTIONS.join(", ")})`);
+
+    const rule = { trigger, action, enabled: src.enabled !== false };
+    if (trigger === "counter_up") rule.counter = name(src.counter) || "deaths";
+    if (trigger === "alert") {
+        const eventType = String(src.eventType ?? "").trim();
+        if (eventType && !EVENT_TYPES.includes(eventType)) throw new Error(`Type d'event inconnu : "${eventType}" (${EVENT_TYPES.join(", ")})`);
+        rule.eventType = eventType;
+    }
+
+    rule.scene = name(src.scene);
+    if (action === "switch_scene" && !rule.scene) throw new Error("Scène requise pour « changer de scène »");
+    if (action === "show_source" || action === "set_text") {
+        rule.source = name(src.source);
+        if (!rule.source) throw new Error("Source OBS requise");
+    }
+    if (action === "show_source") {
+        const duration = Number(src.durationSec ?? DEFAULT_DURATION_SEC);
+        if (!(duration > 0 && duration <= MAX_DURATION_SEC)) throw new Error(`Durée invalide : "${src.durationSec}" (1 à ${MAX_DURATION_SEC} s)`);
+        rule.durationSec = duration;
+    }
+    if (action === "set_text") rule.text = String(src.text ?? "").slice(0, 500) || "{build}";
+    return rule;
+}
+
+/**
+ * Réglages OBS nettoyés. password : undefined dans raw = garder celui de previous (la page config ne le relit jamais).
+ */
+export function normalizeObsSettings(raw, previous = {}) {
+    const src = raw && typeof raw === "object" ? raw : {};
+    const rules = Array.isArray(src.rules) ? src.rules : (previous.rules ?? []);
+    if (rules.length > MAX_RULES) throw new Error(`${rules.length} règles : ${MAX_RULES} maximum`);
+    const port = Math.trunc(Number(src.port ?? previous.port ?? DEFAULT_OBS_PORT));
+    if (!(port >= 1 && port <= 65535)) throw new Error(`Port OBS invalide : "${src.port}"`);
+    return {
+        enabled: (src.enabled ?? previous.enabled) === true,
+        host: name(src.host ?? previous.host) || "127.0.0.1",
+        port,
+        password: String(src.password ?? previous.password ?? ""),
+        rules: rules.map((rule, i) => ({ id: `r${i + 1}`, ...normalizeObsRule(rule) }))
+    };
+}
+
+// Version renvoyée à la page config : sans le mot de passe
+export function obsSettingsView(settings) {
+    const { password, ...rest } = normalizeObsSettings(settings || {});
+    return { ...rest, hasPassword: Boolean(password) };
+}
+
+/**
+ * Déclencheurs à partir de deux états successifs de la chaîne (channelView) : compteurs en hausse,
+ * build affichée différente. previous null (premier état vu) : rien.
+ */
+export function stateTriggers(previous, next) {
+    if (!previous) return [];
+    const triggers = [];
+    for (const [counter, value] of Object.entries(next.counters || {})) {
+        const before = previous.counters?.[counter];
+        if (typeof before === "number" && value > before) triggers.push({ trigger: "counter_up", counter, value });
+    }
+    const buildKey = (view) => `${view.build?.url ?? ""}|${view.build?.title ?? ""}`;
+    if (buildKey(previous) !== buildKey(next)) triggers.push({ trigger: "build_change", build: next.build || {} });
+    return triggers;
+}
+
+// Règles actives concernées par un déclencheur
+export function matchingRules(rules, event) {
+    return (rules || []).filter((rule) => {
+        if (!rule.enabled || rule.trigger !== event.trigger) return false;
+        if (rule.trigger === "counter_up") return rule.counter === event.counter;
+        if (rule.trigger === "alert") return !rule.eventType || rule.eventType === event.alert?.type;
+        return true;
+    });
+}
+
+// Texte d'une action set_text : {build}, {url}, {counter}, {value}, {alert}
+export function fillTemplate(template, event) {
+    const values = {
+        build: event.build?.title ?? "",
+        url: event.build?.url ?? "",
+        counter: event.counter ?? "",
+        value: event.value ?? "",
+        alert: event.alert?.text ?? ""
+    };
+    return String(template).replace(/\{(build|url|counter|value|alert)\}/g, (_, key) => String(values[key]));
+}
+
+/**
+ * Exécute l'action d'une règle. request(type, data) : requête obs-websocket (Promise de responseData).
+ * show_source : la source est masquée à nouveau après durationSec (sans attendre).
+ */
+export async function runObsRule(request, rule, event) {
+    if (rule.action === "switch_scene") {
+        await request("SetCurrentProgramScene", { sceneName: rule.scene });
+        return;
+    }
+    if (rule.action === "set_text") {
+        await request("SetInputSettings", { inputName: rule.source, inputSettings: { text: fillTemplate(rule.text, event) } });
+        return;
+    }
+    const sceneName = rule.scene || (await request("GetCurrentProgramScene")).currentProgramSceneName;
+    const { sceneItemId } = await request("GetSceneItemId", { sceneName, sourceName: rule.source });
+    await request("SetSceneItemEnabled", { sceneName, sceneItemId, sceneItemEnabled: true });
+    setTimeout(() => {
+        request("SetSceneItemEnabled", { sceneName, sceneItemId, sceneItemEnabled: false })
+            .catch((e) => console.warn(`[obs] masquage de "${rule.source}" KO:`, e.message));
+    }, rule.durationSec * 1000);
+}
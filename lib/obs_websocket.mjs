@@ -0,0 +1,203 @@
+/**
+ * Client obs-websocket v5 (OBS 28+, Outils > Paramètres du serveur WebSocket).
+ * - Hello (op 0) -> Identify (op 1, authentification sha256 si un mot de passe est demandé) -> Identified (op 2)
+ * - Requêtes (op 6) / réponses (op 7) corrélées par requestId, timeout de quelques secondes
+ * - Reconnexion avec un délai croissant (2s -> 60s) tant que le client n'est pas arrêté
+ * Aucun abonnement aux events OBS (eventSubscriptions: 0) : le serveur ne fait qu'envoyer des ordres.
+ * publicOnly : l'adresse est revérifiée à chaque connexion et la socket part vers l'adresse vérifiée elle-même
+ * (un hôte qui se résoudrait ensuite vers 127.0.0.1 ou 10.x par DNS rebinding est refusé).
+ */
+
+import crypto from "node:crypto";
+import dns, { lookup as dnsLookup } from "node:dns";
+import net from "node:net";
+import WebSocket from "ws";
+
+const RPC_VERSION = 1;
+const REQUEST_TIMEOUT_MS = 5_000;
+const MAX_BACKOFF_MS = 60_000;
+// Code de fermeture obs-websocket : mot de passe refusé
+const AUTH_FAILED_CODE = 4009;
+
+const sha256 = (text) => crypto.createHash("sha256").update(text).digest("base64");
+
+// Réponse au défi d'authentification : base64(sha256(base64(sha256(password + salt)) + challenge))
+export function obsAuthResponse(password, { salt, challenge }) {
+    return sha256(sha256(String(password) + salt) + challenge);
+}
+
+// Plages réservées (boucle locale, réseaux privés, lien local, CGNAT, multicast...) : jamais visées depuis un EBS partagé
+const PRIVATE_IPV4 = [
+    ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+    ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3]
+];
+
+const ipv4ToInt = (ip) => ip.split(".").reduce((acc, part) => acc * 256 + Number(part), 0);
+
+export function isPrivateAddress(address) {
+    let ip = String(address).toLowerCase();
+    if (ip.startsWith("::ffff:") && net.isIPv4(ip.slice(7))) ip = ip.slice(7);
+    if (net.isIPv4(ip)) {
+        const value = ipv4ToInt(ip);
+        return PRIVATE_IPV4.some(([base, bits]) => Math.floor(value / 2 ** (32 - bits)) === Math.floor(ipv4ToInt(base) / 2 ** (32 - bits)));
+    }
+    if (net.isIPv6(ip)) {
+        // ::, ::1, fc00::/7 (ULA), fe80::/10 (lien local), ff00::/8 (multicast)
+        return ip === "::" || ip === "::1" || /^f[cd]/.test(ip) || /^fe[89ab]/.test(ip) || ip.startsWith("ff");
+    }
+    return true;
+}
+
+const blockedHostError = (host, address) => new Error(`Hôte OBS refusé : "${host}" (${address}) est une adresse privée ou locale`);
+
+/**
+ * Vérifie qu'un hôte OBS désigne une adresse publique (toutes ses résolutions DNS).
+ * Lève une erreur explicite sinon : un EBS partagé ne doit pas ouvrir de connexions vers son réseau interne.
+ */
+export async function assertPublicObsHost(host) {
+    let addresses;
+    try {
+        addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+    } catch (e) {
+        throw new Error(`Hôte OBS introuvable : "${host}" (${e.code || e.message})`);
+    }
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) throw blockedHostError(host, blocked.address);
+}
+
+/**
+ * Fonction lookup de net.connect qui refuse toute résolution vers une adresse privée.
+ * La connexion utilise exactement l'adresse vérifiée ici, sans seconde résolution DNS.
+ */
+export function publicOnlyLookup(resolve = dnsLookup) {
+    return (hostname, options, callback) => {
+        resolve(hostname, { ...options, all: true }, (err, addresses) => {
+            if (err) return callback(err);
+            const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+            if (blocked) return callback(blockedHostError(hostname, blocked.address));
+            if (options.all) callback(null, addresses);
+            else callback(null, addresses[0].address, addresses[0].family);
+        });
+    };
+}
+
+export function createObsClient({ host, port, password = "", publicOnly = false }) {
+    const url = `ws://${host}:${port}`;
+    const lookup = publicOnly ? publicOnlyLookup() : undefined;
+    const pending = new Map(); // requestId -> { resolve, reject, timer }
+    let socket = null;
+    let identified = false;
+    let stopped = false;
+    let backoffMs = 2_000;
+    let reconnectTimer = null;
+    let nextId = 1;
+    // connecting / connected / auth_failed / disconnected (affiché sur la page config)
+    let status = "disconnected";
+    let lastError = "";
+
+    function failPending(message) {
+        for (const { reject, timer } of pending.values()) {
+            clearTimeout(timer);
+            reject(new Error(message));
+        }
+        pending.clear();
+    }
+
+    function scheduleReconnect() {
+        if (stopped || reconnectTimer) return;
+        reconnectTimer = setTimeout(() => {
+            reconnectTimer = null;
+            connect();
+        }, backoffMs);
+        backoffMs = Math.min(backoffMs * 2, MAX_BACKOFF_MS);
+    }
+
+    function handleMessage(raw) {
+        let msg;
+        try {
+            msg = JSON.parse(raw);
+        } catch {
+            return;
+        }
+        const { op, d = {} } = msg;
+        if (op === 0) {
+            const identify = { rpcVersion: RPC_VERSION, eventSubscriptions: 0 };
+            if (d.authentication) identify.authentication = obsAuthResponse(password, d.authentication);
+            socket.send(JSON.stringify({ op: 1, d: identify }));
+        } else if (op === 2) {
+            identified = true;
+            status = "connected";
+            lastError = "";
+            backoffMs = 2_000;
+            console.log(`[obs] connecté à ${url}`);
+        } else if (op === 7) {
+            const entry = pending.get(d.requestId);
+            if (!entry) return;
+            pending.delete(d.requestId);
+            clearTimeout(entry.timer);
+            if (d.requestStatus?.result) entry.resolve(d.responseData || {});
+            else entry.reject(new Error(`${d.requestType} : ${d.requestStatus?.comment || `code ${d.requestStatus?.code}`}`));
+        }
+    }
+
+    function connect() {
+        status = "connecting";
+        identified = false;
+        // Une IP littérale ne passe pas par lookup : vérifiée ici
+        if (publicOnly && net.isIP(host) && isPrivateAddress(host)) {
+            socket = null;
+            status = "disconnected";
+            lastError = blockedHostError(host, host).message;
+            scheduleReconnect();
+            return;
+        }
+        socket = new WebSocket(url, { lookup });
+        socket.on("message", (data) => handleMessage(String(data)));
+        socket.on("error", (e) => {
+            lastError = e.message;
+        });
+        socket.on("close", (code, reason) => {
+            identified = false;
+            failPending("Connexion OBS fermée");
+            if (code === AUTH_FAILED_CODE) {
+                status = "auth_failed";
+                lastError = "Mot de passe obs-websocket refusé";
+            } else {
+                status = "disconnected";
+                if (String(reason)) lastError = String(reason);
+            }
+            if (!stopped) console.warn(`[obs] déconnecté de ${url}${lastError ? ` (${lastError})` : ""}`);
+            scheduleReconnect();
+        });
+    }
+
+    // Requête obs-websocket ; rejetée si OBS n'est pas connecté ou ne répond pas à temps
+    function request(requestType, requestData = {}) {
+        if (!identified || socket?.readyState !== WebSocket.OPEN) return Promise.reject(new Error("OBS non connecté"));
+        const requestId = String(nextId++);
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                pending.delete(requestId);
+                reject(new Error(`${requestType} : pas de réponse d'OBS`));
+            }, REQUEST_TIMEOUT_MS);
+            pending.set(requestId, { resolve, reject, timer });
+            socket.send(JSON.stringify({ op: 6, d: { requestType, requestId, requestData } }));
+        });
+    }
+
+    function start() {
+        stopped = false;
+        if (!socket) connect();
+    }
+
+    function stop() {
+        stopped = true;
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+        failPending("Client OBS arrêté");
+        socket?.terminate();
+        status = "disconnected";
+    }
+
+    return { url, start, stop, request, status: () => ({ status, error: lastError }) };
+}
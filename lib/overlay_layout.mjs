@@ -0,0 +1,67 @@
+/**
+ * Disposition de l'overlay OBS (/overlay et /overlay/<widget>).
+ * state.overlayLayout : [{ id, visible, scale, opacity }] dans l'ordre d'affichage
+ * - scale : taille en % (zoom de la carte)
+ * - opacity : opacité du fond de la carte en % (0 = fond transparent, texte seul), null = celle du thème
+ * Les widgets absents d'une disposition enregistrée sont ajoutés à la fin, visibles.
+ */
+
+export const OVERLAY_WIDGETS = ["build", "events", "objectives", "counters", "gear"];
+
+const DEFAULT_SCALE = 100;
+const MIN_SCALE = 50;
+const MAX_SCALE = 200;
+
+function clampPercent(raw, fallback, min, max) {
+    const n = Number(raw);
+    return Number.isFinite(n) ? Math.min(Math.max(Math.round(n), min), max) : fallback;
+}
+
+/**
+ * Widget nettoyé ; lève une erreur explicite si l'id est inconnu.
+ */
+export function normalizeLayoutWidget(raw) {
+    const src = raw && typeof raw === "object" ? raw : { id: raw };
+    const id = String(src.id ?? "").trim();
+    if (!OVERLAY_WIDGETS.includes(id)) throw new Error(`Widget inconnu : "${id}" (${OVERLAY_WIDGETS.join(", ")})`);
+    return {
+        id,
+        visible: src.visible !== false,
+        scale: clampPercent(src.scale, DEFAULT_SCALE, MIN_SCALE, MAX_SCALE),
+        opacity: src.opacity === null || src.opacity === undefined || src.opacity === "" ? null : clampPercent(src.opacity, null, 0, 100)
+    };
+}
+
+// Liste complète : ordre reçu, doublons et widgets inconnus écartés, manquants ajoutés à la fin
+function completeLayout(list) {
+    const out = [];
+    for (const widget of list) {
+        if (!out.some((w) => w.id === widget.id)) out.push(widget);
+    }
+    for (const id of OVERLAY_WIDGETS) {
+        if (!out.some((w) => w.id === id)) out.push(normalizeLayoutWidget({ id }));
+    }
+    return out;
+}
+
+// Disposition envoyée par la page config (POST /overlay/layout) ; lève une erreur si un widget est invalide
+export function parseOverlayLayout(rawList) {
+    return completeLayout(rawList.map(normalizeLayoutWidget));
+}
+
+/**
+ * Garantit state.overlayLayout (disposition par défaut si absente, entrées illisibles ignorées).
+ */
+export function normalizeOverlayLayout(state) {
+    if (!state || typeof state !== "object") state = {};
+    const list = [];
+    for (const raw of Array.isArray(state.overlayLayout) ? state.overlayLayout : []) {
+        try {
+            list.push(normalizeLayoutWidget(raw));
+        } catch {
+            // widget retiré ou inconnu : ignoré
+        }
+    }
+    state.overlayLayout = completeLayout(list);
+    return state;
+}
@@ -0,0 +1,65 @@
+/**
+ * Matrice de permissions par rôle Twitch.
+ * - broadcaster : tout est autorisé
+ * - moderator / viewer : liste d'actions configurable par chaîne (state.permissions)
+ */
+
+// Catalogue des actions contrôlées (clé -> libellé affiché sur la page config)
+export const ACTIONS = {
+    "counters.edit": "Incrémenter / décrémenter les compteurs",
+    "counters.reset": "Remettre les compteurs à zéro",
+    "counters.manage": "Créer / renommer / supprimer des compteurs",
+    "objectives.edit": "Modifier les objectifs",
+    "session.manage": "Démarrer / terminer une session de stream",
+    "build.select": "Changer la build affichée",
+    "build.edit": "Créer / modifier une build",
+    "build.delete": "Supprimer une build",
+    "build.import": "Importer une build",
+    "events.refresh": "Forcer le refresh des events",
+    "alerts.manage": "Configurer / tester les alertes d'events",
+    "polls.manage": "Ouvrir / clôturer les sondages viewers",
+    "predictions.manage": "Ouvrir / résoudre les pronostics",
+    "obs.manage": "Configurer le pilotage d'OBS (obs-websocket)",
+    "overlay.layout": "Modifier la disposition de l'overlay OBS",
+    "theme.edit": "Modifier le thème (overlay, panel, composant vidéo)"
+};
+
+// Actions jamais déléguées (réservées au broadcaster)
+const BROADCASTER_ONLY = new Set(["build.delete", "build.import", "permissions.edit", "obs.manage"]);
+
+export const ROLES = ["moderator", "viewer"];
+
+export function defaultPermissions() {
+    return {
+        moderator: ["counters.edit", "counters.reset", "objectives.edit"],
+        viewer: []
+    };
+}
+
+// Nettoie une matrice reçue (state ou body) : rôles connus, actions connues et délégables uniquement
+export function normalizePermissions(raw) {
+    const base = defaultPermissions();
+    if (!raw || typeof raw !== "object") return base;
+    const out = {};
+    for (const role of ROLES) {
+        const list = Array.isArray(raw[role]) ? raw[role] : base[role];
+        out[role] = [...new Set(list.map((x) => String(x)))].filter((a) => a in ACTIONS && !BROADCASTER_ONLY.has(a));
+    }
+    return out;
+}
+
+export function isAllowed(role, action, permissions) {
+    if (role === "broadcaster") return true;
+    if (BROADCASTER_ONLY.has(action)) return false;
+    const list = normalizePermissions(permissions)[role];
+    return Array.isArray(list) && list.includes(action);
+}
+
+// Liste des actions autorisées pour un rôle (utile au front pour afficher/masquer des boutons)
+export function allowedActions(role, permissions) {
+    return [...Object.keys(ACTIONS), "permissions.edit"].filter((a) => isAllowed(role, a, permissions));
+}
+
+export function delegableActions() {
+    return Object.keys(ACTIONS).filter((a) => !BROADCASTER_ONLY.has(a));
+}
@@ -0,0 +1,134 @@
+/**
+ * Sondages viewers (« Quelle build ensuite ? »).
+ * Sondage : { id, question, source, options, openedAt, closedAt, votes }
+ * - source : "builds" (bibliothèque de builds), "objectives" (objectifs pas encore terminés) ou "free"
+ * - options : [{ id, label, buildIndex?, buildUrl? }]
+ * - votes : { <opaque_user_id>: <id d'option> } : un vote par viewer, définitif
+ *
+ * Le sondage complet (votes compris) reste hors du state diffusé : seul pollView (totaux) est poussé.
+ * Les fonctions prennent nowMs pour rester testables sans horloge réelle.
+ */
+
+export const POLL_SOURCES = ["builds", "objectives", "free"];
+
+const MAX_OPTIONS = 10;
+const MAX_LABEL = 80;
+
+const DEFAULT_QUESTIONS = {
+    builds: "Quelle build ensuite ?",
+    objectives: "Quel objectif ensuite ?"
+};
+
+const label = (text) => String(text ?? "").trim().slice(0, MAX_LABEL);
+
+// Options d'un sondage sur les builds : toutes, ou les index choisis (indices)
+function buildOptions(builds, indices) {
+    const picked = Array.isArray(indices) && indices.length
+        ? [...new Set(indices.map(Number))].filter((i) => Number.isInteger(i) && i >= 0 && i < builds.length)
+        : builds.map((_, i) => i);
+    return picked.map((i) => ({
+        id: `b${i}`,
+        label: label(builds[i].title) || `Build ${i + 1}`,
+        buildIndex: i,
+        buildUrl: builds[i].url || ""
+    }));
+}
+
+/**
+ * Nouveau sondage ; lève une erreur explicite si la source ou les options ne conviennent pas.
+ * raw : { question?, source, options? } (options : index de builds pour "builds", textes pour "free")
+ * context : { builds, objectives } de la chaîne.
+ */
+export function createPoll(raw, { builds = [], objectives = [] } = {}, nowMs = Date.now()) {
+    const src = raw && typeof raw === "object" ? raw : {};
+    const source = String(src.source ?? "").trim();
+    if (!POLL_SOURCES.includes(source)) throw new Error(`Source de sondage inconnue : "${source}" (${POLL_SOURCES.join(", ")})`);
+
+    let options;
+    if (source === "builds") {
+        options = buildOptions(builds, src.options);
+    } else if (source === "objectives") {
+        options = objectives.filter((o) => !o.done).map((o) => ({ id: o.id, label: label(o.text) }));
+    } else {
+        const texts = (Array.isArray(src.options) ? src.options : []).map(label).filter(Boolean);
+        options = [...new Set(texts)].map((text, i) => ({ id: `o${i + 1}`, label: text }));
+    }
+    if (options.length < 2) throw new Error("Il faut au moins 2 options pour ouvrir un sondage");
+    if (options.length > MAX_OPTIONS) {
+        throw new Error(`${options.length} options : ${MAX_OPTIONS} maximum (choisis les builds à proposer)`);
+    }
+
+    const question = label(src.question) || DEFAULT_QUESTIONS[source] || "";
+    if (!question) throw new Error("Question requise");
+
+    return {
+        id: Math.floor(nowMs).toString(36),
+        question,
+        source,
+        options,
+        openedAt: new Date(nowMs).toISOString(),
+        closedAt: null,
+        votes: {}
+    };
+}
+
+/**
+ * Enregistre le vote d'un viewer. Renvoie null si le vote est pris, sinon le message d'erreur.
+ * Les opaque_user_id anonymes (préfixe "A", viewer non connecté) changent à chaque session : refusés.
+ */
+export function castVote(poll, voterId, optionId) {
+    if (!poll || poll.closedAt) return "Aucun sondage ouvert";
+    const voter = String(voterId || "");
+    if (!voter || voter.startsWith("A")) return "Connecte-toi à Twitch pour voter";
+    if (!poll.options.some((o) => o.id === optionId)) return `Option inconnue : "${optionId}"`;
+    if (voter in poll.votes) return "Tu as déjà voté";
+    poll.votes[voter] = optionId;
+    return null;
+}
+
+/**
+ * Totaux par option ; winner = option en tête, null si personne n'a voté ou en cas d'égalité.
+ */
+export function tallyPoll(poll) {
+    const counts = Object.fromEntries(poll.options.map((o) => [o.id, 0]));
+    for (const optionId of Object.values(poll.votes || {})) {
+        if (optionId in counts) counts[optionId]++;
+    }
+    const total = Object.values(counts).reduce((a, b) => a + b, 0);
+    const best = Math.max(0, ...Object.values(counts));
+    const leaders = poll.options.filter((o) => counts[o.id] === best);
+    return {
+        counts,
+        total,
+        winner: best > 0 && leaders.length === 1 ? leaders[0] : null,
+        tie: best > 0 && leaders.length > 1
+    };
+}
+
+export function closePoll(poll, nowMs) {
+    if (!poll.closedAt) poll.closedAt = new Date(nowMs).toISOString();
+    return poll;
+}
+
+/**
+ * Version diffusée (state, PubSub) : totaux sans les votes individuels.
+ * voterId : ajoute myVote (réponse de GET /poll pour le viewer qui appelle).
+ */
+export function pollView(poll, voterId = null) {
+    if (!poll) return null;
+    const { counts, total, winner, tie } = tallyPoll(poll);
+    const view = {
+        id: poll.id,
+        question: poll.question,
+        source: poll.source,
+        open: !poll.closedAt,
+        openedAt: poll.openedAt,
+        closedAt: poll.closedAt,
+        total,
+        options: poll.options.map((o) => ({ id: o.id, label: o.label, votes: counts[o.id] })),
+        winner: poll.closedAt && winner ? winner.id : null,
+        tie: Boolean(poll.closedAt && tie)
+    };
+    if (voterId !== null) view.myVote = poll.votes?.[voterId] ?? null;
+    return view;
+}
@@ -0,0 +1,159 @@
+/**
+ * Pronostics viewers sur un compteur (« Combien de morts sur ce Pit ? »).
+ * Pronostic : { id, question, counter, startValue, openedAt, lockAt, resolvedAt, result, guesses }
+ * - startValue : valeur du compteur à l'ouverture ; le résultat est la variation depuis (morts du run)
+ * - guesses : { <opaque_user_id>: { value, at } } : un pronostic par viewer, avant lockAt
+ *
+ * Tableau des scores par session de stream : { sessionId, rounds: [...], scores: { <opaque_user_id>: points } }.
+ * Les fonctions prennent nowMs pour rester testables sans horloge réelle.
+ */
+
+// Délai de pronostic par défaut, et bornes
+export const DEFAULT_LOCK_SEC = 120;
+const MAX_LOCK_SEC = 3600;
+const MAX_GUESS = 10_000;
+
+// Points par rang (les ex æquo à même distance partagent le rang)
+const RANK_POINTS = [3, 2, 1];
+// Meilleurs pronostics affichés au résultat
+const MAX_WINNERS = 10;
+
+// Étiquette publique d'un viewer : les opaque_user_id ne sont pas lisibles, on n'en montre que la fin
+export function viewerTag(opaqueUserId) {
+    return `Viewer ${String(opaqueUserId || "").slice(-4)}`;
+}
+
+/**
+ * Nouveau pronostic ; lève une erreur explicite si le compteur n'existe pas.
+ * raw : { question?, counter?, lockInSec? } ; counters : valeurs actuelles ({ deaths: 3 }).
+ */
+export function createPrediction(raw, counters, nowMs) {
+    const src = raw && typeof raw === "object" ? raw : {};
+    const counter = String(src.counter ?? "deaths").trim();
+    if (!(counter in (counters || {}))) throw new Error(`Compteur inconnu : "${counter}"`);
+    const lockSec = Math.trunc(Number(src.lockInSec ?? DEFAULT_LOCK_SEC));
+    if (!(lockSec >= 10 && lockSec <= MAX_LOCK_SEC)) throw new Error(`Délai de pronostic invalide : "${src.lockInSec}" (10 à ${MAX_LOCK_SEC} s)`);
+    return {
+        id: Math.floor(nowMs).toString(36),
+        question: String(src.question ?? "").trim().slice(0, 120) || "Combien de morts sur ce run ?",
+        counter,
+        startValue: Number(counters[counter]) || 0,
+        openedAt: new Date(nowMs).toISOString(),
+        lockAt: new Date(nowMs + lockSec * 1000).toISOString(),
+        resolvedAt: null,
+        result: null,
+        guesses: {}
+    };
+}
+
+export const isLocked = (prediction, nowMs) => Boolean(prediction.resolvedAt) || nowMs >= Date.parse(prediction.lockAt);
+
+/**
+ * Enregistre le pronostic d'un viewer. Renvoie null si accepté, sinon le message d'erreur.
+ */
+export function submitGuess(prediction, voterId, rawValue, nowMs) {
+    if (!prediction || prediction.resolvedAt) return "Aucun pronostic ouvert";
+    if (isLocked(prediction, nowMs)) return "Les pronostics sont fermés";
+    const voter = String(voterId || "");
+    // Les ids anonymes (viewer non connecté) changent à chaque session : refusés
+    if (!voter || voter.startsWith("A")) return "Connecte-toi à Twitch pour participer";
+    const value = Number(rawValue);
+    if (!Number.isInteger(value) || value < 0 || value > MAX_GUESS) return `Pronostic attendu : entier de 0 à ${MAX_GUESS}`;
+    if (voter in prediction.guesses) return "Tu as déjà donné ton pronostic";
+    prediction.guesses[voter] = { value, at: new Date(nowMs).toISOString() };
+    return null;
+}
+
+/**
+ * Classement des pronostics par distance au résultat (puis par ancienneté).
+ * rank : rang dense (même distance = même rang).
+ */
+export function rankGuesses(prediction, result) {
+    const sorted = Object.entries(prediction.guesses || {})
+        .map(([voter, guess]) => ({ voter, value: guess.value, at: guess.at, distance: Math.abs(guess.value - result) }))
+        .sort((a, b) => a.distance - b.distance || String(a.at).localeCompare(String(b.at)));
+    let rank = 0;
+    let lastDistance = null;
+    for (const entry of sorted) {
+        if (entry.distance !== lastDistance) {
+            rank++;
+            lastDistance = entry.distance;
+        }
+        entry.rank = rank;
+    }
+    return sorted;
+}
+
+/**
+ * Résout le pronostic : résultat = override (si fourni) sinon variation du compteur depuis l'ouverture.
+ * Renvoie le classement (rankGuesses).
+ */
+export function resolvePrediction(prediction, currentValue, override, nowMs) {
+    const forced = override === undefined || override === null || override === "" ? null : Math.trunc(Number(override));
+    prediction.result = Number.isFinite(forced) && forced >= 0 ? forced : Math.max(0, Number(currentValue) - prediction.startValue);
+    prediction.resolvedAt = new Date(nowMs).toISOString();
+    return rankGuesses(prediction, prediction.result);
+}
+
+/**
+ * Ajoute une manche résolue au tableau des scores d'une session (3 / 2 / 1 points par rang).
+ */
+export function addRound(scoreboard, prediction, ranking) {
+    const board = scoreboard && typeof scoreboard === "object" ? scoreboard : { rounds: [], scores: {} };
+    board.rounds = Array.isArray(board.rounds) ? board.rounds : [];
+    board.scores = board.scores && typeof board.scores === "object" ? board.scores : {};
+    for (const entry of ranking) {
+        const points = RANK_POINTS[entry.rank - 1] ?? 0;
+        if (points) board.scores[entry.voter] = (board.scores[entry.voter] ?? 0) + points;
+    }
+    board.rounds.push({
+        id: prediction.id,
+        question: prediction.question,
+        counter: prediction.counter,
+        result: prediction.result,
+        resolvedAt: prediction.resolvedAt,
+        guesses: ranking.length,
+        winners: ranking.filter((e) => e.rank <= RANK_POINTS.length).slice(0, MAX_WINNERS).map(({ voter, value, rank }) => ({ voter, value, rank }))
+    });
+    return board;
+}
+
+// Classement d'une session pour l'affichage (ids masqués, voterId : marque la ligne de l'appelant)
+export function scoreboardView(scoreboard, voterId = null, limit = 10) {
+    const entries = Object.entries(scoreboard?.scores || {}).sort((a, b) => b[1] - a[1]);
+    return {
+        sessionId: scoreboard?.sessionId ?? null,
+        rounds: (scoreboard?.rounds || []).length,
+        top: entries.slice(0, limit).map(([voter, points]) => ({ who: viewerTag(voter), points, me: voter === voterId })),
+        ...(voterId !== null ? { myPoints: scoreboard?.scores?.[voterId] ?? 0 } : {})
+    };
+}
+
+/**
+ * Version diffusée (state, PubSub) : pas de pronostic individuel avant résolution, seulement le nombre.
+ * counters : valeurs actuelles (progression du run en direct).
+ */
+export function predictionView(prediction, counters, nowMs, voterId = null) {
+    if (!prediction) return null;
+    const resolved = Boolean(prediction.resolvedAt);
+    const view = {
+        id: prediction.id,
+        question: prediction.question,
+        counter: prediction.counter,
+        open: !resolved,
+        locked: isLocked(prediction, nowMs),
+        lockAt: prediction.lockAt,
+        lockTs: Math.floor(Date.parse(prediction.lockAt) / 1000),
+        current: resolved ? prediction.result : Math.max(0, Number(counters?.[prediction.counter] ?? 0) - prediction.startValue),
+        result: prediction.result,
+        guesses: Object.keys(prediction.guesses || {}).length,
+        winners: resolved
+            ? rankGuesses(prediction, prediction.result)
+                .filter((e) => e.rank <= RANK_POINTS.length)
+                .slice(0, MAX_WINNERS)
+                .map(({ voter, value, rank }) => ({ who: viewerTag(voter), value, rank }))
+            : []
+    };
+    if (voterId !== null) view.myGuess = prediction.guesses?.[voterId]?.value ?? null;
+    return view;
+}
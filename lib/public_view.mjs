@@ -0,0 +1,25 @@
+/**
+ * Projection publique de l'état d'une chaîne (viewers : /state, WebSocket).
+ * Build courante seulement (pas la bibliothèque), sans les réglages ni les données de travail du broadcaster :
+ * - état : builds, permissions, alertRules, overlayLayout (page config / overlay local)
+ * - build : pendingUpdate (re-sync en attente : build re-téléchargée + diff), highlightsCustom,
+ *   lastSyncedAt, unresolved
+ * Les viewers parcourent les autres builds via GET /builds/:index (même nettoyage, publicBuild).
+ */
+
+export const PRIVATE_STATE_KEYS = ["builds", "permissions", "alertRules", "overlayLayout", "obs"];
+export const PRIVATE_BUILD_KEYS = ["pendingUpdate", "highlightsCustom", "lastSyncedAt", "unresolved"];
+
+const omit = (source, keys) => Object.fromEntries(Object.entries(source).filter(([key]) => !keys.includes(key)));
+
+export function publicBuild(build) {
+    return build && typeof build === "object" ? omit(build, PRIVATE_BUILD_KEYS) : build;
+}
+
+export function publicView(view) {
+    return {
+        ...omit(view, PRIVATE_STATE_KEYS),
+        build: publicBuild(view.build),
+        buildsTotal: Array.isArray(view.builds) ? view.builds.length : 0
+    };
+}
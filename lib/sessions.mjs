@@ -0,0 +1,133 @@
+/**
+ * Sessions de stream : début / fin, journal horodaté et bilan.
+ *
+ * Session : { id, startedAt, endedAt, auto, log: [entrée] }
+ * Entrées du journal (toutes avec `at`, ISO) :
+ * - { type: "counter", name, op, from, to }
+ * - { type: "build", index, title }        (build affichée au début + chaque changement)
+ * - { type: "objectives", objectives }         (liste remplacée, textes)
+ * - { type: "objective", id, text, done, progress } (un objectif coché / avancé)
+ *
+ * Les fonctions prennent nowMs pour rester testables sans horloge réelle.
+ */
+
+// Nombre de sessions terminées gardées dans l'historique d'une chaîne
+export const SESSION_HISTORY_MAX = 100;
+
+// En dessous de 3 minutes, un « par heure » n'a pas de sens
+const MIN_RATE_HOURS = 0.05;
+
+export function startSession(nowMs, { auto = false, build = null } = {}) {
+    const startedAt = new Date(nowMs).toISOString();
+    const session = {
+        id: `${startedAt.slice(0, 10)}-${Math.floor(nowMs).toString(36)}`,
+        startedAt,
+        endedAt: null,
+        auto: auto === true,
+        log: []
+    };
+    if (build) appendSessionLog(session, { type: "build", index: build.index, title: build.title || "" }, nowMs);
+    return session;
+}
+
+export function appendSessionLog(session, entry, nowMs) {
+    session.log.push({ at: new Date(nowMs).toISOString(), ...entry });
+    return session;
+}
+
+export function endSession(session, nowMs) {
+    session.endedAt = new Date(nowMs).toISOString();
+    return session;
+}
+
+// Entrée qui remet un compteur à zéro (ou plus bas) : le décompte repart d'un nouveau segment
+const startsSegment = (entry) => entry.op === "reset" || (entry.op === "set" && Number(entry.to) < Number(entry.from));
+
+/**
+ * Progression d'un compteur sur la session : somme, par segment (séparés par les resets et les
+ * « set » vers le bas), de la valeur finale moins la valeur de départ, jamais négative.
+ * Un -1 de correction reste dans son segment et annule le +1 correspondant.
+ */
+function counterTotals(log) {
+    const segments = {}; // name -> { total, start, current }
+    for (const entry of log) {
+        if (entry.type !== "counter") continue;
+        const from = Number(entry.from) || 0;
+        const to = Number(entry.to) || 0;
+        let seg = segments[entry.name];
+        if (!seg) seg = segments[entry.name] = { total: 0, start: from, current: from };
+        if (startsSegment(entry)) {
+            seg.total += Math.max(0, seg.current - seg.start);
+            seg.start = to;
+        }
+        seg.current = to;
+    }
+    return Object.fromEntries(Object.entries(segments).map(([name, seg]) => [name, seg.total + Math.max(0, seg.current - seg.start)]));
+}
+
+/**
+ * Bilan d'une session : durée, progression de chaque compteur (resets exclus), taux horaire,
+ * builds jouées (titres distincts dans l'ordre).
+ */
+export function summarizeSession(session, nowMs) {
+    const startMs = new Date(session.startedAt).getTime();
+    const endMs = session.endedAt ? new Date(session.endedAt).getTime() : nowMs;
+    const durationMs = Math.max(0, endMs - startMs);
+    const hours = durationMs / 3_600_000;
+
+    const totals = counterTotals(session.log || []);
+    const builds = [];
+    let objectivesChanges = 0;
+    for (const entry of session.log || []) {
+        if (entry.type === "build" && entry.title && !builds.includes(entry.title)) {
+            builds.push(entry.title);
+        } else if (entry.type === "objectives" || entry.type === "objective") {
+            objectivesChanges++;
+        }
+    }
+
+    const perHour = {};
+    for (const [name, total] of Object.entries(totals)) {
+        perHour[name] = hours >= MIN_RATE_HOURS ? Math.round((total / hours) * 10) / 10 : null;
+    }
+
+    return {
+        id: session.id,
+        startedAt: session.startedAt,
+        endedAt: session.endedAt,
+        active: !session.endedAt,
+        auto: session.auto === true,
+        durationMs,
+        totals,
+        perHour,
+        builds,
+        objectivesChanges,
+        entries: (session.log || []).length
+    };
+}
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Journal au format CSV (une ligne par entrée) pour les récaps.
+ * labels : { <name>: libellé } pour afficher les compteurs par leur nom lisible.
+ */
+export function sessionToCsv(session, labels = {}) {
+    const rows = [["horodatage", "type", "compteur", "de", "a", "build", "objectifs"]];
+    for (const entry of session.log || []) {
+        if (entry.type === "counter") {
+            rows.push([entry.at, "compteur", labels[entry.name] || entry.name, entry.from, entry.to, "", ""]);
+        } else if (entry.type === "build") {
+            rows.push([entry.at, "build", "", "", "", entry.title, ""]);
+        } else if (entry.type === "objectives") {
+            rows.push([entry.at, "objectifs", "", "", "", "", (entry.objectives || []).join(" | ")]);
+        } else if (entry.type === "objective") {
+            const progress = entry.progress ? ` ${entry.progress.current}/${entry.progress.target}` : "";
+            rows.push([entry.at, "objectif", "", "", "", "", `${entry.text}${progress} ${entry.done ? "✓" : "✗"}`]);
+        }
+    }
+    return rows.map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,225 @@
+/**
+ * Stockage des documents JSON (état et builds des chaînes, planning des events).
+ *
+ * - Une clé = un document, ex. "channels/123/state", "events".
+ * - Toutes les écritures passent par une file unique : storage.mutate(fn) exécute les fn
+ *   l'une après l'autre, même async (fetch d'import, re-sync...). Une lecture-modification-écriture
+ *   ne peut donc plus écraser une autre mutation en cours (refresh events, compteur, import).
+ * - Les écritures d'une mutation partent ensemble quand fn a terminé (tout ou rien) : une erreur dans fn
+ *   n'écrit rien, et plusieurs documents (build + état d'un import) sont écrits via writeMany.
+ * - Le backend est interchangeable : { read(key), write(key, value), writeMany?(entries), list(prefix) }.
+ *   createJsonFileBackend écrit des fichiers ; un backend SQLite pourra prendre le relais
+ *   sans toucher au serveur.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+
+/**
+ * Backend fichiers JSON :
+ * - écriture atomique (fichier temporaire + fsync + rename) : jamais de fichier à moitié écrit ;
+ * - avant chaque écriture, l'ancienne version rejoint les snapshots <fichier>.1.bak ... <fichier>.N.bak ;
+ * - plusieurs documents d'une même mutation : journal (<dir>/.journal.json) écrit avant eux et supprimé
+ *   après ; un journal trouvé au démarrage (crash entre deux fichiers) est rejoué ;
+ * - un fichier illisible est mis de côté (<fichier>.corrupt-<ts>) et remplacé par le snapshot
+ *   valide le plus récent. Sans snapshot valide, read lève une erreur (copie .corrupt-<ts> gardée,
+ *   fichier laissé en place) : jamais de retour silencieux à un état vide.
+ */
+export function createJsonFileBackend({ dir, snapshots = 5 }) {
+    const keep = Math.max(0, Math.trunc(Number(snapshots) || 0));
+    const journal = path.join(dir, ".journal.json");
+    const unrecoverable = new Map(); // fichier -> erreur déjà signalée (une seule copie .corrupt-<ts>)
+
+    function fileOf(key) {
+        return path.join(dir, `${key}.json`);
+    }
+
+    function snapshotOf(file, n) {
+        return `${file}.${n}.bak`;
+    }
+
+    function parseFile(file) {
+        return JSON.parse(fs.readFileSync(file, "utf-8"));
+    }
+
+    function writeAtomic(file, text) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const tmp = `${file}.${process.pid}.tmp`;
+        const fd = fs.openSync(tmp, "w");
+        try {
+            fs.writeSync(fd, text);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tmp, file);
+    }
+
+    function rotateSnapshots(file) {
+        if (!keep || !fs.existsSync(file)) return;
+        for (let n = keep - 1; n >= 1; n--) {
+            const from = snapshotOf(file, n);
+            if (fs.existsSync(from)) fs.renameSync(from, snapshotOf(file, n + 1));
+        }
+        // Copie (pas rename) : le fichier courant reste en place jusqu'au rename atomique
+        fs.copyFileSync(file, snapshotOf(file, 1));
+    }
+
+    function recover(file, error) {
+        if (unrecoverable.has(file)) throw unrecoverable.get(file);
+        const aside = `${file}.corrupt-${Date.now()}`;
+        fs.copyFileSync(file, aside);
+        for (let n = 1; n <= keep; n++) {
+            const snapshot = snapshotOf(file, n);
+            if (!fs.existsSync(snapshot)) continue;
+            try {
+                const value = parseFile(snapshot);
+                writeAtomic(file, JSON.stringify(value, null, 2));
+                console.warn(`[storage] ${file} illisible (${error.message}) : restauré depuis ${path.basename(snapshot)}, original gardé dans ${path.basename(aside)}`);
+                return value;
+            } catch {
+                // snapshot abîmé lui aussi : on essaie le suivant
+            }
+        }
+        // Repartir d'un document vide effacerait compteurs et builds : on bloque la clé jusqu'à réparation
+        const failure = new Error(
+            `[storage] ${file} illisible (${error.message}) et aucun snapshot valide : copie gardée dans ${path.basename(aside)}, réparer ou supprimer le fichier`
+        );
+        console.error(failure.message);
+        unrecoverable.set(file, failure);
+        throw failure;
+    }
+
+    function writeFile(key, value) {
+        const file = fileOf(key);
+        rotateSnapshots(file);
+        writeAtomic(file, JSON.stringify(value, null, 2));
+        unrecoverable.delete(file);
+    }
+
+    // Crash au milieu d'un writeMany : les documents du journal sont réécrits (ceux déjà à jour sont sautés)
+    function replayJournal() {
+        if (!fs.existsSync(journal)) return;
+        for (const [key, value] of parseFile(journal)) {
+            const file = fileOf(key);
+            const text = JSON.stringify(value, null, 2);
+            if (fs.existsSync(file) && fs.readFileSync(file, "utf-8") === text) continue;
+            writeFile(key, value);
+        }
+        fs.rmSync(journal);
+        console.warn(`[storage] écriture interrompue rejouée depuis ${path.basename(journal)}`);
+    }
+
+    replayJournal();
+
+    return {
+        read(key) {
+            const file = fileOf(key);
+            if (!fs.existsSync(file)) return undefined;
+            try {
+                const value = parseFile(file);
+                unrecoverable.delete(file);
+                return value;
+            } catch (e) {
+                return recover(file, e);
+            }
+        },
+
+        write: writeFile,
+
+        // entries : [[key, value], ...] écrits ensemble (journal d'abord, voir replayJournal)
+        writeMany(entries) {
+            const journaled = entries.length > 1;
+            if (journaled) writeAtomic(journal, JSON.stringify(entries));
+            for (const [key, value] of entries) writeFile(key, value);
+            if (journaled) fs.rmSync(journal);
+        },
+
+        // Noms des sous-dossiers directs de prefix (ex. list("channels") -> IDs de chaînes)
+        list(prefix) {
+            const base = path.join(dir, prefix);
+            if (!fs.existsSync(base)) return [];
+            return fs.readdirSync(base, { withFileTypes: true })
+                .filter((entry) => entry.isDirectory())
+                .map((entry) => entry.name);
+        }
+    };
+}
+
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Couche de stockage au-dessus d'un backend :
+ * - read(key, fallback) : copie du document (cache mémoire), fallback s'il n'existe pas ;
+ * - mutate(fn) : fn(tx) exécutée seule dans la file ; tx.read / tx.write pour lire et écrire.
+ *   tx.write met le cache à jour tout de suite (les lectures suivantes voient la valeur), le backend
+ *   reçoit toutes les écritures en une fois quand fn a terminé. Renvoie une promesse de la valeur
+ *   retournée par fn. Une erreur dans fn annule ses écritures et rejette cette promesse sans bloquer la file.
+ */
+export function createStorage({ backend }) {
+    const cache = new Map();
+    let queue = Promise.resolve();
+    let activeTx = null;
+
+    function read(key, fallback) {
+        if (!cache.has(key)) cache.set(key, backend.read(key));
+        const value = cache.get(key);
+        return value === undefined ? fallback : clone(value);
+    }
+
+    function commit(pending) {
+        const entries = [...pending];
+        if (!entries.length) return;
+        try {
+            if (backend.writeMany) backend.writeMany(entries);
+            else for (const [key, value] of entries) backend.write(key, value);
+        } catch (e) {
+            // Disque dans un état inconnu : relecture depuis le backend au prochain read
+            for (const [key] of entries) cache.delete(key);
+            throw e;
+        }
+    }
+
+    function mutate(fn) {
+        const run = queue.then(() => {
+            const pending = new Map(); // clé -> document à écrire
+            const before = new Map(); // clé -> entrée du cache avant la mutation (annulation)
+            const tx = {
+                read,
+                write(key, value) {
+                    if (activeTx !== tx) throw new Error(`[storage] écriture de "${key}" hors de sa mutation`);
+                    if (!before.has(key)) before.set(key, cache.has(key) ? { value: cache.get(key) } : null);
+                    const copy = clone(value);
+                    pending.set(key, copy);
+                    cache.set(key, copy);
+                }
+            };
+            activeTx = tx;
+            return Promise.resolve()
+                .then(() => fn(tx))
+                .then((result) => {
+                    commit(pending);
+                    return result;
+                }, (e) => {
+                    for (const [key, entry] of before) {
+                        if (entry) cache.set(key, entry.value);
+                        else cache.delete(key);
+                    }
+                    throw e;
+                })
+                .finally(() => {
+                    activeTx = null;
+                });
+        });
+        queue = run.catch(() => {});
+        return run;
+    }
+
+    return {
+        read,
+        mutate,
+        list: (prefix) => backend.list(prefix)
+    };
+}
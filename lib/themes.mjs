@@ -0,0 +1,72 @@
+/**
+ * Thème de l'overlay, du panel et du composant vidéo.
+ * state.theme : { id, accent, opacity, font, radius }
+ * - id : thème intégré (variables CSS définies dans overlay.css, :root[data-theme="<id>"])
+ * - accent / opacity / font / radius : surcharges du broadcaster, null = valeur du thème
+ *
+ * Le front (theme.js) pose data-theme et les variables CSS : pas de CSS ni de script inline (CSP Twitch).
+ * Les polices sont des identifiants, la pile de polices correspondante est côté front.
+ */
+
+export const THEMES = {
+    classic: "Classique",
+    gothic: "Gothique (sombre)",
+    minimal: "Minimal",
+    contrast: "Contraste élevé"
+};
+
+export const THEME_FONTS = ["system", "serif", "gothic", "mono", "condensed"];
+
+export const DEFAULT_THEME = { id: "classic", accent: null, opacity: null, font: null, radius: null };
+
+const MAX_RADIUS = 24;
+
+const isUnset = (value) => value === null || value === undefined || value === "";
+
+function parsePercent(raw, label, max) {
+    if (isUnset(raw)) return null;
+    const n = Number(raw);
+    if (!Number.isFinite(n) || n < 0 || n > max) throw new Error(`${label} invalide : "${raw}" (0 à ${max})`);
+    return Math.round(n);
+}
+
+/**
+ * Thème nettoyé ; lève une erreur explicite sur un thème, une couleur ou une police inconnus.
+ */
+export function normalizeTheme(raw) {
+    const src = raw && typeof raw === "object" ? raw : {};
+    const id = String(src.id ?? DEFAULT_THEME.id).trim();
+    if (!(id in THEMES)) throw new Error(`Thème inconnu : "${id}" (${Object.keys(THEMES).join(", ")})`);
+
+    let accent = null;
+    if (!isUnset(src.accent)) {
+        accent = String(src.accent).trim().toLowerCase();
+        // Valeur posée telle quelle dans une variable CSS : format strict
+        if (!/^#[0-9a-f]{6}$/.test(accent)) throw new Error(`Couleur d'accent invalide : "${src.accent}" (format #rrggbb)`);
+    }
+
+    let font = null;
+    if (!isUnset(src.font)) {
+        font = String(src.font).trim();
+        if (!THEME_FONTS.includes(font)) throw new Error(`Police inconnue : "${font}" (${THEME_FONTS.join(", ")})`);
+    }
+
+    return {
+        id,
+        accent,
+        opacity: parsePercent(src.opacity, "Opacité", 100),
+        font,
+        radius: parsePercent(src.radius, "Arrondi", MAX_RADIUS)
+    };
+}
+
+// Garantit state.theme (thème par défaut si absent ou illisible)
+export function normalizeThemeState(state) {
+    if (!state || typeof state !== "object") state = {};
+    try {
+        state.theme = normalizeTheme(state.theme);
+    } catch {
+        state.theme = { ...DEFAULT_THEME };
+    }
+    return state;
+}
@@ -0,0 +1,166 @@
+/**
+ * Client IRC minimal pour le chat Twitch (irc.chat.twitch.tv), sans dépendance.
+ * - Auth PASS oauth:<token> / NICK, capacités twitch.tv/tags (badges, mod) et twitch.tv/commands
+ * - Répond aux PING, se reconnecte avec un délai croissant (1s -> 60s) et sur RECONNECT
+ * - Envoi limité à un message toutes les minIntervalMs (Twitch : 20 messages / 30s pour un compte non modo)
+ *
+ * Hôte / port / TLS configurables : un faux serveur IRC local suffit pour tester.
+ */
+
+import net from "node:net";
+import tls from "node:tls";
+
+export const DEFAULT_CHAT_HOST = "irc.chat.twitch.tv";
+export const DEFAULT_CHAT_PORT = 6697;
+
+const MAX_BACKOFF_MS = 60_000;
+const MAX_QUEUE = 50;
+
+// Valeurs de tags IRCv3 échappées (\s = espace, \: = ;)
+function unescapeTag(value) {
+    return value.replace(/\\(.)/g, (_, c) => ({ s: " ", ":": ";", r: "\r", n: "\n", "\\": "\\" })[c] ?? c);
+}
+
+/**
+ * "@badges=moderator/1;mod=1 :bob!bob@bob.tmi.twitch.tv PRIVMSG #chan :!build"
+ * -> { tags: { badges, mod }, prefix: "bob!bob@...", command: "PRIVMSG", params: ["#chan", "!build"] }
+ */
+export function parseIrcLine(line) {
+    let rest = String(line ?? "");
+    const tags = {};
+    if (rest.startsWith("@")) {
+        const end = rest.indexOf(" ");
+        for (const part of rest.slice(1, end).split(";")) {
+            const [key, value = ""] = part.split("=");
+            tags[key] = unescapeTag(value);
+        }
+        rest = rest.slice(end + 1);
+    }
+    let prefix = "";
+    if (rest.startsWith(":")) {
+        const end = rest.indexOf(" ");
+        prefix = rest.slice(1, end);
+        rest = rest.slice(end + 1);
+    }
+    const trailingAt = rest.indexOf(" :");
+    const head = trailingAt >= 0 ? rest.slice(0, trailingAt) : rest;
+    const params = head.split(" ").filter(Boolean);
+    const command = params.shift() || "";
+    if (trailingAt >= 0) params.push(rest.slice(trailingAt + 2));
+    return { tags, prefix, command: command.toUpperCase(), params };
+}
+
+/**
+ * channels : logins des chaînes à rejoindre (sans #).
+ * onMessage({ channel, login, tags, text }) : appelé pour chaque message du chat.
+ */
+export function createChatBot({ host = DEFAULT_CHAT_HOST, port = DEFAULT_CHAT_PORT, secure = true, username, token, channels = [], onMessage, minIntervalMs = 1500 }) {
+    const logins = [...new Set(channels.map((c) => String(c).trim().toLowerCase().replace(/^#/, "")).filter(Boolean))];
+    const enabled = Boolean(username && token && logins.length);
+    const outbox = [];
+    let socket = null;
+    let buffer = "";
+    let backoffMs = 1000;
+    let reconnectTimer = null;
+    let sendTimer = null;
+    let lastSentAt = 0;
+    let stopped = false;
+
+    function write(line) {
+        if (socket && !socket.destroyed) socket.write(`${line}\r\n`);
+    }
+
+    function flush() {
+        sendTimer = null;
+        if (!outbox.length || !socket || socket.destroyed) return;
+        const wait = lastSentAt + minIntervalMs - Date.now();
+        if (wait > 0) {
+            sendTimer = setTimeout(flush, wait);
+            return;
+        }
+        write(outbox.shift());
+        lastSentAt = Date.now();
+        if (outbox.length) sendTimer = setTimeout(flush, minIntervalMs);
+    }
+
+    function handleLine(line) {
+        const msg = parseIrcLine(line);
+        if (msg.command === "PING") return write(`PONG :${msg.params[0] ?? ""}`);
+        if (msg.command === "001") {
+            backoffMs = 1000;
+            console.log(`[chat] connecté à ${host}:${port}, rejoint ${logins.map((l) => `#${l}`).join(", ")}`);
+            return flush();
+        }
+        // Twitch demande une reconnexion (maintenance du serveur)
+        if (msg.command === "RECONNECT") return socket?.destroy();
+        if (msg.command === "NOTICE" && /authentication failed|improperly formatted auth/i.test(msg.params[1] ?? "")) {
+            console.warn("[chat] authentification refusée : vérifie TWITCH_CHAT_USERNAME / TWITCH_CHAT_TOKEN");
+            return;
+        }
+        if (msg.command !== "PRIVMSG" || !onMessage) return;
+        const channel = String(msg.params[0] ?? "").replace(/^#/, "").toLowerCase();
+        const login = msg.prefix.split("!")[0].toLowerCase();
+        // Messages du bot lui-même ignorés
+        if (login === String(username).toLowerCase()) return;
+        Promise.resolve()
+            .then(() => onMessage({ channel, login, tags: msg.tags, text: msg.params[1] ?? "" }))
+            .catch((e) => console.warn("[chat] commande KO:", e.message));
+    }
+
+    function scheduleReconnect() {
+        if (stopped || reconnectTimer) return;
+        console.warn(`[chat] déconnecté, nouvel essai dans ${Math.round(backoffMs / 1000)}s`);
+        reconnectTimer = setTimeout(() => {
+            reconnectTimer = null;
+            connect();
+        }, backoffMs);
+        backoffMs = Math.min(backoffMs * 2, MAX_BACKOFF_MS);
+    }
+
+    function connect() {
+        buffer = "";
+        const onConnect = () => {
+            const pass = String(token).startsWith("oauth:") ? token : `oauth:${token}`;
+            write("CAP REQ :twitch.tv/tags twitch.tv/commands");
+            write(`PASS ${pass}`);
+            write(`NICK ${String(username).toLowerCase()}`);
+            for (const login of logins) write(`JOIN #${login}`);
+        };
+        socket = secure ? tls.connect({ host, port, servername: host }, onConnect) : net.connect({ host, port }, onConnect);
+        socket.setEncoding("utf8");
+        socket.on("data", (chunk) => {
+            buffer += chunk;
+            const lines = buffer.split("\r\n");
+            buffer = lines.pop();
+            for (const line of lines) if (line) handleLine(line);
+        });
+        socket.on("error", (e) => console.warn("[chat] erreur socket:", e.message));
+        socket.on("close", () => {
+            if (sendTimer) clearTimeout(sendTimer);
+            sendTimer = null;
+            scheduleReconnect();
+        });
+    }
+
+    // Message dans le chat d'une chaîne ; file bornée (les plus anciens sautent si le chat s'emballe)
+    function say(channel, text) {
+        if (!enabled) return;
+        const login = String(channel).toLowerCase().replace(/^#/, "");
+        outbox.push(`PRIVMSG #${login} :${String(text).replace(/[\r\n]+/g, " ")}`);
+        if (outbox.length > MAX_QUEUE) outbox.shift();
+        if (!sendTimer) flush();
+    }
+
+    function start() {
+        if (enabled && !socket) connect();
+    }
+
+    function stop() {
+        stopped = true;
+        clearTimeout(reconnectTimer);
+        clearTimeout(sendTimer);
+        socket?.destroy();
+    }
+
+    return { enabled, channels: logins, start, stop, say };
+}
@@ -0,0 +1,115 @@
+/**
+ * Authentification des appels à l'EBS via les JWT d'extension Twitch.
+ * - Twitch signe les tokens en HS256 avec le secret d'extension (fourni en base64 dans la console dev)
+ * - Le front les envoie dans l'en-tête Authorization: Bearer <JWT>
+ * - Le middleware expose les claims utiles (channel_id, role, opaque_user_id) dans req.auth
+ */
+
+import crypto from "node:crypto";
+
+function base64UrlDecode(part) {
+    return Buffer.from(part.replace(/-/g, "+").replace(/_/g, "/"), "base64");
+}
+
+/**
+ * Vérifie un JWT HS256 et retourne son payload.
+ * Lève une Error si le token est mal formé, mal signé ou expiré.
+ */
+export function verifyExtensionJwt(token, secretBase64, nowMs = Date.now()) {
+    if (!secretBase64) throw new Error("Secret d'extension non configuré (EXT_SECRET)");
+
+    const parts = String(token || "").split(".");
+    if (parts.length !== 3) throw new Error("JWT mal formé");
+    const [headerPart, payloadPart, signaturePart] = parts;
+
+    let header;
+    let payload;
+    try {
+        header = JSON.parse(base64UrlDecode(headerPart).toString("utf-8"));
+        payload = JSON.parse(base64UrlDecode(payloadPart).toString("utf-8"));
+    } catch {
+        throw new Error("JWT mal formé");
+    }
+    if (header?.alg !== "HS256") throw new Error("Algorithme JWT non supporté");
+
+    const expected = crypto
+        .createHmac("sha256", Buffer.from(secretBase64, "base64"))
+        .update(`${headerPart}.${payloadPart}`)
+        .digest();
+    const actual = base64UrlDecode(signaturePart);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        throw new Error("Signature JWT invalide");
+    }
+
+    if (!Number.isFinite(payload?.exp)) throw new Error("JWT sans expiration");
+    if (payload.exp * 1000 <= nowMs) throw new Error("JWT expiré");
+
+    return payload;
+}
+
+function base64UrlEncode(value) {
+    return Buffer.from(typeof value === "string" ? value : JSON.stringify(value)).toString("base64url");
+}
+
+/**
+ * Signe un JWT HS256 avec le secret d'extension (JWT "external" de l'EBS, ex : PubSub).
+ */
+export function signExtensionJwt(payload, secretBase64) {
+    if (!secretBase64) throw new Error("Secret d'extension non configuré (EXT_SECRET)");
+    const headerPart = base64UrlEncode({ alg: "HS256", typ: "JWT" });
+    const payloadPart = base64UrlEncode(payload);
+    const signature = crypto
+        .createHmac("sha256", Buffer.from(secretBase64, "base64"))
+        .update(`${headerPart}.${payloadPart}`)
+        .digest("base64url");
+    return `${headerPart}.${payloadPart}.${signature}`;
+}
+
+function readBearer(req) {
+    const header = String(req.headers.authorization || "");
+    const m = header.match(/^Bearer\s+(.+)$/i);
+    return m ? m[1].trim() : "";
+}
+
+// Appel fait depuis la machine du streamer (OBS, Stream Deck, page admin locale) et pas via un tunnel/proxy
+function isLocalRequest(req) {
+    const addr = String(req.socket?.remoteAddress || "");
+    const isLoopback = addr === "127.0.0.1" || addr === "::1" || addr === "::ffff:127.0.0.1";
+    return isLoopback && !req.headers["x-forwarded-for"];
+}
+
+/**
+ * Fabrique le middleware d'auth.
+ * - secret : secret d'extension en base64
+ * - allowLocal : accepte les appels locaux sans JWT (rôle broadcaster)
+ * - localChannelId : chaîne attribuée à ces appels locaux
+ *
+ * authenticate(req, token) accepte un token explicite (ex : ?token= pour le WebSocket).
+ */
+export function createAuth({ secret, allowLocal, localChannelId }) {
+    function authenticate(req, token = readBearer(req)) {
+        if (!token && allowLocal && isLocalRequest(req)) {
+            return { channel_id: localChannelId, role: "broadcaster", opaque_user_id: "", user_id: "", local: true };
+        }
+        if (!token) throw new Error("JWT manquant (Authorization: Bearer ...)");
+        const payload = verifyExtensionJwt(token, secret);
+        return {
+            channel_id: String(payload.channel_id ?? ""),
+            role: String(payload.role ?? ""),
+            opaque_user_id: String(payload.opaque_user_id ?? ""),
+            user_id: String(payload.user_id ?? ""),
+            local: false
+        };
+    }
+
+    function requireAuth(req, res, next) {
+        try {
+            req.auth = authenticate(req);
+        } catch (e) {
+            return res.status(401).json({ error: e.message });
+        }
+        next();
+    }
+
+    return { authenticate, requireAuth };
+}
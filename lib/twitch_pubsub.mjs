@@ -0,0 +1,104 @@
+/**
+ * Push d'état vers les panels hébergés via Twitch Extension PubSub (endpoint "Send Extension PubSub Message").
+ * - L'EBS signe son propre JWT (role "external") avec le secret d'extension
+ * - Un message par chaîne et par seconde au plus (Twitch limite à 100 messages/minute/chaîne) :
+ *   les mises à jour d'état rapprochées sont fusionnées, seule la dernière part ;
+ *   les messages ponctuels (alertes) ne sont jamais fusionnés et partent avant l'état en attente
+ * - Chaque message porte un numéro de séquence par chaîne pour que le panel détecte les trous
+ * - Un message au-delà de 5 Ko est remplacé par { type: "refetch", seq } : le panel recharge /state
+ */
+
+import { signExtensionJwt } from "./twitch_jwt.mjs";
+
+export const DEFAULT_PUBSUB_URL = "https://api.twitch.tv/helix/extensions/pubsub";
+
+// Taille max d'un message PubSub côté Twitch
+const MAX_MESSAGE_BYTES = 5 * 1024;
+
+export function createPubSub({ clientId, ownerId, secret, url = DEFAULT_PUBSUB_URL, minIntervalMs = 1000 }) {
+    const enabled = Boolean(clientId && ownerId && secret);
+    const pending = new Map(); // channelId -> dernier payload en attente
+    const queues = new Map(); // channelId -> messages ponctuels en attente (non fusionnés)
+    const timers = new Map(); // channelId -> timer de throttle
+    const lastSentAt = new Map();
+    const sequences = new Map();
+
+    function authHeader(channelId) {
+        const token = signExtensionJwt(
+            {
+                exp: Math.floor(Date.now() / 1000) + 60,
+                user_id: String(ownerId),
+                role: "external",
+                channel_id: String(channelId),
+                pubsub_perms: { send: ["broadcast"] }
+            },
+            secret
+        );
+        return `Bearer ${token}`;
+    }
+
+    function schedule(channelId) {
+        if (timers.has(channelId)) return;
+        const wait = Math.max(0, (lastSentAt.get(channelId) || 0) + minIntervalMs - Date.now());
+        timers.set(channelId, setTimeout(() => send(channelId), wait));
+    }
+
+    async function send(channelId) {
+        timers.delete(channelId);
+        const queue = queues.get(channelId) || [];
+        let data = queue.shift();
+        if (!queue.length) queues.delete(channelId);
+        if (!data) {
+            data = pending.get(channelId);
+            pending.delete(channelId);
+        }
+        if (!data) return;
+
+        const seq = (sequences.get(channelId) || 0) + 1;
+        let message = JSON.stringify({ ...data, seq });
+        if (Buffer.byteLength(message) > MAX_MESSAGE_BYTES) {
+            // Plutôt qu'un panel figé : il recharge /state lui-même
+            console.warn(`[pubsub] message trop gros pour ${channelId} (${Buffer.byteLength(message)} octets), remplacé par un "refetch"`);
+            message = JSON.stringify({ type: "refetch", seq });
+        }
+        sequences.set(channelId, seq);
+        lastSentAt.set(channelId, Date.now());
+        // Reste de la file : au prochain créneau
+        if (queues.has(channelId) || pending.has(channelId)) schedule(channelId);
+
+        try {
+            const res = await fetch(url, {
+                method: "POST",
+                headers: {
+                    "Client-Id": String(clientId),
+                    Authorization: authHeader(channelId),
+                    "Content-Type": "application/json"
+                },
+                body: JSON.stringify({
+                    target: ["broadcast"],
+                    broadcaster_id: String(channelId),
+                    is_global_broadcast: false,
+                    message
+                })
+            });
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        } catch (e) {
+            // Le panel retombe sur le polling s'il ne reçoit plus rien
+            console.warn(`[pubsub] envoi KO pour ${channelId}:`, e.message);
+        }
+    }
+
+    /**
+     * Programme l'envoi de data sur le topic broadcast de la chaîne.
+     * coalesce : false pour un message qui ne doit pas être remplacé par le suivant (alerte).
+     * Seules les chaînes Twitch réelles (ID numérique) sont concernées.
+     */
+    function publish(channelId, data, { coalesce = true } = {}) {
+        if (!enabled || !/^\d+$/.test(String(channelId))) return;
+        if (coalesce) pending.set(channelId, data);
+        else queues.set(channelId, [...(queues.get(channelId) || []), data]);
+        schedule(channelId);
+    }
+
+    return { enabled, publish };
+}
@@ -0,0 +1,69 @@
+/**
+ * Protocole WebSocket (/ws) entre le serveur et l'overlay / le panel.
+ * Message serveur : { type, version, seq, data }
+ * - type "state" : état complet de la chaîne (à la connexion, sur demande de resync, ou si un patch serait plus lourd)
+ * - type "patch" : opérations JSON Patch (lib/json_patch.mjs) à appliquer sur le dernier état reçu
+ * - type "alert" : alerte d'event ponctuelle (data = alerte)
+ * - seq : numéro croissant par chaîne et projection (état complet / public), commun aux clients concernés ;
+ *   un client qui voit un trou (seq > dernier + 1) a manqué un message et redemande l'état complet
+ * Message client : { type: "resync" } -> le serveur renvoie un "state".
+ *
+ * Heartbeat : ping WebSocket régulier, un client qui n'a pas répondu au ping précédent est coupé.
+ */
+
+export const WS_PROTOCOL_VERSION = 1;
+
+export const WS_MESSAGE_TYPES = ["state", "patch", "alert"];
+
+// Numéros de séquence par clé (chaîne et projection ; repartent de 0 au redémarrage : le client se recale sur le "state" de connexion)
+export function createSequencer() {
+    const sequences = new Map();
+    return {
+        next(channelId) {
+            const seq = (sequences.get(channelId) || 0) + 1;
+            sequences.set(channelId, seq);
+            return seq;
+        },
+        current: (channelId) => sequences.get(channelId) || 0
+    };
+}
+
+export function encodeMessage(type, seq, data) {
+    if (!WS_MESSAGE_TYPES.includes(type)) throw new Error(`Type de message WS inconnu : "${type}"`);
+    return JSON.stringify({ type, version: WS_PROTOCOL_VERSION, seq, data });
+}
+
+// Message client (JSON) ; null s'il est illisible
+export function decodeClientMessage(raw) {
+    try {
+        const msg = JSON.parse(String(raw));
+        return msg && typeof msg === "object" && typeof msg.type === "string" ? msg : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Ping de tous les clients toutes les intervalMs ; coupe ceux qui n'ont pas répondu (pong) depuis le tour précédent.
+ * Renvoie la fonction d'arrêt.
+ */
+export function startHeartbeat(wss, intervalMs) {
+    wss.on("connection", (ws) => {
+        ws.isAlive = true;
+        ws.on("pong", () => {
+            ws.isAlive = true;
+        });
+    });
+    const timer = setInterval(() => {
+        for (const ws of wss.clients) {
+            if (ws.isAlive === false) {
+                ws.terminate();
+                continue;
+            }
+            ws.isAlive = false;
+            ws.ping();
+        }
+    }, intervalMs);
+    timer.unref?.();
+    return () => clearInterval(timer);
+}
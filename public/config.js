@@ -33,12 +33,20 @@ async function safeJson(res) {
 
 // Jeton JWT fourni par Twitch
 let twitchToken = '';
+const authWaiters = [];
 if (window.Twitch && Twitch.ext) {
     Twitch.ext.onAuthorized(function (auth) {
         twitchToken = auth.token;
+        authWaiters.splice(0).forEach((fn) => fn());
     });
 }
 
+// Exécute fn dès qu'un JWT est disponible (immédiatement hors Twitch : appels locaux sans JWT)
+function whenAuthorized(fn) {
+    if (twitchToken || !(window.Twitch && Twitch.ext)) fn();
+    else authWaiters.push(fn);
+}
+
 // Affiche un message dans l'élément #notice
 function notify(message, type = 'info') {
     const notice = document.getElementById('notice');
@@ -100,10 +108,6 @@ function linesToArray(text) {
     return text.split('\n').map((s) => s.trim()).filter(Boolean);
 }
 
-function arrayToLines(arr) {
-    return (arr || []).join('\n');
-}
-
 // Ouvre l'overlay dans un nouvel onglet (panel ou overlay).  En local, /overlay existe
 // sur le même domaine.  En hébergé, ce chemin ne sera pas disponible ; vous pouvez
 // désactiver ce bouton ou changer pour afficher votre overlay via une URL publique.
@@ -113,6 +117,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // La sandbox Twitch bloque alert()/confirm(). On remplace la confirmation par un "double-clic".
     let deleteArmedUntil = 0;
+    let importUpdateArmed = { url: '', until: 0 };
     const openBtn = document.getElementById('btnOpenOverlay');
     if (openBtn) {
         openBtn.onclick = () => {
@@ -122,28 +127,117 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     document.getElementById('btnImport').onclick = async () => {
-        const url = document.getElementById('mobUrl').value.trim();
+        const url = document.getElementById('importUrl').value.trim();
         if (!url) {
-            notify('Colle une URL Mobalytics.', 'error');
+            notify('Colle une URL de build (Mobalytics, Maxroll, d4builds).', 'error');
             return;
         }
         try {
-            const res = await api(`/import/mobalytics?url=${encodeURIComponent(url)}`);
+            // Build déjà présente (même URL) : un 2e clic dans les 5s la met à jour sur place
+            const update = importUpdateArmed.url === url && Date.now() < importUpdateArmed.until;
+            const res = await api(`/import?url=${encodeURIComponent(url)}${update ? '&mode=update' : ''}`);
             const json = await safeJson(res);
+            if (json.duplicate) {
+                importUpdateArmed = { url, until: Date.now() + 5000 };
+                notify(`Build déjà présente (#${json.index + 1}). Clique une 2e fois sur "Importer" pour la mettre à jour (5s).`, 'info');
+                return;
+            }
+            importUpdateArmed = { url: '', until: 0 };
             if (!json.ok) throw new Error(json.error || 'Erreur inconnue');
-            notify('Import OK !', 'success');
+            // Identifiants sans nom dans la source (Maxroll) : à compléter à la main dans la carte Stuff
+            const unresolved = json.build?.unresolved?.length || 0;
+            const done = json.updated ? 'Build existante mise à jour !' : 'Import OK !';
+            notify(unresolved ? `${done} ${unresolved} nom(s) non résolu(s) par la source : complète la carte Stuff.` : done, 'success');
         } catch (e) {
             notify('Import KO : ' + e.message, 'error');
         }
     };
 
-    // Compteurs
-    document.getElementById('dInc').onclick = () => api('/counter/deaths/inc', { method: 'POST' });
-    document.getElementById('dDec').onclick = () => api('/counter/deaths/dec', { method: 'POST' });
-    document.getElementById('uInc').onclick = () => api('/counter/uniques/inc', { method: 'POST' });
-    document.getElementById('uDec').onclick = () => api('/counter/uniques/dec', { method: 'POST' });
-    document.getElementById('cResetDeaths').onclick = () => api('/counter/deaths/reset', { method: 'POST' });
-    document.getElementById('cResetUniques').onclick = () => api('/counter/uniques/reset', { method: 'POST' });
+    // Compteurs : une ligne par compteur (icône, libellé, objectif) avec +1 / -1 / reset, et création.
+    // La suppression demande un 2e clic (pas de confirm() dans la sandbox Twitch).
+    let counterDeleteArmed = { name: '', until: 0 };
+
+    function renderCounters(state) {
+        const list = document.getElementById('counterList');
+        list.innerHTML = '';
+        (state.counterDefs || []).forEach((def) => {
+            const row = document.createElement('div');
+            row.className = 'ctrRow';
+            const input = (value, placeholder, type = 'text') => {
+                const field = document.createElement('input');
+                field.type = type;
+                field.value = value ?? '';
+                field.placeholder = placeholder;
+                return field;
+            };
+            const icon = input(def.icon, '🏆');
+            const label = input(def.label, 'Libellé');
+            const target = input(def.target, 'Objectif', 'number');
+            target.min = '0';
+            const value = document.createElement('span');
+            value.className = 'ctrValue';
+            const count = state.counters?.[def.name] ?? 0;
+            value.textContent = def.target ? `${count}/${def.target}` : String(count);
+            value.title = `POST /counters/${def.name}/inc`;
+            const btns = document.createElement('div');
+            btns.className = 'hlBtns';
+            const btn = (text, title, onClick, secondary = true) => {
+                const b = document.createElement('button');
+                if (secondary) b.className = 'secondary';
+                b.textContent = text;
+                b.title = title;
+                b.onclick = onClick;
+                btns.appendChild(b);
+            };
+            const path = `/counters/${encodeURIComponent(def.name)}`;
+            btn('+1', 'Incrémenter', () => counterAction(`${path}/inc`), false);
+            btn('-1', 'Décrémenter', () => counterAction(`${path}/dec`));
+            btn('0', 'Remettre à zéro', () => counterAction(`${path}/reset`));
+            btn('✓', 'Enregistrer icône / libellé / objectif', async () => {
+                if (await counterAction(`${path}/update`, { icon: icon.value, label: label.value, target: target.value })) {
+                    notify('Compteur enregistré !', 'success');
+                }
+            });
+            btn('✕', 'Supprimer', async () => {
+                const now = Date.now();
+                if (counterDeleteArmed.name !== def.name || now > counterDeleteArmed.until) {
+                    counterDeleteArmed = { name: def.name, until: now + 5000 };
+                    notify(`Clique une 2e fois sur ✕ pour supprimer "${def.label}" (5s).`, 'info');
+                    return;
+                }
+                counterDeleteArmed = { name: '', until: 0 };
+                if (await counterAction(`${path}/delete`)) notify('Compteur supprimé.', 'success');
+            });
+            row.append(icon, label, target, value, btns);
+            list.appendChild(row);
+        });
+    }
+
+    async function counterAction(path, body) {
+        const json = await postJson(path, body);
+        if (!json.ok) {
+            notify('Compteur KO : ' + (json.error || ''), 'error');
+            return null;
+        }
+        renderCounters(await loadState());
+        return json;
+    }
+
+    document.getElementById('btnCounterAdd').onclick = async () => {
+        const body = {
+            icon: document.getElementById('newCounterIcon').value.trim(),
+            label: document.getElementById('newCounterLabel').value.trim(),
+            target: document.getElementById('newCounterTarget').value
+        };
+        if (!body.label) {
+            notify('Donne un libellé au compteur.', 'error');
+            return;
+        }
+        const json = await counterAction('/counters', body);
+        if (!json) return;
+        ['newCounterIcon', 'newCounterLabel', 'newCounterTarget'].forEach((x) => { document.getElementById(x).value = ''; });
+        notify(`Compteur "${json.counter.label}" créé (POST /counters/${json.counter.name}/inc).`, 'success');
+    };
 
     // Sauvegarde de la build courante
     document.getElementById('btnSaveBuild').onclick = async () => {
@@ -155,7 +249,8 @@ document.addEventListener('DOMContentLoaded', () => {
             title: document.getElementById('bTitle').value.trim(),
             author: document.getElementById('bAuthor').value.trim(),
             updatedOn: document.getElementById('bUpdated').value.trim(),
-            url: document.getElementById('bUrl').value.trim()
+            url: document.getElementById('bUrl').value.trim(),
+            highlights: highlightsDraft.filter((h) => h.slot || h.item || h.aspect)
         };
         const json = await postJson('/build/update', body);
         if (!json.ok) {
@@ -181,9 +276,154 @@ document.addEventListener('DOMContentLoaded', () => {
         document.getElementById('bAuthor').value = b.author || '';
         document.getElementById('bUpdated').value = b.updatedOn || '';
         document.getElementById('bUrl').value = b.url || '';
-        document.getElementById('objText').value = arrayToLines(state.objectives);
+        document.getElementById('objText').value = (state.objectives || []).map(objectiveLine).join('\n');
+        document.getElementById('objCollapse').value = state.objectivesCollapseSec ?? 60;
+        renderObjectiveList(state);
+        renderCounters(state);
+        setAlertRules(state.alertRules);
+        setLayout(state.overlayLayout);
+        setTheme(state.theme);
+        setHighlights(b.highlights);
+        renderResync(b, clamped);
+    }
+
+    // Éditeur de la carte Stuff : une ligne par slot (slot, objet, rareté, aspect), réordonnable
+    let highlightsDraft = [];
+    const RARITIES = [['', '—'], ['legendary', 'Légendaire'], ['unique', 'Unique'], ['mythic', 'Mythique']];
+
+    function setHighlights(list) {
+        highlightsDraft = (list || []).map((h) => (typeof h === 'string'
+            ? { slot: '', item: h, rarity: '', aspect: '' }
+            : { slot: h.slot || '', item: h.item || '', rarity: h.rarity || '', aspect: h.aspect || '' }));
+        renderHighlights();
+    }
+
+    function renderHighlights() {
+        const list = document.getElementById('hlList');
+        list.innerHTML = '';
+        highlightsDraft.forEach((h, i) => {
+            const row = document.createElement('div');
+            row.className = 'hlRow';
+            const field = (key, placeholder) => {
+                const input = document.createElement('input');
+                input.value = h[key];
+                input.placeholder = placeholder;
+                input.oninput = () => { h[key] = input.value; };
+                return input;
+            };
+            const rarity = document.createElement('select');
+            RARITIES.forEach(([value, label]) => {
+                const opt = document.createElement('option');
+                opt.value = value;
+                opt.textContent = label;
+                rarity.appendChild(opt);
+            });
+            rarity.value = h.rarity;
+            rarity.onchange = () => { h.rarity = rarity.value; };
+            const btns = document.createElement('div');
+            btns.className = 'hlBtns';
+            const btn = (label, title, onClick) => {
+                const b = document.createElement('button');
+                b.className = 'secondary';
+                b.textContent = label;
+                b.title = title;
+                b.onclick = onClick;
+                btns.appendChild(b);
+            };
+            const move = (delta) => {
+                const j = i + delta;
+                if (j < 0 || j >= highlightsDraft.length) return;
+                [highlightsDraft[i], highlightsDraft[j]] = [highlightsDraft[j], highlightsDraft[i]];
+                renderHighlights();
+            };
+            btn('↑', 'Monter', () => move(-1));
+            btn('↓', 'Descendre', () => move(1));
+            btn('✕', 'Supprimer', () => {
+                highlightsDraft.splice(i, 1);
+                renderHighlights();
+            });
+            row.append(field('slot', 'Slot (Helm…)'), field('item', 'Objet'), rarity, field('aspect', 'Aspect (optionnel)'), btns);
+            list.appendChild(row);
+        });
     }
 
+    document.getElementById('hlAdd').onclick = () => {
+        highlightsDraft.push({ slot: '', item: '', rarity: '', aspect: '' });
+        renderHighlights();
+    };
+
+    // Re-sync : affiche les changements détectés sur la source de la build affichée
+    let resyncIndex = 0;
+    let resyncUrl = '';
+    function renderResync(b, index) {
+        resyncIndex = index;
+        resyncUrl = b.url || '';
+        const pending = b.pendingUpdate;
+        const box = document.getElementById('resyncBox');
+        box.hidden = !pending;
+        if (!pending) return;
+        document.getElementById('resyncTitle').textContent = `Source modifiée (vérifiée le ${new Date(pending.fetchedAt).toLocaleString()}) :`;
+        const list = document.getElementById('resyncChanges');
+        list.innerHTML = '';
+        (pending.changes || []).forEach((c) => {
+            const li = document.createElement('li');
+            li.textContent = c.label;
+            list.appendChild(li);
+        });
+    }
+
+    async function resync(body) {
+        notify('Re-sync en cours…', 'info');
+        const json = await postJson('/build/resync', body);
+        if (!json.ok) {
+            notify('Re-sync KO : ' + (json.error || ''), 'error');
+            return;
+        }
+        await loadAndFill();
+        const results = json.results || [];
+        const changed = results.filter((r) => r.changes?.length).length;
+        const failed = results.filter((r) => r.error);
+        if (failed.length) {
+            notify(`Re-sync : ${failed.length} erreur(s) — ${failed[0].error}`, 'error');
+            return;
+        }
+        notify(changed ? `Re-sync : ${changed} build(s) modifiée(s) à valider.` : 'Re-sync : aucune modification.', 'success');
+    }
+
+    document.getElementById('btnResync').onclick = () => resync({ index: resyncIndex });
+    document.getElementById('btnResyncAll').onclick = () => resync({ all: true });
+    // Accept / discard visent la build par son URL : son index a pu bouger depuis l'affichage
+    const resyncTarget = () => (resyncUrl ? { url: resyncUrl } : { index: resyncIndex });
+    document.getElementById('btnResyncAccept').onclick = async () => {
+        const json = await postJson('/build/resync/accept', resyncTarget());
+        if (!json.ok) {
+            notify('Application KO : ' + (json.error || ''), 'error');
+            return;
+        }
+        await loadAndFill();
+        notify('Build mise à jour depuis la source.', 'success');
+    };
+    document.getElementById('btnResyncDiscard').onclick = async () => {
+        const json = await postJson('/build/resync/discard', resyncTarget());
+        if (!json.ok) {
+            notify('KO : ' + (json.error || ''), 'error');
+            return;
+        }
+        await loadAndFill();
+        notify('Changements ignorés.', 'success');
+    };
+
+    // Fusion des doublons (même URL) de la bibliothèque
+    document.getElementById('btnDedupe').onclick = async () => {
+        const json = await postJson('/build/dedupe', {});
+        if (!json.ok) {
+            notify('Fusion KO : ' + (json.error || ''), 'error');
+            return;
+        }
+        await loadAndFill();
+        notify(json.removed ? `${json.removed} doublon(s) fusionné(s).` : 'Aucun doublon.', 'success');
+    };
+
     async function navBuild(dir) {
         const path = dir === 'next' ? '/build/next' : '/build/prev';
         await postJson(path, {});
@@ -217,17 +457,535 @@ document.addEventListener('DOMContentLoaded', () => {
         notify('Build supprimée.', 'success');
     };
 
+    // Objectifs : liste cochable (toggle, progression -1 / +1, ordre) ; la zone de texte remplace la liste
+    // (une ligne par objectif, "Texte 3/10" pour une progression)
+    const objectiveLine = (o) => (o.progress ? `${o.text} ${o.progress.current}/${o.progress.target}` : o.text);
+
+    function renderObjectiveList(state) {
+        const list = document.getElementById('objList');
+        list.innerHTML = '';
+        const objectives = state.objectives || [];
+        objectives.forEach((objective, i) => {
+            const row = document.createElement('div');
+            row.className = objective.done ? 'objRow done' : 'objRow';
+            const path = `/objectives/${encodeURIComponent(objective.id)}`;
+            const btn = (text, title, onClick, secondary = true) => {
+                const b = document.createElement('button');
+                if (secondary) b.className = 'secondary';
+                b.textContent = text;
+                b.title = title;
+                b.onclick = onClick;
+                return b;
+            };
+            const check = btn(objective.done ? '✓' : ' ', objective.done ? 'Marquer comme à faire' : 'Marquer comme terminé', () => objectiveAction(`${path}/toggle`));
+            const text = document.createElement('span');
+            text.className = 'objText';
+            text.textContent = objective.progress ? `${objective.text} (${objective.progress.current}/${objective.progress.target})` : objective.text;
+            const btns = document.createElement('div');
+            btns.className = 'hlBtns';
+            if (objective.progress) {
+                btns.append(
+                    btn('-1', 'Reculer', () => objectiveAction(`${path}/dec`)),
+                    btn('+1', 'Avancer', () => objectiveAction(`${path}/inc`), false)
+                );
+            }
+            const up = btn('↑', 'Monter', () => objectiveAction(`${path}/move`, { index: i - 1 }));
+            up.disabled = i === 0;
+            const down = btn('↓', 'Descendre', () => objectiveAction(`${path}/move`, { index: i + 1 }));
+            down.disabled = i === objectives.length - 1;
+            btns.append(up, down);
+            row.append(check, text, btns);
+            list.appendChild(row);
+        });
+    }
+
+    async function objectiveAction(path, body) {
+        const json = await postJson(path, body);
+        if (!json.ok) {
+            notify('Objectif KO : ' + (json.error || ''), 'error');
+            return;
+        }
+        const state = await loadState();
+        renderObjectiveList(state);
+        document.getElementById('objText').value = (state.objectives || []).map(objectiveLine).join('\n');
+    }
+
     // Sauvegarde des objectifs
     document.getElementById('btnSaveObj').onclick = async () => {
         const objectives = linesToArray(document.getElementById('objText').value);
-        const json = await postJson('/objectives', { objectives });
+        const json = await postJson('/objectives', { objectives, collapseSec: document.getElementById('objCollapse').value });
         if (!json.ok) {
-            notify('Enregistrement des objectifs KO', 'error');
+            notify('Enregistrement des objectifs KO : ' + (json.error || ''), 'error');
             return;
         }
+        renderObjectiveList(json);
         notify('Objectifs enregistrés !', 'success');
     };
 
+    // Alertes d'events : une ligne par règle (type, minutes avant, son, active)
+    const ALERT_TYPES = [['world_boss', 'World Boss'], ['legion', 'Légion'], ['helltide', 'Helltide']];
+    let alertRulesDraft = [];
+
+    function setAlertRules(rules) {
+        alertRulesDraft = (rules || []).map((rule) => ({ ...rule }));
+        renderAlertRules();
+    }
+
+    function renderAlertRules() {
+        const list = document.getElementById('alertRules');
+        list.innerHTML = '';
+        alertRulesDraft.forEach((rule, i) => {
+            const row = document.createElement('div');
+            row.className = 'alertRow';
+            const type = document.createElement('select');
+            ALERT_TYPES.forEach(([value, text]) => type.appendChild(new Option(text, value, false, value === rule.type)));
+            type.onchange = () => { rule.type = type.value; };
+            const minutes = document.createElement('input');
+            minutes.type = 'number';
+            minutes.min = '1';
+            minutes.max = '120';
+            minutes.value = rule.minutesBefore ?? 5;
+            minutes.title = 'Minutes avant le début';
+            minutes.oninput = () => { rule.minutesBefore = Number(minutes.value); };
+            const check = (text, key) => {
+                const label = document.createElement('label');
+                const box = document.createElement('input');
+                box.type = 'checkbox';
+                box.checked = rule[key] !== false;
+                box.onchange = () => { rule[key] = box.checked; };
+                label.append(box, text);
+                return label;
+            };
+            const del = document.createElement('button');
+            del.className = 'secondary';
+            del.textContent = '✕';
+            del.title = 'Supprimer la règle';
+            del.onclick = () => {
+                alertRulesDraft.splice(i, 1);
+                renderAlertRules();
+            };
+            row.append(type, minutes, check('Son', 'sound'), check('Active', 'enabled'), del);
+            list.appendChild(row);
+        });
+    }
+
+    document.getElementById('btnAlertAdd').onclick = () => {
+        alertRulesDraft.push({ type: 'world_boss', minutesBefore: 5, sound: true, enabled: true });
+        renderAlertRules();
+    };
+
+    document.getElementById('btnSaveAlerts').onclick = async () => {
+        const json = await postJson('/alerts/rules', { rules: alertRulesDraft });
+        if (!json.ok) {
+            notify('Enregistrement des alertes KO : ' + (json.error || ''), 'error');
+            return;
+        }
+        setAlertRules(json.alertRules);
+        notify('Alertes enregistrées !', 'success');
+    };
+
+    document.getElementById('btnAlertTest').onclick = async () => {
+        const json = await postJson('/alerts/test');
+        if (!json.ok) {
+            notify('Test KO : ' + (json.error || ''), 'error');
+            return;
+        }
+        notify('Alerte de test envoyée à l\'overlay.', 'success');
+    };
+
+    // Thème : thème intégré + surcharges (vides = valeurs du thème), aperçu en direct dans l'iframe
+    const THEMES = [['classic', 'Classique'], ['gothic', 'Gothique (sombre)'], ['minimal', 'Minimal'], ['contrast', 'Contraste élevé']];
+    const THEME_FONTS = [['', 'Police du thème'], ['system', 'Système'], ['serif', 'Serif'], ['gothic', 'Gothique'], ['mono', 'Monospace'], ['condensed', 'Condensée']];
+    const themeField = (name) => document.getElementById(name);
+    THEMES.forEach(([value, text]) => themeField('themeId').appendChild(new Option(text, value)));
+    THEME_FONTS.forEach(([value, text]) => themeField('themeFont').appendChild(new Option(text, value)));
+
+    function themeDraft() {
+        const number = (input) => (input.value === '' ? null : Number(input.value));
+        return {
+            id: themeField('themeId').value,
+            accent: themeField('themeAccentOn').checked ? themeField('themeAccent').value : null,
+            opacity: number(themeField('themeOpacity')),
+            font: themeField('themeFont').value || null,
+            radius: number(themeField('themeRadius'))
+        };
+    }
+
+    // L'iframe d'aperçu est sur la même origine que la page config (local comme hébergé)
+    function previewTheme() {
+        const frame = themeField('themePreview');
+        if (frame.contentWindow) frame.contentWindow.postMessage({ type: 'theme', theme: themeDraft() }, window.location.origin);
+    }
+
+    function setTheme(theme) {
+        const t = theme || {};
+        themeField('themeId').value = t.id || 'classic';
+        themeField('themeFont').value = t.font || '';
+        themeField('themeAccentOn').checked = Boolean(t.accent);
+        if (t.accent) themeField('themeAccent').value = t.accent;
+        themeField('themeOpacity').value = t.opacity ?? '';
+        themeField('themeRadius').value = t.radius ?? '';
+        previewTheme();
+    }
+
+    ['themeId', 'themeFont', 'themeAccentOn'].forEach((name) => { themeField(name).onchange = previewTheme; });
+    ['themeOpacity', 'themeRadius'].forEach((name) => { themeField(name).oninput = previewTheme; });
+    // Choisir une couleur active la couleur personnalisée
+    themeField('themeAccent').oninput = () => {
+        themeField('themeAccentOn').checked = true;
+        previewTheme();
+    };
+    themeField('themePreview').onload = previewTheme;
+
+    document.getElementById('btnSaveTheme').onclick = async () => {
+        const json = await postJson('/theme', themeDraft());
+        if (!json.ok) {
+            notify('Enregistrement du thème KO : ' + (json.error || ''), 'error');
+            return;
+        }
+        setTheme(json.theme);
+        notify('Thème enregistré !', 'success');
+    };
+
+    // Disposition de l'overlay : une ligne par carte (visible, ordre, taille, opacité du fond)
+    const WIDGET_LABELS = { build: 'Build', events: 'Events', objectives: 'Objectifs', counters: 'Compteurs', gear: 'Stuff' };
+    // Pages servies par le serveur local (en hébergé Twitch : celles de l'EBS)
+    const OVERLAY_BASE = API_BASE || window.location.origin;
+    let layoutDraft = [];
+
+    function setLayout(layout) {
+        layoutDraft = (layout || []).map((widget) => ({ ...widget }));
+        renderLayout();
+    }
+
+    function renderLayout() {
+        const list = document.getElementById('layoutList');
+        list.innerHTML = '';
+        layoutDraft.forEach((widget, i) => {
+            const row = document.createElement('div');
+            row.className = 'layoutRow';
+
+            const label = document.createElement('label');
+            const box = document.createElement('input');
+            box.type = 'checkbox';
+            box.checked = widget.visible !== false;
+            box.onchange = () => { widget.visible = box.checked; };
+            label.append(box, WIDGET_LABELS[widget.id] || widget.id);
+
+            const btns = document.createElement('div');
+            btns.className = 'hlBtns';
+            const move = (text, title, delta) => {
+                const b = document.createElement('button');
+                b.className = 'secondary';
+                b.textContent = text;
+                b.title = title;
+                b.disabled = !layoutDraft[i + delta];
+                b.onclick = () => {
+                    layoutDraft.splice(i + delta, 0, layoutDraft.splice(i, 1)[0]);
+                    renderLayout();
+                };
+                return b;
+            };
+            btns.append(move('▲', 'Monter', -1), move('▼', 'Descendre', 1));
+
+            const percent = (key, min, max) => {
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.min = String(min);
+                input.max = String(max);
+                input.value = widget[key] ?? '';
+                // Opacité vide : celle du thème
+                if (key === 'opacity') input.placeholder = 'thème';
+                input.oninput = () => { widget[key] = input.value === '' ? null : Number(input.value); };
+                return input;
+            };
+
+            const link = document.createElement('a');
+            link.href = `${OVERLAY_BASE}/overlay/${widget.id}`;
+            link.target = '_blank';
+            link.rel = 'noreferrer';
+            link.textContent = `/overlay/${widget.id}`;
+
+            row.append(label, btns, percent('scale', 50, 200), percent('opacity', 0, 100), link);
+            list.appendChild(row);
+        });
+    }
+
+    document.getElementById('btnSaveLayout').onclick = async () => {
+        const json = await postJson('/overlay/layout', { widgets: layoutDraft });
+        if (!json.ok) {
+            notify('Enregistrement de la disposition KO : ' + (json.error || ''), 'error');
+            return;
+        }
+        setLayout(json.overlayLayout);
+        notify('Disposition enregistrée !', 'success');
+    };
+
+    // OBS : connexion (mot de passe jamais relu) + une ligne par règle déclencheur -> action
+    const OBS_TRIGGERS = [['counter_up', 'Compteur +1'], ['alert', 'Alerte d\'event'], ['build_change', 'Changement de build']];
+    const OBS_ACTIONS = [['show_source', 'Afficher une source'], ['switch_scene', 'Changer de scène'], ['set_text', 'Modifier un texte']];
+    const OBS_EVENT_TYPES = [['', 'Tous les events'], ...ALERT_TYPES];
+    const OBS_STATUS = {
+        connected: 'Connecté à OBS',
+        connecting: 'Connexion à OBS…',
+        auth_failed: 'Mot de passe obs-websocket refusé',
+        disconnected: 'OBS injoignable'
+    };
+    let obsRulesDraft = [];
+
+    function obsSelect(options, value, onchange) {
+        const select = document.createElement('select');
+        options.forEach(([v, text]) => select.appendChild(new Option(text, v, false, v === value)));
+        select.onchange = () => onchange(select.value);
+        return select;
+    }
+
+    function obsInput(rule, key, placeholder, type = 'text') {
+        const input = document.createElement('input');
+        input.type = type;
+        input.placeholder = placeholder;
+        input.value = rule[key] ?? '';
+        input.oninput = () => { rule[key] = type === 'number' ? Number(input.value) : input.value; };
+        return input;
+    }
+
+    function renderObsRules() {
+        const list = document.getElementById('obsRules');
+        list.innerHTML = '';
+        obsRulesDraft.forEach((rule, i) => {
+            const row = document.createElement('div');
+            row.className = 'obsRow';
+            row.appendChild(obsSelect(OBS_TRIGGERS, rule.trigger, (v) => { rule.trigger = v; renderObsRules(); }));
+            if (rule.trigger === 'counter_up') row.appendChild(obsInput(rule, 'counter', 'deaths'));
+            if (rule.trigger === 'alert') row.appendChild(obsSelect(OBS_EVENT_TYPES, rule.eventType || '', (v) => { rule.eventType = v; }));
+            row.appendChild(obsSelect(OBS_ACTIONS, rule.action, (v) => { rule.action = v; renderObsRules(); }));
+            if (rule.action !== 'set_text') row.appendChild(obsInput(rule, 'scene', rule.action === 'switch_scene' ? 'Scène' : 'Scène (en cours si vide)'));
+            if (rule.action !== 'switch_scene') row.appendChild(obsInput(rule, 'source', 'Source'));
+            if (rule.action === 'show_source') {
+                const duration = obsInput(rule, 'durationSec', '3', 'number');
+                duration.min = '1';
+                duration.title = 'Durée d\'affichage (s)';
+                row.appendChild(duration);
+            }
+            if (rule.action === 'set_text') row.appendChild(obsInput(rule, 'text', '{build}'));
+
+            const label = document.createElement('label');
+            const box = document.createElement('input');
+            box.type = 'checkbox';
+            box.checked = rule.enabled !== false;
+            box.onchange = () => { rule.enabled = box.checked; };
+            label.append(box, 'Active');
+
+            const test = document.createElement('button');
+            test.className = 'secondary';
+            test.textContent = 'Tester';
+            test.disabled = !rule.id;
+            test.title = rule.id ? 'Jouer la règle enregistrée dans OBS' : 'Enregistrer avant de tester';
+            test.onclick = async () => {
+                const json = await postJson('/obs/test', { id: rule.id });
+                if (!json.ok) {
+                    notify('Test OBS KO : ' + (json.error || ''), 'error');
+                    return;
+                }
+                notify('Règle jouée dans OBS.', 'success');
+            };
+
+            const del = document.createElement('button');
+            del.className = 'secondary';
+            del.textContent = '✕';
+            del.title = 'Supprimer la règle';
+            del.onclick = () => {
+                obsRulesDraft.splice(i, 1);
+                renderObsRules();
+            };
+            row.append(label, test, del);
+            list.appendChild(row);
+        });
+    }
+
+    function renderObsStatus(connection) {
+        const status = document.getElementById('obsStatus');
+        const key = connection ? connection.status : '';
+        status.className = `obsStatus ${key}`;
+        status.textContent = connection
+            ? `${OBS_STATUS[key] || key}${connection.error && key !== 'connected' ? ` (${connection.error})` : ''}`
+            : 'Pilotage désactivé';
+    }
+
+    function setObs(json) {
+        const obs = json.obs || {};
+        document.getElementById('obsEnabled').checked = obs.enabled === true;
+        document.getElementById('obsHost').value = obs.host || '';
+        document.getElementById('obsPort').value = obs.port || 4455;
+        const password = document.getElementById('obsPassword');
+        password.value = '';
+        password.placeholder = obs.hasPassword ? '(inchangé)' : 'aucun';
+        obsRulesDraft = (obs.rules || []).map((rule) => ({ ...rule }));
+        renderObsRules();
+        renderObsStatus(json.connection);
+    }
+
+    async function loadObs() {
+        const json = await safeJson(await api('/obs'));
+        if (!json.ok) throw new Error(json.error || 'Erreur inconnue');
+        setObs(json);
+    }
+
+    document.getElementById('btnObsAdd').onclick = () => {
+        obsRulesDraft.push({ trigger: 'counter_up', counter: 'deaths', action: 'show_source', scene: '', source: 'RIP', durationSec: 3, enabled: true });
+        renderObsRules();
+    };
+
+    document.getElementById('btnSaveObs').onclick = async () => {
+        const body = {
+            enabled: document.getElementById('obsEnabled').checked,
+            host: document.getElementById('obsHost').value.trim(),
+            port: Number(document.getElementById('obsPort').value),
+            rules: obsRulesDraft
+        };
+        // Champ vide : le mot de passe enregistré est gardé
+        const password = document.getElementById('obsPassword').value;
+        if (password) body.password = password;
+        const json = await postJson('/obs', body);
+        if (!json.ok) {
+            notify('Enregistrement OBS KO : ' + (json.error || ''), 'error');
+            return;
+        }
+        setObs(json);
+        notify('Réglages OBS enregistrés !', 'success');
+        // Laisse le temps au client de se connecter avant de rafraîchir le statut
+        setTimeout(() => loadObs().catch(() => {}), 1500);
+    };
+
+    // Permissions modérateurs : une case par action, grisée si réservée au broadcaster
+    let permissionsCache = null;
+
+    async function loadPermissions() {
+        const res = await api('/permissions');
+        const json = await safeJson(res);
+        if (!json.ok) throw new Error(json.error || 'Erreur inconnue');
+        permissionsCache = json;
+        const list = document.getElementById('permList');
+        list.innerHTML = '';
+        Object.entries(json.actions || {}).forEach(([action, label]) => {
+            const delegable = (json.delegable || []).includes(action);
+            const row = document.createElement('label');
+            row.className = delegable ? 'perm' : 'perm locked';
+            const box = document.createElement('input');
+            box.type = 'checkbox';
+            box.dataset.action = action;
+            box.checked = delegable && (json.permissions?.moderator || []).includes(action);
+            box.disabled = !delegable;
+            const text = document.createElement('span');
+            text.textContent = delegable ? label : `${label} (broadcaster uniquement)`;
+            row.appendChild(box);
+            row.appendChild(text);
+            list.appendChild(row);
+        });
+    }
+
+    document.getElementById('btnSavePerms').onclick = async () => {
+        const moderator = [...document.querySelectorAll('#permList input[data-action]')]
+            .filter((box) => box.checked && !box.disabled)
+            .map((box) => box.dataset.action);
+        const permissions = { ...(permissionsCache?.permissions || {}), moderator };
+        const json = await postJson('/permissions', { permissions });
+        if (!json.ok) {
+            notify('Enregistrement des permissions KO : ' + (json.error || ''), 'error');
+            return;
+        }
+        notify('Permissions enregistrées !', 'success');
+    };
+
+    // Sessions : session en cours + historique (bilans), export CSV / JSON pour les récaps
+    function formatDuration(ms) {
+        const minutes = Math.floor((ms || 0) / 60000);
+        return `${Math.floor(minutes / 60)}h${String(minutes % 60).padStart(2, '0')}`;
+    }
+
+    function formatSessionDate(iso) {
+        return new Date(iso).toLocaleString('fr-FR', { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' });
+    }
+
+    // Téléchargement via fetch (le JWT ne passe pas dans un simple lien)
+    async function downloadSession(id, format) {
+        const res = await api(`/sessions/${encodeURIComponent(id)}/export?format=${format}`);
+        if (!res.ok) {
+            notify(`Export KO (HTTP ${res.status})`, 'error');
+            return;
+        }
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(await res.blob());
+        link.download = `session-${id}.${format}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    async function loadSessions() {
+        const json = await safeJson(await api('/sessions'));
+        if (!json.ok) throw new Error(json.error || 'Erreur inconnue');
+        const labels = Object.fromEntries((json.counterDefs || []).map((def) => [def.name, def.label]));
+        const current = json.current;
+        document.getElementById('sessionStatus').textContent = current
+            ? `Session en cours depuis ${formatSessionDate(current.startedAt)} (${formatDuration(current.durationMs)}${current.auto ? ', démarrée automatiquement' : ''}).`
+            : 'Aucune session en cours.';
+
+        const rows = document.getElementById('sessionRows');
+        rows.innerHTML = '';
+        [current, ...(json.sessions || [])].filter(Boolean).forEach((session) => {
+            const tr = document.createElement('tr');
+            if (session.active) tr.className = 'active';
+            // Tous les compteurs au survol (le tableau n'affiche que morts / uniques)
+            tr.title = Object.entries(session.totals).map(([name, total]) => `${labels[name] || name} : ${total}`).join('\n');
+            [
+                formatSessionDate(session.startedAt),
+                formatDuration(session.durationMs),
+                session.totals.deaths ?? 0,
+                session.perHour.deaths ?? '—',
+                session.totals.uniques ?? 0,
+                session.builds.join(', ') || '—'
+            ].forEach((value) => {
+                const td = document.createElement('td');
+                td.textContent = String(value);
+                tr.appendChild(td);
+            });
+            const exportCell = document.createElement('td');
+            ['csv', 'json'].forEach((format) => {
+                const b = document.createElement('button');
+                b.className = 'secondary';
+                b.textContent = format.toUpperCase();
+                b.onclick = () => downloadSession(session.id, format);
+                exportCell.appendChild(b);
+            });
+            tr.appendChild(exportCell);
+            rows.appendChild(tr);
+        });
+    }
+
+    document.getElementById('btnSessionStart').onclick = async () => {
+        const json = await postJson('/session/start');
+        if (!json.ok) {
+            notify('Démarrage de session KO : ' + (json.error || ''), 'error');
+            return;
+        }
+        notify(json.ended ? 'Session précédente terminée, nouvelle session démarrée.' : 'Session démarrée.', 'success');
+        await loadSessions();
+    };
+
+    document.getElementById('btnSessionEnd').onclick = async () => {
+        const json = await postJson('/session/end');
+        if (!json.ok) {
+            notify('Fin de session KO : ' + (json.error || ''), 'error');
+            return;
+        }
+        notify(`Session terminée (${formatDuration(json.session.durationMs)}).`, 'success');
+        await loadSessions();
+    };
+
+    document.getElementById('btnSessionsReload').onclick = () => loadSessions().catch((e) => notify('Sessions KO : ' + e.message, 'error'));
+
     // Chargement depuis l'état
     document.getElementById('btnLoadState').onclick = async () => {
         await loadAndFill();
@@ -236,4 +994,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Chargement initial de la build courante
     loadAndFill();
+    whenAuthorized(() => loadPermissions().catch((e) => notify('Permissions KO : ' + e.message, 'error')));
+    whenAuthorized(() => loadSessions().catch((e) => notify('Sessions KO : ' + e.message, 'error')));
+    whenAuthorized(() => loadObs().catch((e) => notify('OBS KO : ' + e.message, 'error')));
 });
\ No newline at end of file
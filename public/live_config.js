@@ -103,10 +103,6 @@ function linesToArray(text) {
     return text.split('\n').map((s) => s.trim()).filter(Boolean);
 }
 
-function arrayToLines(arr) {
-    return (arr || []).join('\n');
-}
-
 // Initialisation après chargement du DOM
 document.addEventListener('DOMContentLoaded', () => {
     // Diagnostic au chargement
@@ -114,6 +110,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // La sandbox Twitch bloque alert()/confirm(). On remplace la confirmation par un "double-clic".
     let deleteArmedUntil = 0;
+    let importUpdateArmed = { url: '', until: 0 };
     // Ouvre l'overlay dans un nouvel onglet.  Fonctionne uniquement en local si
     // l'overlay est servi par le même domaine.
     const openBtn = document.getElementById('btnOpenOverlay');
@@ -124,34 +121,124 @@ document.addEventListener('DOMContentLoaded', () => {
         };
     }
 
-    // Import Mobalytics
+    // Import de build (Mobalytics / Maxroll / d4builds)
     const imp = document.getElementById('btnImport');
     if (imp) {
         imp.onclick = async () => {
-            const url = document.getElementById('mobUrl').value.trim();
+            const url = document.getElementById('importUrl').value.trim();
             if (!url) {
-                notify('Colle une URL Mobalytics.', 'error');
+                notify('Colle une URL de build (Mobalytics, Maxroll, d4builds).', 'error');
                 return;
             }
             try {
-                const res = await api(`/import/mobalytics?url=${encodeURIComponent(url)}`);
+                // Build déjà présente (même URL) : un 2e clic dans les 5s la met à jour sur place
+                const update = importUpdateArmed.url === url && Date.now() < importUpdateArmed.until;
+                const res = await api(`/import?url=${encodeURIComponent(url)}${update ? '&mode=update' : ''}`);
                 const json = await safeJson(res);
+                if (json.duplicate) {
+                    importUpdateArmed = { url, until: Date.now() + 5000 };
+                    notify(`Build déjà présente (#${json.index + 1}). Clique une 2e fois sur "Importer" pour la mettre à jour (5s).`, 'info');
+                    return;
+                }
+                importUpdateArmed = { url: '', until: 0 };
                 if (!json.ok) throw new Error(json.error || 'Erreur inconnue');
-                notify('Import OK !', 'success');
+                // Identifiants sans nom dans la source (Maxroll) : à compléter à la main dans la carte Stuff
+                const unresolved = json.build?.unresolved?.length || 0;
+                const done = json.updated ? 'Build existante mise à jour !' : 'Import OK !';
+                notify(unresolved ? `${done} ${unresolved} nom(s) non résolu(s) par la source : complète la carte Stuff.` : done, 'success');
             } catch (e) {
                 notify('Import KO : ' + e.message, 'error');
             }
         };
     }
 
-    // Compteurs
     const id = (x) => document.getElementById(x);
-    id('dInc').onclick = () => api('/counter/deaths/inc', { method: 'POST' });
-    id('dDec').onclick = () => api('/counter/deaths/dec', { method: 'POST' });
-    id('uInc').onclick = () => api('/counter/uniques/inc', { method: 'POST' });
-    id('uDec').onclick = () => api('/counter/uniques/dec', { method: 'POST' });
-    id('cResetDeaths').onclick = () => api('/counter/deaths/reset', { method: 'POST' });
-    id('cResetUniques').onclick = () => api('/counter/uniques/reset', { method: 'POST' });
+
+    // Compteurs : une ligne par compteur (icône, libellé, objectif) avec +1 / -1 / reset, et création.
+    // La suppression demande un 2e clic (pas de confirm() dans la sandbox Twitch).
+    let counterDeleteArmed = { name: '', until: 0 };
+
+    function renderCounters(state) {
+        const list = id('counterList');
+        list.innerHTML = '';
+        (state.counterDefs || []).forEach((def) => {
+            const row = document.createElement('div');
+            row.className = 'ctrRow';
+            const input = (value, placeholder, type = 'text') => {
+                const field = document.createElement('input');
+                field.type = type;
+                field.value = value ?? '';
+                field.placeholder = placeholder;
+                return field;
+            };
+            const icon = input(def.icon, '🏆');
+            const label = input(def.label, 'Libellé');
+            const target = input(def.target, 'Objectif', 'number');
+            target.min = '0';
+            const value = document.createElement('span');
+            value.className = 'ctrValue';
+            const count = state.counters?.[def.name] ?? 0;
+            value.textContent = def.target ? `${count}/${def.target}` : String(count);
+            value.title = `POST /counters/${def.name}/inc`;
+            const btns = document.createElement('div');
+            btns.className = 'hlBtns';
+            const btn = (text, title, onClick, secondary = true) => {
+                const b = document.createElement('button');
+                if (secondary) b.className = 'secondary';
+                b.textContent = text;
+                b.title = title;
+                b.onclick = onClick;
+                btns.appendChild(b);
+            };
+            const path = `/counters/${encodeURIComponent(def.name)}`;
+            btn('+1', 'Incrémenter', () => counterAction(`${path}/inc`), false);
+            btn('-1', 'Décrémenter', () => counterAction(`${path}/dec`));
+            btn('0', 'Remettre à zéro', () => counterAction(`${path}/reset`));
+            btn('✓', 'Enregistrer icône / libellé / objectif', async () => {
+                if (await counterAction(`${path}/update`, { icon: icon.value, label: label.value, target: target.value })) {
+                    notify('Compteur enregistré !', 'success');
+                }
+            });
+            btn('✕', 'Supprimer', async () => {
+                const now = Date.now();
+                if (counterDeleteArmed.name !== def.name || now > counterDeleteArmed.until) {
+                    counterDeleteArmed = { name: def.name, until: now + 5000 };
+                    notify(`Clique une 2e fois sur ✕ pour supprimer "${def.label}" (5s).`, 'info');
+                    return;
+                }
+                counterDeleteArmed = { name: '', until: 0 };
+                if (await counterAction(`${path}/delete`)) notify('Compteur supprimé.', 'success');
+            });
+            row.append(icon, label, target, value, btns);
+            list.appendChild(row);
+        });
+    }
+
+    async function counterAction(path, body) {
+        const json = await postJson(path, body);
+        if (!json.ok) {
+            notify('Compteur KO : ' + (json.error || ''), 'error');
+            return null;
+        }
+        renderCounters(await loadState());
+        return json;
+    }
+
+    id('btnCounterAdd').onclick = async () => {
+        const body = {
+            icon: id('newCounterIcon').value.trim(),
+            label: id('newCounterLabel').value.trim(),
+            target: id('newCounterTarget').value
+        };
+        if (!body.label) {
+            notify('Donne un libellé au compteur.', 'error');
+            return;
+        }
+        const json = await counterAction('/counters', body);
+        if (!json) return;
+        ['newCounterIcon', 'newCounterLabel', 'newCounterTarget'].forEach((x) => { id(x).value = ''; });
+        notify(`Compteur "${json.counter.label}" créé (POST /counters/${json.counter.name}/inc).`, 'success');
+    };
 
     // Sauvegarde de la build courante
     id('btnSaveBuild').onclick = async () => {
@@ -163,7 +250,8 @@ document.addEventListener('DOMContentLoaded', () => {
             title: id('bTitle').value.trim(),
             author: id('bAuthor').value.trim(),
             updatedOn: id('bUpdated').value.trim(),
-            url: id('bUrl').value.trim()
+            url: id('bUrl').value.trim(),
+            highlights: highlightsDraft.filter((h) => h.slot || h.item || h.aspect)
         };
         const json = await postJson('/build/update', body);
         if (!json.ok) {
@@ -189,9 +277,150 @@ document.addEventListener('DOMContentLoaded', () => {
         id('bAuthor').value = b.author || '';
         id('bUpdated').value = b.updatedOn || '';
         id('bUrl').value = b.url || '';
-        id('objText').value = arrayToLines(state.objectives);
+        id('objText').value = (state.objectives || []).map(objectiveLine).join('\n');
+        id('objCollapse').value = state.objectivesCollapseSec ?? 60;
+        renderObjectiveList(state);
+        renderPollBuilds(state);
+        renderPollResults(state.poll);
+        renderPredictionCounters(state);
+        renderCounters(state);
+        setHighlights(b.highlights);
+        renderResync(b, clamped);
+    }
+
+    // Éditeur de la carte Stuff : une ligne par slot (slot, objet, rareté, aspect), réordonnable
+    let highlightsDraft = [];
+    const RARITIES = [['', '—'], ['legendary', 'Légendaire'], ['unique', 'Unique'], ['mythic', 'Mythique']];
+
+    function setHighlights(list) {
+        highlightsDraft = (list || []).map((h) => (typeof h === 'string'
+            ? { slot: '', item: h, rarity: '', aspect: '' }
+            : { slot: h.slot || '', item: h.item || '', rarity: h.rarity || '', aspect: h.aspect || '' }));
+        renderHighlights();
+    }
+
+    function renderHighlights() {
+        const list = id('hlList');
+        list.innerHTML = '';
+        highlightsDraft.forEach((h, i) => {
+            const row = document.createElement('div');
+            row.className = 'hlRow';
+            const field = (key, placeholder) => {
+                const input = document.createElement('input');
+                input.value = h[key];
+                input.placeholder = placeholder;
+                input.oninput = () => { h[key] = input.value; };
+                return input;
+            };
+            const rarity = document.createElement('select');
+            RARITIES.forEach(([value, label]) => {
+                const opt = document.createElement('option');
+                opt.value = value;
+                opt.textContent = label;
+                rarity.appendChild(opt);
+            });
+            rarity.value = h.rarity;
+            rarity.onchange = () => { h.rarity = rarity.value; };
+            const btns = document.createElement('div');
+            btns.className = 'hlBtns';
+            const btn = (label, title, onClick) => {
+                const b = document.createElement('button');
+                b.className = 'secondary';
+                b.textContent = label;
+                b.title = title;
+                b.onclick = onClick;
+                btns.appendChild(b);
+            };
+            const move = (delta) => {
+                const j = i + delta;
+                if (j < 0 || j >= highlightsDraft.length) return;
+                [highlightsDraft[i], highlightsDraft[j]] = [highlightsDraft[j], highlightsDraft[i]];
+                renderHighlights();
+            };
+            btn('↑', 'Monter', () => move(-1));
+            btn('↓', 'Descendre', () => move(1));
+            btn('✕', 'Supprimer', () => {
+                highlightsDraft.splice(i, 1);
+                renderHighlights();
+            });
+            row.append(field('slot', 'Slot (Helm…)'), field('item', 'Objet'), rarity, field('aspect', 'Aspect (optionnel)'), btns);
+            list.appendChild(row);
+        });
+    }
+
+    id('hlAdd').onclick = () => {
+        highlightsDraft.push({ slot: '', item: '', rarity: '', aspect: '' });
+        renderHighlights();
+    };
+
+    // Re-sync : affiche les changements détectés sur la source de la build affichée
+    let resyncIndex = 0;
+    function renderResync(b, index) {
+        resyncIndex = index;
+        const pending = b.pendingUpdate;
+        const box = id('resyncBox');
+        box.hidden = !pending;
+        if (!pending) return;
+        id('resyncTitle').textContent = `Source modifiée (vérifiée le ${new Date(pending.fetchedAt).toLocaleString()}) :`;
+        const list = id('resyncChanges');
+        list.innerHTML = '';
+        (pending.changes || []).forEach((c) => {
+            const li = document.createElement('li');
+            li.textContent = c.label;
+            list.appendChild(li);
+        });
+    }
+
+    async function resync(body) {
+        notify('Re-sync en cours…', 'info');
+        const json = await postJson('/build/resync', body);
+        if (!json.ok) {
+            notify('Re-sync KO : ' + (json.error || ''), 'error');
+            return;
+        }
+        await loadAndFill();
+        const results = json.results || [];
+        const changed = results.filter((r) => r.changes?.length).length;
+        const failed = results.filter((r) => r.error);
+        if (failed.length) {
+            notify(`Re-sync : ${failed.length} erreur(s) — ${failed[0].error}`, 'error');
+            return;
+        }
+        notify(changed ? `Re-sync : ${changed} build(s) modifiée(s) à valider.` : 'Re-sync : aucune modification.', 'success');
     }
 
+    id('btnResync').onclick = () => resync({ index: resyncIndex });
+    id('btnResyncAll').onclick = () => resync({ all: true });
+    id('btnResyncAccept').onclick = async () => {
+        const json = await postJson('/build/resync/accept', { index: resyncIndex });
+        if (!json.ok) {
+            notify('Application KO : ' + (json.error || ''), 'error');
+            return;
+        }
+        await loadAndFill();
+        notify('Build mise à jour depuis la source.', 'success');
+    };
+    id('btnResyncDiscard').onclick = async () => {
+        const json = await postJson('/build/resync/discard', { index: resyncIndex });
+        if (!json.ok) {
+            notify('KO : ' + (json.error || ''), 'error');
+            return;
+        }
+        await loadAndFill();
+        notify('Changements ignorés.', 'success');
+    };
+
+    // Fusion des doublons (même URL) de la bibliothèque
+    id('btnDedupe').onclick = async () => {
+        const json = await postJson('/build/dedupe', {});
+        if (!json.ok) {
+            notify('Fusion KO : ' + (json.error || ''), 'error');
+            return;
+        }
+        await loadAndFill();
+        notify(json.removed ? `${json.removed} doublon(s) fusionné(s).` : 'Aucun doublon.', 'success');
+    };
+
     async function navBuild(dir) {
         const path = dir === 'next' ? '/build/next' : '/build/prev';
         await postJson(path, {});
@@ -223,16 +452,223 @@ document.addEventListener('DOMContentLoaded', () => {
         await loadAndFill();
         notify('Build supprimée.', 'success');
     };
+    // Objectifs : liste cochable (toggle, progression -1 / +1, ordre) ; la zone de texte remplace la liste
+    // (une ligne par objectif, "Texte 3/10" pour une progression)
+    const objectiveLine = (o) => (o.progress ? `${o.text} ${o.progress.current}/${o.progress.target}` : o.text);
+
+    function renderObjectiveList(state) {
+        const list = id('objList');
+        list.innerHTML = '';
+        const objectives = state.objectives || [];
+        objectives.forEach((objective, i) => {
+            const row = document.createElement('div');
+            row.className = objective.done ? 'objRow done' : 'objRow';
+            const path = `/objectives/${encodeURIComponent(objective.id)}`;
+            const btn = (text, title, onClick, secondary = true) => {
+                const b = document.createElement('button');
+                if (secondary) b.className = 'secondary';
+                b.textContent = text;
+                b.title = title;
+                b.onclick = onClick;
+                return b;
+            };
+            const check = btn(objective.done ? '✓' : ' ', objective.done ? 'Marquer comme à faire' : 'Marquer comme terminé', () => objectiveAction(`${path}/toggle`));
+            const text = document.createElement('span');
+            text.className = 'objText';
+            text.textContent = objective.progress ? `${objective.text} (${objective.progress.current}/${objective.progress.target})` : objective.text;
+            const btns = document.createElement('div');
+            btns.className = 'hlBtns';
+            if (objective.progress) {
+                btns.append(
+                    btn('-1', 'Reculer', () => objectiveAction(`${path}/dec`)),
+                    btn('+1', 'Avancer', () => objectiveAction(`${path}/inc`), false)
+                );
+            }
+            const up = btn('↑', 'Monter', () => objectiveAction(`${path}/move`, { index: i - 1 }));
+            up.disabled = i === 0;
+            const down = btn('↓', 'Descendre', () => objectiveAction(`${path}/move`, { index: i + 1 }));
+            down.disabled = i === objectives.length - 1;
+            btns.append(up, down);
+            row.append(check, text, btns);
+            list.appendChild(row);
+        });
+    }
+
+    async function objectiveAction(path, body) {
+        const json = await postJson(path, body);
+        if (!json.ok) {
+            notify('Objectif KO : ' + (json.error || ''), 'error');
+            return;
+        }
+        const state = await loadState();
+        renderObjectiveList(state);
+        id('objText').value = (state.objectives || []).map(objectiveLine).join('\n');
+    }
+
     // Sauvegarde des objectifs
     id('btnSaveObj').onclick = async () => {
         const objectives = linesToArray(id('objText').value);
-        const json = await postJson('/objectives', { objectives });
+        const json = await postJson('/objectives', { objectives, collapseSec: id('objCollapse').value });
         if (!json.ok) {
-            notify('Enregistrement des objectifs KO', 'error');
+            notify('Enregistrement des objectifs KO : ' + (json.error || ''), 'error');
             return;
         }
+        renderObjectiveList(json);
         notify('Objectifs enregistrés !', 'success');
     };
+    // Sondage viewers : options depuis les builds (cases à cocher), les objectifs ou du texte libre
+    function renderPollBuilds(state) {
+        const box = id('pollBuilds');
+        box.innerHTML = '';
+        (state.builds || []).forEach((build, i) => {
+            const label = document.createElement('label');
+            const check = document.createElement('input');
+            check.type = 'checkbox';
+            check.value = String(i);
+            check.checked = i < 10;
+            label.append(check, `${i + 1}. ${build.title || 'Sans titre'}`);
+            box.appendChild(label);
+        });
+        updatePollSource();
+    }
+
+    function updatePollSource() {
+        const source = id('pollSource').value;
+        id('pollBuilds').hidden = source !== 'builds';
+        id('pollFreeBox').hidden = source !== 'free';
+    }
+    id('pollSource').onchange = updatePollSource;
+
+    function renderPollResults(poll) {
+        const box = id('pollResults');
+        box.innerHTML = '';
+        if (!poll) {
+            box.textContent = 'Aucun sondage.';
+            return;
+        }
+        const title = document.createElement('div');
+        title.textContent = `${poll.open ? 'En cours' : 'Terminé'} — ${poll.question} (${poll.total} vote${poll.total > 1 ? 's' : ''})`;
+        box.appendChild(title);
+        poll.options.forEach((option) => {
+            const line = document.createElement('div');
+            if (option.id === poll.winner) line.className = 'winner';
+            const percent = poll.total ? Math.round((option.votes / poll.total) * 100) : 0;
+            line.textContent = `${option.label} : ${option.votes} (${percent}%)`;
+            box.appendChild(line);
+        });
+        if (poll.tie) box.appendChild(document.createTextNode('Égalité : aucune build sélectionnée.'));
+    }
+
+    async function refreshPoll() {
+        try {
+            const json = await safeJson(await api('/poll'));
+            if (json.ok) renderPollResults(json.poll);
+        } catch {
+            // ignore : prochain essai au tick suivant
+        }
+    }
+
+    id('btnPollOpen').onclick = async () => {
+        const source = id('pollSource').value;
+        const body = { source, question: id('pollQuestionInput').value.trim() };
+        if (source === 'builds') {
+            body.options = [...id('pollBuilds').querySelectorAll('input:checked')].map((x) => Number(x.value));
+        } else if (source === 'free') {
+            body.options = linesToArray(id('pollFreeOptions').value);
+        }
+        const json = await postJson('/poll/open', body);
+        if (!json.ok) {
+            notify('Ouverture du sondage KO : ' + (json.error || ''), 'error');
+            return;
+        }
+        renderPollResults(json.poll);
+        notify('Sondage ouvert !', 'success');
+    };
+
+    id('btnPollClose').onclick = async () => {
+        const json = await postJson('/poll/close', { selectWinner: id('pollSelectWinner').checked });
+        if (!json.ok) {
+            notify('Clôture KO : ' + (json.error || ''), 'error');
+            return;
+        }
+        renderPollResults(json.poll);
+        notify(json.selected ? `Sondage clos, build affichée : ${json.selected.title}` : 'Sondage clos.', 'success');
+    };
+
+    id('btnPollClear').onclick = async () => {
+        const json = await postJson('/poll/clear');
+        if (!json.ok) {
+            notify('KO : ' + (json.error || ''), 'error');
+            return;
+        }
+        renderPollResults(null);
+    };
+
+    // Pronostics viewers sur un compteur (morts par défaut), scores par session
+    function renderPredictionCounters(state) {
+        const select = id('predCounter');
+        const current = select.value || 'deaths';
+        select.innerHTML = '';
+        (state.counterDefs || []).forEach((def) => {
+            select.appendChild(new Option(`${def.icon ? def.icon + ' ' : ''}${def.label}`, def.name, false, def.name === current));
+        });
+    }
+
+    function renderPrediction(prediction, scoreboard) {
+        const status = id('predStatus');
+        if (!prediction) {
+            status.textContent = 'Aucun pronostic.';
+        } else if (prediction.open) {
+            const locked = prediction.locked ? 'fermés' : `ouverts jusqu'à ${new Date(prediction.lockAt).toLocaleTimeString()}`;
+            status.textContent = `${prediction.question} — pronostics ${locked}, ${prediction.guesses} participant(s), en cours : ${prediction.current}`;
+        } else {
+            const winners = prediction.winners.map((w) => `${w.rank}. ${w.who} (${w.value})`).join(', ');
+            status.textContent = `${prediction.question} — résultat ${prediction.result}${winners ? ' — ' + winners : ''}`;
+        }
+        if (scoreboard) {
+            const top = scoreboard.top.map((s) => `${s.who} : ${s.points} pts`).join(', ');
+            id('predScores').textContent = scoreboard.rounds
+                ? `Scores de la session (${scoreboard.rounds} manche${scoreboard.rounds > 1 ? 's' : ''}) : ${top || '—'}`
+                : '';
+        }
+    }
+
+    async function refreshPrediction() {
+        try {
+            const json = await safeJson(await api('/prediction'));
+            if (json.ok) renderPrediction(json.prediction, json.scoreboard);
+        } catch {
+            // ignore : prochain essai au tick suivant
+        }
+    }
+
+    async function predictionAction(path, body, message) {
+        const json = await postJson(path, body);
+        if (!json.ok) {
+            notify('Pronostic KO : ' + (json.error || ''), 'error');
+            return;
+        }
+        await refreshPrediction();
+        notify(message, 'success');
+    }
+
+    id('btnPredOpen').onclick = () => predictionAction('/prediction/open', {
+        question: id('predQuestion').value.trim(),
+        counter: id('predCounter').value || 'deaths',
+        lockInSec: Number(id('predLockSec').value) || 120
+    }, 'Pronostics ouverts !');
+    id('btnPredLock').onclick = () => predictionAction('/prediction/lock', {}, 'Pronostics fermés.');
+    id('btnPredResolve').onclick = async () => {
+        const raw = id('predResult').value;
+        await predictionAction('/prediction/resolve', raw === '' ? {} : { result: Number(raw) }, 'Pronostic résolu !');
+        id('predResult').value = '';
+    };
+    id('btnPredCancel').onclick = () => predictionAction('/prediction/cancel', {}, 'Pronostic retiré.');
+
+    // Résultats en direct pendant le vote et les pronostics
+    setInterval(refreshPoll, 5000);
+    setInterval(refreshPrediction, 5000);
+
     // Chargement depuis l'état
     id('btnLoadState').onclick = async () => {
         await loadAndFill();
@@ -36,12 +36,66 @@ async function safeJson(res) {
 
 // Récupération du token JWT via la bibliothèque Twitch Extension Helper.
 let twitchToken = '';
-if (window.Twitch && Twitch.ext) {
+const IN_TWITCH = !!(window.Twitch && Twitch.ext);
+if (IN_TWITCH) {
     Twitch.ext.onAuthorized(function (auth) {
+        const first = !twitchToken;
         twitchToken = auth.token;
+        if (first) {
+            loadPermissions();
+            loadState();
+        }
     });
 }
 
+// Appel API avec token JWT
+function api(path, options = {}) {
+    const opts = { ...options };
+    opts.headers = { ...opts.headers };
+    if (twitchToken) {
+        opts.headers['Authorization'] = 'Bearer ' + twitchToken;
+    }
+    return fetch(`${API_BASE}${path}`, opts);
+}
+
+// Actions autorisées pour le rôle courant (GET /permissions).
+// Hors Twitch (overlay OBS local), la navigation reste pilotée par le serveur.
+let allowed = IN_TWITCH ? [] : ['build.select'];
+// Index de build parcouru localement par un viewer (null = suit la build du live)
+let localBuildIndex = null;
+// Build parcourue chargée via GET /builds/:index ({ index, build }) : l'état public n'a que la build courante
+let localBuild = null;
+
+// Nombre de builds : bibliothèque complète (broadcaster, modos) ou buildsTotal (état public des viewers)
+function buildCount(state) {
+    if (Array.isArray(state.builds)) return state.builds.length;
+    return Number(state.buildsTotal) || 1;
+}
+
+async function loadPermissions() {
+    try {
+        const json = await safeJson(await api('/permissions'));
+        if (json.ok) allowed = json.allowed || [];
+    } catch {
+        // ignore : on reste en lecture seule
+    }
+    renderControls();
+    if (currentState) renderObjectives(currentState);
+}
+
+const can = (action) => allowed.includes(action);
+
+// Récupère l'état de la chaîne (JWT requis en hébergé, chaîne locale sinon)
+async function loadState() {
+    if (IN_TWITCH && !twitchToken) return;
+    try {
+        const res = await api('/state');
+        applyState(await safeJson(res));
+    } catch {
+        // ignore
+    }
+}
+
 // Utilitaires DOM
 const el = (id) => document.getElementById(id);
 const setText = (id, value) => {
@@ -70,15 +124,351 @@ function formatCountdown(targetTs) {
 let currentState = null;
 let lastMinuteKey = '';
 
+// Compteurs définis par le broadcaster ; ceux par défaut si l'état (ancien push) n'en fournit pas
+const DEFAULT_COUNTER_DEFS = [
+    { name: 'deaths', label: 'Morts', icon: '💀' },
+    { name: 'uniques', label: 'Uniques', icon: '✨' }
+];
+const counterDefsOf = (state) => (Array.isArray(state?.counterDefs) ? state.counterDefs : DEFAULT_COUNTER_DEFS);
+
+// Carte Compteurs : une case par compteur, "valeur/objectif" si un objectif est fixé
+function renderCounters(state) {
+    const box = el('counters');
+    if (!box) return;
+    box.innerHTML = '';
+    counterDefsOf(state).forEach((def) => {
+        const value = Number(state.counters?.[def.name] ?? 0);
+        const item = document.createElement('div');
+        item.className = 'kpiBox' + (def.target && value >= def.target ? ' done' : '');
+        const label = document.createElement('div');
+        label.className = 'kpiLabel';
+        label.textContent = def.icon ? `${def.icon} ${def.label}` : def.label;
+        const val = document.createElement('div');
+        val.className = 'kpiValue';
+        val.textContent = String(value);
+        if (def.target) {
+            const target = document.createElement('span');
+            target.className = 'kpiTarget';
+            target.textContent = `/${def.target}`;
+            val.appendChild(target);
+        }
+        item.append(label, val);
+        box.appendChild(item);
+    });
+}
+
+// Affiche les contrôles réservés (modos) selon les permissions : +1/-1 par compteur.
+// Les boutons ne sont recréés que si la liste des compteurs change.
+let controlsKey = '';
+function renderControls() {
+    const actions = el('counterActions');
+    if (!actions) return;
+    actions.hidden = !(IN_TWITCH && can('counters.edit'));
+    const defs = actions.hidden ? [] : counterDefsOf(currentState);
+    const key = JSON.stringify(defs.map((def) => [def.name, def.label]));
+    if (key === controlsKey) return;
+    controlsKey = key;
+    actions.innerHTML = '';
+    defs.forEach((def) => {
+        [['inc', '+1'], ['dec', '-1']].forEach(([op, sign]) => {
+            const btn = document.createElement('button');
+            btn.textContent = `${sign} ${def.label}`;
+            btn.onclick = () => bumpCounter(def.name, op);
+            actions.appendChild(btn);
+        });
+    });
+}
+
+// Carte Objectifs : coche, barre de progression "3/10", repli des objectifs terminés après
+// objectivesCollapseSec. Les modos autorisés cochent / avancent depuis le panel.
+const objectiveOf = (item, i) => (typeof item === 'string' ? { id: `o${i + 1}`, text: item, done: false, progress: null } : item);
+
+function renderObjectives(state) {
+    const list = el('objectives');
+    if (!list) return;
+    const editable = IN_TWITCH && can('objectives.edit');
+    list.innerHTML = '';
+    (state.objectives || []).map(objectiveOf).forEach((objective) => {
+        const li = document.createElement('li');
+        li.className = objective.done ? 'objective done' : 'objective';
+        li.dataset.doneAt = objective.done && objective.doneAt ? objective.doneAt : '';
+
+        const check = document.createElement(editable ? 'button' : 'span');
+        check.className = 'objCheck';
+        check.textContent = objective.done ? '✓' : '';
+        if (editable) {
+            check.title = objective.done ? 'Marquer comme à faire' : 'Marquer comme terminé';
+            check.onclick = () => objectiveAction(objective.id, 'toggle');
+        }
+        const text = document.createElement('span');
+        text.className = 'objText';
+        text.textContent = objective.text;
+        li.append(check, text);
+
+        const progress = objective.progress;
+        if (progress) {
+            const bar = document.createElement('div');
+            bar.className = 'objProgress';
+            const fill = document.createElement('div');
+            fill.className = 'objFill';
+            fill.style.width = `${Math.min(100, Math.round((progress.current / progress.target) * 100))}%`;
+            bar.appendChild(fill);
+            const count = document.createElement('span');
+            count.className = 'objCount';
+            count.textContent = `${progress.current}/${progress.target}`;
+            li.append(bar, count);
+            if (editable && !objective.done) {
+                const inc = document.createElement('button');
+                inc.className = 'objInc';
+                inc.textContent = '+1';
+                inc.onclick = () => objectiveAction(objective.id, 'inc');
+                li.appendChild(inc);
+            }
+        }
+        list.appendChild(li);
+    });
+    const note = document.createElement('li');
+    note.className = 'objCollapsed';
+    note.id = 'objectivesCollapsed';
+    list.appendChild(note);
+    collapseObjectives();
+}
+
+// Replie les objectifs terminés depuis plus de objectivesCollapseSec (0 = jamais), avec un résumé
+function collapseObjectives() {
+    const list = el('objectives');
+    const note = el('objectivesCollapsed');
+    if (!list || !note) return;
+    const delayMs = Number(currentState?.objectivesCollapseSec ?? 60) * 1000;
+    let collapsed = 0;
+    list.querySelectorAll('li.objective.done').forEach((li) => {
+        const doneAt = Date.parse(li.dataset.doneAt);
+        li.hidden = delayMs > 0 && Number.isFinite(doneAt) && Date.now() - doneAt >= delayMs;
+        if (li.hidden) collapsed++;
+    });
+    note.hidden = !collapsed;
+    note.textContent = `✓ ${collapsed} objectif${collapsed > 1 ? 's' : ''} terminé${collapsed > 1 ? 's' : ''}`;
+}
+
+// Carte Sondage : totaux poussés avec l'état ; le vote du viewer vient de GET /poll (propre à chacun)
+let myPoll = { id: '', vote: null, error: '' };
+
+async function loadMyVote(pollId) {
+    try {
+        const json = await safeJson(await api('/poll'));
+        if (json.ok && json.poll?.id === pollId) myPoll.vote = json.poll.myVote;
+    } catch {
+        // ignore : le viewer pourra toujours voter, le serveur refusera un 2e vote
+    }
+    if (currentState) renderPoll(currentState);
+}
+
+async function votePoll(optionId) {
+    try {
+        const res = await api('/poll/vote', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ option: optionId })
+        });
+        const json = await safeJson(res);
+        if (json.ok) {
+            myPoll.vote = optionId;
+            myPoll.error = '';
+        } else {
+            myPoll.error = json.error || 'Vote refusé';
+        }
+    } catch {
+        myPoll.error = 'Vote impossible (réseau)';
+    }
+    if (currentState) renderPoll(currentState);
+}
+
+function renderPoll(state) {
+    const card = el('pollCard');
+    const list = el('pollOptions');
+    if (!card || !list) return;
+    const poll = state.poll;
+    card.hidden = !poll;
+    if (!poll) return;
+    if (poll.id !== myPoll.id) {
+        myPoll = { id: poll.id, vote: null, error: '' };
+        if (IN_TWITCH) loadMyVote(poll.id);
+    }
+
+    setText('pollQuestion', poll.question);
+    const canVote = IN_TWITCH && poll.open && !myPoll.vote;
+    list.innerHTML = '';
+    poll.options.forEach((option) => {
+        const li = document.createElement('li');
+        const row = document.createElement(canVote ? 'button' : 'div');
+        row.className = 'pollOption';
+        if (option.id === myPoll.vote) row.classList.add('mine');
+        if (option.id === poll.winner) row.classList.add('winner');
+        const percent = poll.total ? Math.round((option.votes / poll.total) * 100) : 0;
+        const fill = document.createElement('span');
+        fill.className = 'pollFill';
+        fill.style.width = `${percent}%`;
+        const name = document.createElement('span');
+        name.className = 'pollLabel';
+        name.textContent = option.label;
+        const votes = document.createElement('span');
+        votes.className = 'pollVotes';
+        votes.textContent = `${option.votes} · ${percent}%`;
+        row.append(fill, name, votes);
+        if (canVote) row.onclick = () => votePoll(option.id);
+        li.appendChild(row);
+        list.appendChild(li);
+    });
+
+    const total = `${poll.total} vote${poll.total > 1 ? 's' : ''}`;
+    let status;
+    if (poll.open) {
+        status = myPoll.error || (myPoll.vote ? 'Merci pour ton vote !' : IN_TWITCH ? 'Clique sur une option pour voter.' : 'Vote en cours dans le panel.');
+    } else {
+        const winner = poll.options.find((o) => o.id === poll.winner);
+        status = winner ? `Terminé — ${winner.label}` : poll.tie ? 'Terminé — égalité' : 'Terminé';
+    }
+    setText('pollStatus', `${total} — ${status}`);
+}
+
+// Carte Pronostic : saisie jusqu'au verrouillage (lockTs), puis progression du compteur,
+// puis meilleurs pronostics une fois résolu. Le pronostic du viewer vient de GET /prediction.
+let myPrediction = { id: '', guess: null, error: '' };
+
+async function loadMyGuess(predictionId) {
+    try {
+        const json = await safeJson(await api('/prediction'));
+        if (json.ok && json.prediction?.id === predictionId) myPrediction.guess = json.prediction.myGuess;
+    } catch {
+        // ignore : le serveur refusera un 2e pronostic
+    }
+    if (currentState) renderPrediction(currentState);
+}
+
+async function submitPrediction() {
+    const input = el('predictionValue');
+    if (!input || input.value === '') return;
+    const value = Number(input.value);
+    try {
+        const res = await api('/prediction/guess', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ value })
+        });
+        const json = await safeJson(res);
+        if (json.ok) {
+            myPrediction.guess = value;
+            myPrediction.error = '';
+        } else {
+            myPrediction.error = json.error || 'Pronostic refusé';
+        }
+    } catch {
+        myPrediction.error = 'Pronostic impossible (réseau)';
+    }
+    if (currentState) renderPrediction(currentState);
+}
+
+function renderPrediction(state) {
+    const card = el('predictionCard');
+    if (!card) return;
+    const prediction = state.prediction;
+    card.hidden = !prediction;
+    if (!prediction) return;
+    if (prediction.id !== myPrediction.id) {
+        myPrediction = { id: prediction.id, guess: null, error: '' };
+        if (IN_TWITCH) loadMyGuess(prediction.id);
+    }
+    setText('predictionQuestion', prediction.question);
+
+    const list = el('predictionWinners');
+    if (list) {
+        list.innerHTML = '';
+        (prediction.winners || []).forEach((winner) => {
+            const li = document.createElement('li');
+            li.className = `rank-${winner.rank}`;
+            li.textContent = `${winner.who} : ${winner.value}`;
+            list.appendChild(li);
+        });
+    }
+    updatePredictionStatus();
+}
+
+// Appelé chaque seconde : compte à rebours avant verrouillage, sans attendre un push serveur
+function updatePredictionStatus() {
+    const prediction = currentState?.prediction;
+    const status = el('predictionStatus');
+    if (!prediction || !status) return;
+    const nowTs = Math.floor(Date.now() / 1000);
+    const locked = prediction.locked || nowTs >= prediction.lockTs;
+    const form = el('predictionForm');
+    if (form) form.hidden = !(IN_TWITCH && prediction.open && !locked && myPrediction.guess === null);
+
+    // Morceaux [texte, valeur en gras]
+    const parts = [];
+    if (!prediction.open) {
+        parts.push(['Résultat : ', prediction.result]);
+    } else if (!locked) {
+        parts.push(['Pronostics ouverts encore ', formatCountdown(prediction.lockTs)]);
+    } else {
+        parts.push(['Pronostics fermés — en cours : ', prediction.current]);
+    }
+    parts.push([`${prediction.guesses} participant${prediction.guesses > 1 ? 's' : ''}`]);
+    if (myPrediction.guess !== null) parts.push(['ton pronostic : ', myPrediction.guess]);
+    if (myPrediction.error) parts.push([myPrediction.error]);
+
+    status.innerHTML = '';
+    parts.forEach(([text, value], i) => {
+        status.append(i ? ` · ${text}` : text);
+        if (value === undefined) return;
+        const strong = document.createElement('strong');
+        strong.textContent = String(value);
+        status.appendChild(strong);
+    });
+}
+
+// Carte Stuff (highlights de la build affichée)
+function renderGear(highlights) {
+    const list = el('gear');
+    const card = el('gearCard');
+    if (!list || !card) return;
+    const rows = (highlights || []).map((h) => (typeof h === 'string' ? { slot: '', item: h } : h));
+    card.hidden = !rows.length;
+    list.innerHTML = '';
+    rows.forEach((h) => {
+        const li = document.createElement('li');
+        const slot = document.createElement('span');
+        slot.className = 'gearSlot';
+        slot.textContent = h.slot || '';
+        const item = document.createElement('span');
+        item.className = 'gearItem' + (h.rarity ? ` rarity-${h.rarity}` : '');
+        item.textContent = h.item || h.aspect || '—';
+        if (h.item && h.aspect) {
+            const aspect = document.createElement('span');
+            aspect.className = 'gearAspect';
+            aspect.textContent = h.aspect;
+            item.appendChild(aspect);
+        }
+        li.append(slot, item);
+        list.appendChild(li);
+    });
+}
+
 function renderStatic(state) {
-    const build = state.build || {};
+    const total = buildCount(state);
+    if (localBuildIndex !== null && (localBuildIndex >= total || localBuildIndex === state.currentBuildIndex)) {
+        localBuildIndex = null;
+    }
+    let browsed = null;
+    if (localBuildIndex !== null) {
+        browsed = Array.isArray(state.builds) ? state.builds[localBuildIndex] : localBuild?.index === localBuildIndex ? localBuild.build : null;
+    }
+    const build = (browsed || state.build) || {};
     setText('buildTitle', build.title || '—');
     setText('buildSource', build.source || '—');
     setText('buildAuthor', build.author || 'Inconnu');
     setText('buildUpdated', build.updatedOn || '—');
 
-    const total = Array.isArray(state.builds) ? state.builds.length : 1;
-    const idx = Number(state.currentBuildIndex ?? 0) + 1;
+    const idx = Number(localBuildIndex ?? state.currentBuildIndex ?? 0) + 1;
     setText('buildNavLabel', `${Math.min(idx, total)}/${total}`);
     const prevBtn = el('buildPrev');
     const nextBtn = el('buildNext');
@@ -100,34 +490,111 @@ function renderStatic(state) {
         }
     }
 
-    const obj = el('objectives');
-    if (obj) {
-        obj.innerHTML = '';
-        (state.objectives || []).forEach((line) => {
-            const li = document.createElement('li');
-            li.textContent = line;
-            obj.appendChild(li);
-        });
-    }
+    renderGear(build.highlights);
+
+    renderObjectives(state);
+    renderPoll(state);
+    renderPrediction(state);
+    renderCounters(state);
+    renderControls();
+}
 
-    setText('deaths', String(state.counters?.deaths ?? 0));
-    setText('uniques', String(state.counters?.uniques ?? 0));
+// Events : la timeline (prochaines heures) permet de passer à l'occurrence suivante côté client
+// dès qu'un compte à rebours arrive à zéro, sans attendre le prochain refresh serveur.
+const EVENT_ROWS = [
+    { type: 'world_boss', key: 'nextWorldBoss', label: 'wbLabel', time: 'wbTime', fallback: 'World Boss' },
+    { type: 'legion', key: 'nextLegion', label: 'legLabel', time: 'legTime', fallback: 'Légion' },
+    { type: 'helltide', key: 'nextHelltide', label: 'htLabel', time: 'htTime', fallback: 'Helltide' }
+];
 
-    const ev = state.events || {};
-    const wb = ev.nextWorldBoss;
-    const leg = ev.nextLegion;
-    const ht = ev.nextHelltide;
-    setText('wbLabel', wb?.title ? wb.title + (wb.zone ? ` (${wb.zone})` : '') : 'World Boss');
-    setText('legLabel', leg?.title || 'Légion');
-    setText('htLabel', ht?.title || 'Helltide');
+// Fin d'un event (anciens états sans endTs : fin = début)
+const eventEndTs = (evt) => evt.endTs ?? evt.startTs;
+const isActive = (evt, nowTs) => !!evt && evt.startTs <= nowTs && nowTs < eventEndTs(evt);
+
+// Occurrences pas encore terminées (en cours ou à venir)
+function upcomingTimeline(state, nowTs) {
+    return (Array.isArray(state.timeline) ? state.timeline : []).filter((evt) => eventEndTs(evt) > nowTs);
+}
+
+// Occurrence en cours ou prochaine d'un type : timeline d'abord, sinon l'event "next" du serveur
+function nextEvent(state, row, nowTs) {
+    return upcomingTimeline(state, nowTs).find((evt) => evt.type === row.type) || state.events?.[row.key] || null;
+}
+
+// "En cours — 23:14 restant" tant que l'event tourne, sinon compte à rebours jusqu'au début
+function eventStatusText(evt, nowTs) {
+    if (isActive(evt, nowTs)) return `En cours — ${formatCountdown(eventEndTs(evt))} restant`;
+    return formatCountdown(evt?.startTs);
+}
+
+// Occurrences extrapolées par l'EBS quand helltides.com est injoignable : signalées « estimé »
+const eventLabel = (evt) => (evt.zone ? `${evt.title} (${evt.zone})` : evt.title) + (evt.estimated ? ' · estimé' : '');
+
+function formatLocalTime(ts) {
+    const d = new Date(ts * 1000);
+    return `${pad2(d.getHours())}:${pad2(d.getMinutes())}`;
+}
+
+// Liste dépliable de la timeline, reconstruite seulement quand les occurrences à venir changent
+let timelineKey = '';
+function renderTimeline(state, nowTs) {
+    const list = el('timeline');
+    const box = el('timelineBox');
+    if (!list || !box) return;
+    const items = upcomingTimeline(state, nowTs);
+    const key = items.map((evt) => `${evt.type}@${evt.startTs}:${isActive(evt, nowTs)}:${!!evt.estimated}`).join('|');
+    if (key === timelineKey) return;
+    timelineKey = key;
+    box.hidden = !items.length;
+    list.innerHTML = '';
+    items.forEach((evt) => {
+        const li = document.createElement('li');
+        li.className = `evt-${evt.type} ${isActive(evt, nowTs) ? 'evt-active' : 'evt-upcoming'}`;
+        const time = document.createElement('span');
+        time.className = 'timelineTime';
+        time.textContent = formatLocalTime(evt.startTs);
+        const title = document.createElement('span');
+        title.className = 'timelineTitle';
+        title.textContent = evt.title;
+        li.append(time, title);
+        if (isActive(evt, nowTs)) {
+            const badge = document.createElement('span');
+            badge.className = 'evtBadge';
+            badge.textContent = 'En cours';
+            li.appendChild(badge);
+        }
+        if (evt.estimated) {
+            const badge = document.createElement('span');
+            badge.className = 'evtBadge evtEstimated';
+            badge.textContent = 'estimé';
+            badge.title = 'Horaire extrapolé (planning helltides.com indisponible)';
+            li.appendChild(badge);
+        }
+        if (evt.zone) {
+            const zone = document.createElement('span');
+            zone.className = 'timelineZone';
+            zone.textContent = evt.zone;
+            li.appendChild(zone);
+        }
+        list.appendChild(li);
+    });
 }
 
 function updateCountdowns() {
     if (!currentState) return;
-    const ev = currentState.events || {};
-    setText('wbTime', formatCountdown(ev.nextWorldBoss?.startTs));
-    setText('legTime', formatCountdown(ev.nextLegion?.startTs));
-    setText('htTime', formatCountdown(ev.nextHelltide?.startTs));
+    const nowTs = Math.floor(Date.now() / 1000);
+    EVENT_ROWS.forEach((row) => {
+        const evt = nextEvent(currentState, row, nowTs);
+        setText(row.label, evt?.title ? eventLabel(evt) : row.fallback);
+        setText(row.time, eventStatusText(evt, nowTs));
+        const line = el(row.time)?.parentElement;
+        if (line) {
+            line.classList.toggle('evt-active', isActive(evt, nowTs));
+            line.classList.toggle('evt-upcoming', !isActive(evt, nowTs));
+            line.classList.toggle('evt-estimated', !!evt?.estimated);
+        }
+    });
+    renderTimeline(currentState, nowTs);
 }
 
 function updateClockIfNeeded() {
@@ -138,52 +605,154 @@ function updateClockIfNeeded() {
     setText('clock', `${pad2(d.getHours())}:${pad2(d.getMinutes())}`);
 }
 
+// Overlay OBS : /overlay/<widget> n'affiche qu'une carte ; ordre, taille et opacité viennent de
+// state.overlayLayout (page config), appliqués à chaque push
+const OVERLAY_WIDGET = (window.location.pathname.match(/\/overlay\/(build|events|objectives|counters|gear)\/?$/) || [])[1] || '';
+
+function applyLayout(state) {
+    const grid = el('widgets');
+    if (!grid) return;
+    document.body.classList.toggle('widgetMode', Boolean(OVERLAY_WIDGET));
+    const layout = Array.isArray(state.overlayLayout) ? state.overlayLayout : [];
+    grid.querySelectorAll('[data-widget]').forEach((card) => {
+        const index = layout.findIndex((w) => w.id === card.dataset.widget);
+        const widget = layout[index] || {};
+        const off = widget.visible === false || (OVERLAY_WIDGET && OVERLAY_WIDGET !== card.dataset.widget);
+        card.classList.toggle('widgetOff', Boolean(off));
+        card.style.order = index >= 0 ? String(index + 1) : '';
+        card.style.setProperty('--widget-scale', String((widget.scale ?? 100) / 100));
+        // Sans opacité propre au widget : celle du thème
+        if (widget.opacity === null || widget.opacity === undefined) card.style.removeProperty('--card-alpha');
+        else card.style.setProperty('--card-alpha', String(widget.opacity / 100));
+    });
+}
+
 function applyState(state) {
     currentState = state;
     renderStatic(state);
+    applyTheme(state.theme);
+    applyLayout(state);
     updateCountdowns();
 }
 
+// Alertes d'events (message "alert" du serveur) : bandeau temporaire, son sur l'overlay OBS seulement
+// (data-sound="1" sur le bandeau ; pas de son imposé aux viewers dans le panel)
+const ALERT_DISPLAY_MS = 15_000;
+let alertTimer = null;
+let audioCtx = null;
+
+function playAlertSound() {
+    try {
+        const AudioCtx = window.AudioContext || window.webkitAudioContext;
+        if (!AudioCtx) return;
+        audioCtx = audioCtx || new AudioCtx();
+        // Deux bips courts
+        [0, 0.25].forEach((offset) => {
+            const osc = audioCtx.createOscillator();
+            const gain = audioCtx.createGain();
+            const start = audioCtx.currentTime + offset;
+            osc.type = 'triangle';
+            osc.frequency.value = 880;
+            gain.gain.setValueAtTime(0.2, start);
+            gain.gain.exponentialRampToValueAtTime(0.001, start + 0.2);
+            osc.connect(gain).connect(audioCtx.destination);
+            osc.start(start);
+            osc.stop(start + 0.2);
+        });
+    } catch {
+        // audio indisponible (autoplay bloqué...) : bandeau seul
+    }
+}
+
+function showAlert(alert) {
+    const banner = el('alertBanner');
+    // Une source OBS par widget : seul le widget events affiche (et sonne) l'alerte
+    if (!banner || !alert || (OVERLAY_WIDGET && OVERLAY_WIDGET !== 'events')) return;
+    banner.textContent = alert.estimated ? `${alert.text} (horaire estimé)` : alert.text;
+    banner.className = `alertBanner evt-${alert.type}`;
+    banner.hidden = false;
+    if (alert.sound && banner.dataset.sound === '1') playAlertSound();
+    clearTimeout(alertTimer);
+    alertTimer = setTimeout(() => { banner.hidden = true; }, ALERT_DISPLAY_MS);
+}
+
+// Message PubSub : alerte ponctuelle ou état compact
+const isAlertMessage = (data) => data?.type === 'alert';
+
 // Fonction de navigation entre les builds.
+// Sans la permission build.select (viewers), on parcourt la liste localement sans toucher au live.
 async function nav(dir) {
+    if (!can('build.select')) {
+        if (!currentState) return;
+        const total = buildCount(currentState);
+        if (total <= 1) return;
+        const from = localBuildIndex ?? Number(currentState.currentBuildIndex ?? 0);
+        const index = (from + (dir === 'next' ? 1 : -1) + total) % total;
+        if (!Array.isArray(currentState.builds) && index !== Number(currentState.currentBuildIndex)) {
+            try {
+                const json = await safeJson(await api(`/builds/${index}`));
+                if (!json.ok) return;
+                localBuild = { index, build: json.build };
+            } catch {
+                return;
+            }
+        }
+        localBuildIndex = index;
+        renderStatic(currentState);
+        return;
+    }
     try {
-        await fetch(`${API_BASE}/build/${dir}`, {
-            method: 'POST',
-            headers: twitchToken ? { 'Authorization': 'Bearer ' + twitchToken } : {}
-        });
+        await api(`/build/${dir}`, { method: 'POST' });
         // Récupère l'état mis à jour et l'applique immédiatement
-        const res = await fetch(`${API_BASE}/state`);
-        const state = await safeJson(res);
-        applyState(state);
+        await loadState();
     } catch {
         // ignore les erreurs réseau
     }
 }
 
+// Objectifs depuis le panel (modérateurs autorisés) : toggle / inc
+function objectiveAction(id, op) {
+    api(`/objectives/${encodeURIComponent(id)}/${op}`, { method: 'POST' }).then(() => loadState()).catch(() => {});
+}
+
+// Compteurs depuis le panel (modérateurs autorisés)
+function bumpCounter(name, op) {
+    api(`/counters/${encodeURIComponent(name)}/${op}`, { method: 'POST' }).catch(() => {});
+}
+
 // Attache les handlers de navigation après le chargement du DOM
 document.addEventListener('DOMContentLoaded', () => {
     const prevBtn = el('buildPrev');
     const nextBtn = el('buildNext');
     if (prevBtn) prevBtn.onclick = () => nav('prev');
     if (nextBtn) nextBtn.onclick = () => nav('next');
+    const predictionBtn = el('predictionSubmit');
+    if (predictionBtn) predictionBtn.onclick = submitPrediction;
+    renderControls();
 });
 
 // Tick du compte à rebours toutes les secondes
 setInterval(updateCountdowns, 1000);
+// Repli des objectifs terminés, compte à rebours des pronostics
+setInterval(collapseObjectives, 1000);
+setInterval(updatePredictionStatus, 1000);
 // Mise à jour de l'horloge interne toutes les secondes
 updateClockIfNeeded();
 setInterval(updateClockIfNeeded, 1000);
 
-// Ouverture du WebSocket pour mises à jour en temps réel.
+// WebSocket pour mises à jour en temps réel (protocole : lib/ws_protocol.mjs).
+// Messages { type: "state" | "patch" | "alert", version, seq, data }, suivis par createWsReceiver (ws_client.js) :
+// un "patch" s'applique sur le dernier état reçu, un trou de séquence = message manqué -> { type: "resync" }
+// et le serveur renvoie l'état complet ; une version inconnue repasse par GET /state.
+// Reconnexion avec un délai croissant (1s -> 30s) ; le polling prend le relais tant que le WS est coupé.
 // NOTE: les tunnels ngrok free peuvent déclencher un interstitial (HTML) sous charge.
 // En hébergé Twitch, on coupe le WS par défaut et on préfère un polling plus lent.
+const WS_MAX_BACKOFF_MS = 30_000;
 let wsOk = false;
+let wsBackoffMs = 1_000;
 const IS_TWITCH_HOSTED = window.location.hostname.endsWith('.ext-twitch.tv');
-(() => {
-    if (IS_TWITCH_HOSTED) {
-        wsOk = false;
-        return;
-    }
+
+function wsUrl() {
     let url;
     if (API_BASE) {
         // Convertit l'URL API en URL WS : https://example.com -> wss://example.com
@@ -193,38 +762,111 @@ const IS_TWITCH_HOSTED = window.location.hostname.endsWith('.ext-twitch.tv');
     } else {
         url = 'ws://' + window.location.host + '/ws';
     }
+    // Le navigateur ne peut pas poser d'en-tête Authorization sur un WebSocket : JWT en query
+    // (relu à chaque tentative : le token Twitch est renouvelé)
+    if (twitchToken) url += '?token=' + encodeURIComponent(twitchToken);
+    return url;
+}
+
+function connectWs() {
+    let ws;
     try {
-        const ws = new WebSocket(url);
-        ws.onmessage = (msg) => {
-            wsOk = true;
-            try {
-                applyState(JSON.parse(msg.data));
-            } catch {}
-        };
-        ws.onerror = () => { wsOk = false; };
-        ws.onclose = () => { wsOk = false; };
+        ws = new WebSocket(wsUrl());
     } catch {
+        scheduleWsReconnect();
+        return;
+    }
+    // Un suivi de séquence par connexion : le "state" de connexion le remet à niveau
+    // (copie de l'état : applyState peut modifier ce qu'on lui passe, la base des patchs doit rester intacte)
+    const receiver = createWsReceiver({
+        onState: (view) => applyState(structuredClone(view)),
+        onAlert: showAlert,
+        resync: () => ws.send(JSON.stringify({ type: 'resync' })),
+        onVersionMismatch: loadState
+    });
+    ws.onopen = () => {
+        wsOk = true;
+        wsBackoffMs = 1_000;
+    };
+    ws.onmessage = (event) => {
+        try {
+            receiver.handle(JSON.parse(event.data));
+        } catch {}
+    };
+    ws.onclose = () => {
         wsOk = false;
+        scheduleWsReconnect();
+    };
+}
+
+function scheduleWsReconnect() {
+    // Un peu d'aléa pour que tous les overlays ne se reconnectent pas en même temps après un redémarrage
+    const delay = wsBackoffMs * (0.75 + Math.random() * 0.5);
+    wsBackoffMs = Math.min(wsBackoffMs * 2, WS_MAX_BACKOFF_MS);
+    setTimeout(connectWs, delay);
+}
+
+if (!IS_TWITCH_HOSTED) connectWs();
+
+// En hébergé : l'EBS pousse une version compacte de l'état via Twitch Extension PubSub (topic broadcast).
+// Le message ne contient que la build courante : on garde la liste des builds du dernier /state
+// et on recharge l'état complet si elle a changé ou si un message a été perdu (trou de séquence).
+let lastPushAt = 0;
+let lastPushSeq = 0;
+// Un "refetch" arrive chez tous les viewers en même temps : chacun attend un délai aléatoire
+// avant de recharger /state pour étaler les requêtes sur l'EBS
+const REFETCH_SPREAD_MS = 5000;
+let refetchTimer = null;
+
+function scheduleRefetch() {
+    if (refetchTimer) return;
+    refetchTimer = setTimeout(() => {
+        refetchTimer = null;
+        loadState();
+    }, Math.random() * REFETCH_SPREAD_MS);
+}
+
+function applyPush(data) {
+    lastPushAt = Date.now();
+    const gap = lastPushSeq > 0 && data.seq !== lastPushSeq + 1;
+    lastPushSeq = data.seq;
+    if (isAlertMessage(data)) {
+        showAlert(data.alert);
+        if (gap) loadState();
+        return;
     }
-})();
+    // État trop gros pour PubSub : l'EBS demande de recharger /state
+    if (data.type === 'refetch') {
+        scheduleRefetch();
+        return;
+    }
+    if (!currentState) {
+        loadState();
+        return;
+    }
+    // Bibliothèque du dernier /state (broadcaster, modos) gardée ; rechargée si sa taille a changé
+    const stale = Array.isArray(currentState.builds) && data.buildsTotal !== currentState.builds.length;
+    applyState({ ...currentState, ...data });
+    if (gap || stale) loadState();
+}
+
+if (IN_TWITCH && typeof Twitch.ext.listen === 'function') {
+    Twitch.ext.listen('broadcast', (target, contentType, message) => {
+        try {
+            applyPush(JSON.parse(message));
+        } catch {
+            // ignore les messages non JSON
+        }
+    });
+}
 
-// Fallback polling si le WebSocket ne fonctionne pas
-setInterval(async () => {
+// Fallback polling si le WebSocket ne fonctionne pas (et en hébergé, seulement si PubSub est muet :
+// l'EBS republie au moins à chaque refresh events, soit toutes les 30s)
+setInterval(() => {
     if (wsOk) return;
-    try {
-        const res = await fetch(`${API_BASE}/state`);
-        applyState(await safeJson(res));
-    } catch {
-        // ignore
-    }
+    if (IS_TWITCH_HOSTED && Date.now() - lastPushAt < 45_000) return;
+    loadState();
 }, IS_TWITCH_HOSTED ? 10_000 : 3_000);
 
-// Chargement initial de l'état
-(async () => {
-    try {
-        const res = await fetch(`${API_BASE}/state`);
-        applyState(await safeJson(res));
-    } catch {
-        // ignore
-    }
-})();
\ No newline at end of file
+// Chargement initial de l'état (en hébergé : après onAuthorized, l'état dépend de la chaîne du JWT)
+if (!IN_TWITCH) loadState();
\ No newline at end of file
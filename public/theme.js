@@ -0,0 +1,30 @@
+// Thème de la page (state.theme) : data-theme sur <html> pour le thème intégré (overlay.css),
+// surcharges du broadcaster en variables CSS. Chargé par overlay.html, panel.html,
+// video_component.html et l'aperçu de la page config (theme_preview.html).
+// Fichier séparé : pas de script inline en hébergé (CSP Twitch).
+
+// Polices proposées (identifiants validés côté serveur, lib/themes.mjs)
+const THEME_FONT_STACKS = {
+    system: 'system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif',
+    serif: 'Georgia, "Times New Roman", serif',
+    gothic: '"Palatino Linotype", "Book Antiqua", Palatino, Georgia, serif',
+    mono: 'Consolas, "Courier New", monospace',
+    condensed: '"Arial Narrow", "Roboto Condensed", Arial, sans-serif'
+};
+
+function applyTheme(theme) {
+    const t = theme || {};
+    const root = document.documentElement;
+    root.dataset.theme = t.id || 'classic';
+    const isSet = (value) => value !== null && value !== undefined && value !== '';
+    const vars = {
+        '--accent': isSet(t.accent) ? t.accent : null,
+        '--card-alpha': isSet(t.opacity) ? String(t.opacity / 100) : null,
+        '--font': THEME_FONT_STACKS[t.font] || null,
+        '--radius': isSet(t.radius) ? `${t.radius}px` : null
+    };
+    Object.entries(vars).forEach(([name, value]) => {
+        if (value === null) root.style.removeProperty(name);
+        else root.style.setProperty(name, value);
+    });
+}
@@ -0,0 +1,6 @@
+// Aperçu du thème dans la page config : le brouillon arrive par postMessage depuis la page parente
+// (même origine), appliqué sans rien enregistrer.
+window.addEventListener('message', (event) => {
+    if (event.source !== window.parent || event.origin !== window.location.origin) return;
+    if (event.data && event.data.type === 'theme') applyTheme(event.data.theme);
+});
@@ -0,0 +1,83 @@
+// Réception des messages WebSocket du serveur (protocole : lib/ws_protocol.mjs), sans DOM.
+// Chargé avant panel.js par overlay.html, panel.html et video_component.html ;
+// test/ws_protocol.test.mjs le charge dans node (vm) pour jouer les messages sans navigateur.
+
+const WS_PROTOCOL_VERSION = 1;
+const WS_MESSAGE_TYPES = ['state', 'patch', 'alert'];
+
+// Enveloppe { type, version, seq, data } bien formée (la version est vérifiée à part)
+function isWsEnvelope(msg) {
+    if (!msg || typeof msg !== 'object' || !WS_MESSAGE_TYPES.includes(msg.type)) return false;
+    if (!Number.isInteger(msg.seq) || msg.seq < 0 || !('data' in msg)) return false;
+    return msg.type !== 'patch' || Array.isArray(msg.data);
+}
+
+// Applique des opérations JSON Patch (add / remove / replace, chemins JSON Pointer) ; renvoie le nouveau document
+function applyJsonPatch(doc, ops) {
+    for (const { op, path, value } of ops) {
+        if (path === '') {
+            doc = value;
+            continue;
+        }
+        const keys = path.slice(1).split('/').map((key) => key.replace(/~1/g, '/').replace(/~0/g, '~'));
+        const last = keys.pop();
+        let parent = doc;
+        for (const key of keys) parent = parent[key];
+        if (op === 'remove') delete parent[last];
+        else parent[last] = value;
+    }
+    return doc;
+}
+
+/**
+ * Suivi d'une connexion WS : dernier seq et dernier état reçu (base des patchs).
+ * - onState(view) : nouvel état complet (après un "state" ou un patch appliqué)
+ * - onAlert(alert) : alerte d'event
+ * - resync() : message manqué ou patch inapplicable, redemander l'état complet
+ * - onVersionMismatch() : serveur mis à jour sous nos pieds
+ * Une enveloppe mal formée est ignorée.
+ */
+function createWsReceiver({ onState, onAlert, resync, onVersionMismatch }) {
+    let lastSeq = 0;
+    let view = null;
+
+    function requestResync() {
+        view = null;
+        resync();
+    }
+
+    function handle(msg) {
+        if (msg && typeof msg === 'object' && msg.version !== WS_PROTOCOL_VERSION) {
+            onVersionMismatch();
+            return;
+        }
+        if (!isWsEnvelope(msg)) return;
+        if (msg.type === 'state') {
+            // Le "state" remet le compteur à niveau (connexion, resync, redémarrage du serveur)
+            lastSeq = msg.seq;
+            view = msg.data;
+            onState(view);
+            return;
+        }
+        if (msg.type === 'alert') onAlert(msg.data);
+        // Resync en cours : le "state" demandé arrive derrière (messages WS dans l'ordre)
+        if (!view) return;
+        if (msg.seq > lastSeq + 1) {
+            // Message manqué : les patchs ne s'appliquent plus, on redemande l'état complet
+            requestResync();
+            return;
+        }
+        lastSeq = msg.seq;
+        if (msg.type === 'patch') {
+            try {
+                view = applyJsonPatch(view, msg.data);
+            } catch {
+                requestResync();
+                return;
+            }
+            onState(view);
+        }
+    }
+
+    return { handle };
+}
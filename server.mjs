@@ -1,19 +1,49 @@
 /**
  * Serveur local pour overlay OBS Diablo 4
  * - Events (helltides.com/api/schedule)
- * - Import build Mobalytics (URL)
- * - Compteurs morts/uniques
- * - WebSocket pour push en temps réel
+ * - Import de builds (Mobalytics, Maxroll, d4builds)
+ * - Compteurs personnalisés (morts, uniques, ...)
+ * - Sessions de stream (journal, bilan, export CSV/JSON)
+ * - Alertes avant les events (bandeau overlay, sans doublon après redémarrage)
+ * - Sondages viewers (build / objectif suivant)
+ * - Pronostics viewers sur le compteur de morts (scores par session)
+ * - Bot de chat Twitch optionnel (!build, !deaths, !wb, !events... et !death+ pour les modos)
+ * - Pilotage d'OBS optionnel (obs-websocket v5) : règles déclenchées par les changements d'état
+ * - WebSocket pour push en temps réel (patchs JSON, projection publique pour les viewers)
+ * - Stockage JSON atomique, écritures sérialisées (lib/storage.mjs)
  *
  * Variables en anglais, commentaires en français.
  */
 
 import express from "express";
 import { WebSocketServer } from "ws";
-import { load } from "cheerio";
 import fs from "node:fs";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
+import { createAuth } from "./lib/twitch_jwt.mjs";
+import { dedupeBuilds, findBuildByUrl, mergeDuplicateBuild, normalizeBuild } from "./lib/build_model.mjs";
+import { findImporter } from "./lib/importers/index.mjs";
+import { diffBuilds } from "./lib/build_diff.mjs";
+import { createPubSub, DEFAULT_PUBSUB_URL } from "./lib/twitch_pubsub.mjs";
+import { createSequencer, decodeClientMessage, encodeMessage, startHeartbeat } from "./lib/ws_protocol.mjs";
+import { diffJson } from "./lib/json_patch.mjs";
+import { publicBuild, publicView } from "./lib/public_view.mjs";
+import { createChatBot, DEFAULT_CHAT_HOST, DEFAULT_CHAT_PORT } from "./lib/twitch_chat.mjs";
+import { normalizeTheme, normalizeThemeState } from "./lib/themes.mjs";
+import { normalizeOverlayLayout, OVERLAY_WIDGETS, parseOverlayLayout } from "./lib/overlay_layout.mjs";
+import { assertPublicObsHost, createObsClient } from "./lib/obs_websocket.mjs";
+import { matchingRules, normalizeObsSettings, obsSettingsView, runObsRule, stateTriggers } from "./lib/obs_rules.mjs";
+import { createChatHandler, parseChatCooldowns } from "./lib/chat_commands.mjs";
+import { ACTIONS, allowedActions, defaultPermissions, delegableActions, isAllowed, normalizePermissions } from "./lib/permissions.mjs";
+import { createJsonFileBackend, createStorage } from "./lib/storage.mjs";
+import { applyCounterOp, COUNTER_OPS, DEFAULT_COUNTERS, normalizeCounterDef, normalizeCounters, parseCounterValue } from "./lib/counters.mjs";
+import { compactTimeline, eventsSnapshot, HELLTIDES_SCHEDULE_URL } from "./lib/events.mjs";
+import { fallbackSchedule } from "./lib/event_predictor.mjs";
+import { applyObjectiveOp, mergeObjectives, moveObjective, normalizeObjectives } from "./lib/objectives.mjs";
+import { addRound, createPrediction, predictionView, resolvePrediction, scoreboardView, submitGuess, viewerTag } from "./lib/predictions.mjs";
+import { castVote, closePoll, createPoll, pollView, tallyPoll } from "./lib/polls.mjs";
+import { DEFAULT_ALERT_RULES, dueAlerts, normalizeAlertRule, normalizeAlertRules, pruneFiredAlerts } from "./lib/alerts.mjs";
+import { appendSessionLog, endSession, SESSION_HISTORY_MAX, sessionToCsv, startSession, summarizeSession } from "./lib/sessions.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -22,8 +52,53 @@ const PORT = Number(process.env.PORT || 3199);
 
 const DATA_DIR = path.join(__dirname, "data");
 const PUBLIC_DIR = path.join(__dirname, "public");
-const STATE_PATH = path.join(DATA_DIR, "state.json");
-const BUILD_PATH = path.join(DATA_DIR, "build.json");
+// Clés de stockage (fichiers data/<clé>.json avec le backend JSON) :
+// un dossier par chaîne Twitch, channels/<channel_id>/{state,build}
+const CHANNELS_PREFIX = "channels";
+// Anciens fichiers globaux (avant le multi-chaîne), recopiés dans la chaîne locale au démarrage
+const LEGACY_STATE_KEY = "state";
+const LEGACY_BUILD_KEY = "build";
+// Planning des events : commun à toutes les chaînes
+const EVENTS_KEY = "events";
+// Dernier planning brut reçu de helltides.com (base du planning de secours)
+const SCHEDULE_KEY = "schedule";
+// Profondeur de la timeline des events (heures à venir gardées dans le state)
+const EVENTS_HORIZON_MS = Math.max(1, Number(process.env.EVENTS_HORIZON_HOURS ?? 6) || 6) * 3_600_000;
+// Refresh manuel des events : planning commun à toutes les chaînes, donc un seul appel à helltides.com
+// par intervalle quelle que soit la chaîne qui le demande
+const EVENTS_MANUAL_REFRESH_MS = Math.max(0, Number(process.env.EVENTS_MANUAL_REFRESH_SEC ?? 60) || 0) * 1000;
+// Nombre de versions précédentes gardées pour chaque fichier (<fichier>.N.bak)
+const STORAGE_SNAPSHOTS = Math.max(0, Number(process.env.STORAGE_SNAPSHOTS ?? 5) || 0);
+
+// Chaîne des appels locaux sans JWT (OBS, Stream Deck). Mettre l'ID Twitch de ta chaîne
+// pour que l'overlay local et l'extension partagent le même état.
+const LOCAL_CHANNEL_ID = String(process.env.LOCAL_CHANNEL_ID || "local").trim() || "local";
+
+// Secret d'extension Twitch (base64, console dev Twitch > Extension > Client Configuration)
+const EXT_SECRET = String(process.env.EXT_SECRET || "").trim();
+// PubSub d'extension : Client ID de l'extension + ID Twitch du propriétaire (user_id du JWT signé par l'EBS)
+const EXT_CLIENT_ID = String(process.env.EXT_CLIENT_ID || "").trim();
+const EXT_OWNER_ID = String(process.env.EXT_OWNER_ID || "").trim();
+// Surchargeable pour pointer vers un faux endpoint local en test
+const TWITCH_PUBSUB_URL = String(process.env.TWITCH_PUBSUB_URL || DEFAULT_PUBSUB_URL).trim();
+// Bot de chat (optionnel) : compte Twitch du bot + token OAuth (scopes chat:read chat:edit)
+const TWITCH_CHAT_USERNAME = String(process.env.TWITCH_CHAT_USERNAME || "").trim();
+const TWITCH_CHAT_TOKEN = String(process.env.TWITCH_CHAT_TOKEN || "").trim();
+// Chaînes à rejoindre : "login" (état de la chaîne locale) ou "login:channel_id", séparées par des virgules
+const TWITCH_CHAT_CHANNELS = String(process.env.TWITCH_CHAT_CHANNELS || "").trim();
+// Surchargeables pour tester contre un faux serveur IRC local (TWITCH_CHAT_TLS=0 en clair)
+const TWITCH_CHAT_HOST = String(process.env.TWITCH_CHAT_HOST || DEFAULT_CHAT_HOST).trim();
+const TWITCH_CHAT_PORT = Number(process.env.TWITCH_CHAT_PORT || DEFAULT_CHAT_PORT);
+const TWITCH_CHAT_TLS = process.env.TWITCH_CHAT_TLS !== "0";
+// Cooldowns par commande en secondes, ex. "build=10,wb=60" (voir lib/chat_commands.mjs)
+const TWITCH_CHAT_COOLDOWNS = parseChatCooldowns(process.env.TWITCH_CHAT_COOLDOWNS);
+// Pilotage d'OBS : réservé par défaut à la chaîne locale (OBS tourne sur la machine du streamer).
+// OBS_REMOTE_CHANNELS=1 l'ouvre aux chaînes authentifiées par JWT, vers des hôtes publics uniquement.
+const OBS_REMOTE_CHANNELS = process.env.OBS_REMOTE_CHANNELS === "1";
+// Intervalle du ping WebSocket : un client muet pendant deux intervalles est coupé
+const WS_HEARTBEAT_MS = Math.max(1000, Number(process.env.WS_HEARTBEAT_MS ?? 30_000) || 30_000);
+// Autorise les appels locaux sans JWT (OBS, Stream Deck, admin local). Mettre ALLOW_LOCAL_ADMIN=0 pour couper.
+const ALLOW_LOCAL_ADMIN = process.env.ALLOW_LOCAL_ADMIN !== "0";
 
 function stripPlaceholder(builds) {
     if (!Array.isArray(builds)) return [defaultBuild()];
@@ -35,18 +110,6 @@ function stripPlaceholder(builds) {
     return builds;
 }
 
-// Garantit la présence de l'objet counters pour éviter les 500 si le state est mal formé
-function ensureCounters(state) {
-    if (!state || typeof state !== "object") state = {};
-    if (!state.counters || typeof state.counters !== "object") {
-        state.counters = { deaths: 0, uniques: 0 };
-    } else {
-        state.counters.deaths = state.counters.deaths ?? 0;
-        state.counters.uniques = state.counters.uniques ?? 0;
-    }
-    return state;
-}
-
 function defaultBuild() {
     return {
         source: "manual",
@@ -58,198 +121,252 @@ function defaultBuild() {
     };
 }
 
-function readBuilds() {
-    try {
-        const raw = JSON.parse(fs.readFileSync(BUILD_PATH, "utf-8"));
-        if (Array.isArray(raw)) return stripPlaceholder(raw);
-        if (raw && typeof raw === "object") return stripPlaceholder([raw]);
-    } catch {
-        // ignore
-    }
+function channelKeys(channelId) {
+    const id = String(channelId || "");
+    if (!/^[A-Za-z0-9_-]{1,64}$/.test(id)) throw new Error(`channel_id invalide : "${id}"`);
+    return {
+        state: `${CHANNELS_PREFIX}/${id}/state`,
+        build: `${CHANNELS_PREFIX}/${id}/build`,
+        // Session en cours (journal complet) et sessions terminées, hors du state diffusé
+        session: `${CHANNELS_PREFIX}/${id}/session`,
+        sessions: `${CHANNELS_PREFIX}/${id}/sessions`,
+        // Alertes d'events déjà envoyées (dédoublonnage, survit aux redémarrages)
+        alerts: `${CHANNELS_PREFIX}/${id}/alerts`,
+        // Sondage en cours ou dernier clos (votes individuels, hors du state diffusé)
+        poll: `${CHANNELS_PREFIX}/${id}/poll`,
+        // Pronostic en cours ou dernier résolu, et tableaux des scores par session
+        prediction: `${CHANNELS_PREFIX}/${id}/prediction`,
+        predictions: `${CHANNELS_PREFIX}/${id}/predictions`,
+        // Connexion et règles OBS (mot de passe obs-websocket : jamais dans le state)
+        obs: `${CHANNELS_PREFIX}/${id}/obs`
+    };
+}
+
+function defaultState() {
+    return {
+        timezone: "Europe/Paris",
+        counters: { deaths: 0, uniques: 0 },
+        counterDefs: DEFAULT_COUNTERS.map((def) => ({ ...def })),
+        permissions: defaultPermissions(),
+        alertRules: DEFAULT_ALERT_RULES.map((rule) => ({ ...rule })),
+        objectives: ["Objectif 1", "Objectif 2", "Objectif 3"]
+    };
+}
+
+ensureDirs();
+
+const storage = createStorage({
+    backend: createJsonFileBackend({ dir: DATA_DIR, snapshots: STORAGE_SNAPSHOTS })
+});
+
+// Lectures : copies du document, modifiables librement. Les écritures (writeState, writeBuilds)
+// prennent la transaction de storage.mutate : elles n'existent qu'à l'intérieur de la file.
+function readState(channelId) {
+    const state = storage.read(channelKeys(channelId).state);
+    return state && typeof state === "object" ? state : defaultState();
+}
+
+function writeState(tx, channelId, state) {
+    tx.write(channelKeys(channelId).state, state);
+}
+
+function readBuilds(channelId) {
+    const raw = storage.read(channelKeys(channelId).build);
+    if (Array.isArray(raw)) return stripPlaceholder(raw.map(normalizeBuild));
+    if (raw && typeof raw === "object") return stripPlaceholder([normalizeBuild(raw)]);
     return [defaultBuild()];
 }
 
-function writeBuilds(builds) {
-    writeJson(BUILD_PATH, stripPlaceholder(builds));
+function writeBuilds(tx, channelId, builds) {
+    tx.write(channelKeys(channelId).build, stripPlaceholder(builds));
 }
 
-function ensureBuildState(state) {
-    state = state && typeof state === "object" ? state : {};
-    const builds = stripPlaceholder(readBuilds());
-    state.builds = builds;
-    if (!Number.isInteger(state.currentBuildIndex) || state.currentBuildIndex < 0 || state.currentBuildIndex >= builds.length) {
-        state.currentBuildIndex = builds.length ? builds.length - 1 : 0;
-    }
-    state.build = builds[state.currentBuildIndex] || defaultBuild();
-    return state;
+// Lecture-modification-écriture de l'état d'une chaîne dans la file ; renvoie l'état écrit
+function mutateState(channelId, fn) {
+    return storage.mutate((tx) => {
+        const state = readState(channelId);
+        fn(state);
+        writeState(tx, channelId, state);
+        return state;
+    });
 }
 
-const HELLTIDES_SCHEDULE_URL = "https://helltides.com/api/schedule";
+// Session en cours de la chaîne (null si aucune)
+function readSession(channelId) {
+    const session = storage.read(channelKeys(channelId).session);
+    return session && session.id && !session.endedAt ? session : null;
+}
 
-function ensureDirs() {
-    if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
-    if (!fs.existsSync(PUBLIC_DIR)) fs.mkdirSync(PUBLIC_DIR, { recursive: true });
+function readSessionHistory(channelId) {
+    const history = storage.read(channelKeys(channelId).sessions);
+    return Array.isArray(history) ? history : [];
+}
 
-    if (!fs.existsSync(BUILD_PATH)) {
-        writeJson(BUILD_PATH, [defaultBuild()]);
-    }
+// Ouvre une session (dans une mutation), avec la build affichée comme première entrée du journal
+function openSession(tx, channelId, auto) {
+    const state = ensureBuildState(channelId, readState(channelId));
+    const session = startSession(Date.now(), {
+        auto,
+        build: { index: state.currentBuildIndex, title: state.build?.title }
+    });
+    tx.write(channelKeys(channelId).session, session);
+    return session;
+}
 
-    if (!fs.existsSync(STATE_PATH)) {
-        const initial = ensureBuildState({
-            nowIso: new Date().toISOString(),
-            timezone: "Europe/Paris",
-            counters: { deaths: 0, uniques: 0 },
-            objectives: ["Objectif 1", "Objectif 2", "Objectif 3"],
-            events: {
-                nextWorldBoss: null,
-                nextLegion: null,
-                nextHelltide: null
-            }
-        });
-        writeJson(STATE_PATH, initial);
-    }
+// Termine la session en cours (dans une mutation) et l'archive dans l'historique
+function closeSession(tx, channelId, session) {
+    endSession(session, Date.now());
+    const history = [...readSessionHistory(channelId), session].slice(-SESSION_HISTORY_MAX);
+    tx.write(channelKeys(channelId).sessions, history);
+    tx.write(channelKeys(channelId).session, null);
+    return session;
 }
 
-function readJsonSafe(filePath, fallback) {
-    try {
-        return JSON.parse(fs.readFileSync(filePath, "utf-8"));
-    } catch {
-        return fallback;
+/**
+ * Ajoute une entrée au journal de la session en cours (dans une mutation).
+ * autoStart : ouvre une session s'il n'y en a pas (premier changement de compteur du stream).
+ */
+function logSession(tx, channelId, entry, { autoStart = false } = {}) {
+    let session = readSession(channelId);
+    if (!session) {
+        if (!autoStart) return null;
+        session = openSession(tx, channelId, true);
     }
+    appendSessionLog(session, entry, Date.now());
+    tx.write(channelKeys(channelId).session, session);
+    return session;
 }
 
-function writeJson(filePath, value) {
-    fs.writeFileSync(filePath, JSON.stringify(value, null, 2), "utf-8");
+// Journalise le changement de build affichée (si elle a changé)
+function logBuildSwitch(tx, channelId, previous, state) {
+    if (previous.index === state.currentBuildIndex && previous.title === state.build?.title) return;
+    logSession(tx, channelId, { type: "build", index: state.currentBuildIndex, title: state.build?.title || "" });
 }
 
-function toUnixSeconds(dateIsoOrDate) {
-    const d = typeof dateIsoOrDate === "string" ? new Date(dateIsoOrDate) : dateIsoOrDate;
-    return Math.floor(d.getTime() / 1000);
+// Anciens fichiers globaux : recopiés une fois dans la chaîne locale si elle n'a encore rien
+storage.mutate((tx) => {
+    const local = channelKeys(LOCAL_CHANNEL_ID);
+    const legacyState = tx.read(LEGACY_STATE_KEY);
+    if (tx.read(local.state) !== undefined || legacyState === undefined) return;
+    tx.write(local.state, legacyState);
+    const legacyBuilds = tx.read(LEGACY_BUILD_KEY);
+    if (legacyBuilds !== undefined) tx.write(local.build, legacyBuilds);
+    console.log(`[channels] état global migré vers la chaîne "${LOCAL_CHANNEL_ID}"`);
+}).catch((e) => console.error("[channels] migration impossible:", e.message));
+
+function ensureBuildState(channelId, state) {
+    state = state && typeof state === "object" ? state : {};
+    const builds = stripPlaceholder(readBuilds(channelId));
+    state.builds = builds;
+    if (!Number.isInteger(state.currentBuildIndex) || state.currentBuildIndex < 0 || state.currentBuildIndex >= builds.length) {
+        state.currentBuildIndex = builds.length ? builds.length - 1 : 0;
+    }
+    state.build = builds[state.currentBuildIndex] || defaultBuild();
+    return state;
 }
 
-function pickNextByStartTime(items, nowMs) {
-    if (!Array.isArray(items)) return null;
-    const next = items
-        .map((x) => ({ ...x, startMs: new Date(x.startTime).getTime() }))
-        .filter((x) => Number.isFinite(x.startMs) && x.startMs > nowMs)
-        .sort((a, b) => a.startMs - b.startMs)[0];
+function readPoll(channelId) {
+    const poll = storage.read(channelKeys(channelId).poll);
+    return poll && poll.id ? poll : null;
+}
 
-    return next ?? null;
+function readPrediction(channelId) {
+    const prediction = storage.read(channelKeys(channelId).prediction);
+    return prediction && prediction.id ? prediction : null;
 }
 
-function formatEventForOverlay(evt, type) {
-    if (!evt) return null;
+// Tableaux des scores des pronostics, un par session de stream (le plus récent en dernier)
+function readScoreboards(channelId) {
+    const boards = storage.read(channelKeys(channelId).predictions);
+    return Array.isArray(boards) ? boards : [];
+}
 
-    if (type === "world_boss") {
-        // D’après l’API : boss + zone[] présents sur world_boss :contentReference[oaicite:1]{index=1}
-        const zoneName = evt.zone?.[0]?.name ?? "";
-        return {
-            type: "world_boss",
-            title: evt.boss ? `World Boss: ${evt.boss}` : "World Boss",
-            zone: zoneName,
-            startTime: evt.startTime,
-            startTs: toUnixSeconds(evt.startTime)
-        };
-    }
+// Dernier planning connu (persisté pour survivre à un redémarrage sans réseau).
+// Avant le premier refresh : nowIso null, pas l'heure courante (elle changerait à chaque lecture et chaque
+// diffusion enverrait un patch /nowIso et un seq de plus)
+function readEventsCache() {
+    return storage.read(EVENTS_KEY) || {
+        nowIso: null,
+        events: { nextWorldBoss: null, nextLegion: null, nextHelltide: null },
+        timeline: []
+    };
+}
 
-    if (type === "legion") {
-        return {
-            type: "legion",
-            title: "Légion",
-            zone: "",
-            startTime: evt.startTime,
-            startTs: toUnixSeconds(evt.startTime)
-        };
-    }
+// Etat complet d'une chaîne tel que servi au front (/state, WebSocket) : builds + events partagés
+function channelView(channelId) {
+    const state = ensureBuildState(
+        channelId,
+        normalizeThemeState(normalizeOverlayLayout(normalizeObjectives(normalizeAlertRules(normalizeCounters(readState(channelId))))))
+    );
+    const { nowIso, events, timeline, estimated } = readEventsCache();
+    state.nowIso = nowIso;
+    state.events = events;
+    state.timeline = Array.isArray(timeline) ? timeline : [];
+    // Planning de secours en cours d'utilisation (helltides.com injoignable)
+    state.eventsEstimated = estimated === true;
+    // Session en cours : résumé seulement (le journal complet est servi par /sessions)
+    const session = readSession(channelId);
+    state.session = session ? { id: session.id, startedAt: session.startedAt, auto: session.auto } : null;
+    // Sondage : totaux seulement
+    state.poll = pollView(readPoll(channelId));
+    // Pronostic : nombre de participants, gagnants une fois résolu
+    state.prediction = predictionView(readPrediction(channelId), state.counters, Date.now());
+    return state;
+}
 
-    if (type === "helltide") {
-        return {
-            type: "helltide",
-            title: "Helltide",
-            zone: "",
-            startTime: evt.startTime,
-            startTs: toUnixSeconds(evt.startTime)
-        };
-    }
+// Projection publique (lib/public_view.mjs) pour les viewers ; le broadcaster et les modos
+// (page config, live config) gardent l'état complet
+const viewProjection = (role) => (role === "broadcaster" || role === "moderator" ? "full" : "public");
+
+function projectView(view, projection) {
+    return projection === "full" ? view : publicView(view);
+}
 
-    return null;
+// Garde seulement les champs listés (version compacte PubSub)
+function pick(source, keys) {
+    if (!source || typeof source !== "object") return source ?? null;
+    return Object.fromEntries(keys.filter((key) => source[key] !== undefined).map((key) => [key, source[key]]));
 }
 
 /**
- * Import Mobalytics (build guide page).
- * On extrait :
- * - title (h1)
- * - updatedOn (texte "Updated on ...")
- * - author (souvent affiché près du header)
- * - highlights (liste "slot -> item" si on arrive à la détecter dans le texte)
+ * Version compacte de l'état pour PubSub (limite 5 Ko) : build courante seulement, pas la bibliothèque,
+ * et uniquement les champs affichés par le panel. Trop gros malgré tout : twitch_pubsub envoie un "refetch".
  */
-async function importFromMobalytics(url) {
-    const res = await fetch(url, {
-        headers: {
-            "User-Agent": "Mozilla/5.0 (overlay-local; +OBS)"
-        }
-    });
-
-    if (!res.ok) {
-        throw new Error(`Mobalytics fetch failed: HTTP ${res.status}`);
-    }
-
-    const html = await res.text();
-    const $ = load(html);
-
-    const title = $("h1").first().text().trim() || "Build (Mobalytics)";
-    const bodyText = $("body").text().replace(/\s+/g, " ").trim();
-
-    // Cherche "Updated on Dec 25, 2025" (observé sur les pages build) :contentReference[oaicite:2]{index=2}
-    const updatedMatch = bodyText.match(/Updated on ([A-Za-z]{3,9} \d{1,2}, \d{4})/);
-    const updatedOn = updatedMatch ? updatedMatch[1] : "";
-
-    // Auteur : souvent présent sous forme "By <name>" :contentReference[oaicite:3]{index=3}
-    const authorMatch = bodyText.match(/\bBy\s+([A-Za-z0-9_ -]{2,30})\b/);
-    const author = authorMatch ? authorMatch[1].trim() : "";
-
-    // Extraction “best-effort” des items (Helm, Chest armor, etc.) si présents en texte :contentReference[oaicite:4]{index=4}
-    const slots = [
-        "Helm",
-        "Chest armor",
-        "Gloves",
-        "Pants",
-        "Boots",
-        "Amulet",
-        "Ring 1",
-        "Ring 2",
-        "Dual wield weapon 1",
-        "Dual wield weapon 2",
-        "Ranged weapon",
-        "Slashing weapon",
-        "Bludgeoning weapon"
-    ];
-
-    const highlights = [];
-    for (const slot of slots) {
-        const re = new RegExp(`${slot}\\s+([A-Za-z0-9'’\\-: ]{2,60})`, "i");
-        const m = bodyText.match(re);
-        if (m && m[1]) {
-            // Nettoyage simple
-            const item = m[1].trim();
-            // Évite d’ajouter "Empty"
-            if (!/^empty$/i.test(item)) {
-                highlights.push(`${slot}: ${item}`);
-            }
-        }
-    }
-
+function compactState(view) {
+    const build = view.build || {};
+    const highlights = Array.isArray(build.highlights) ? build.highlights : [];
     return {
-        source: "mobalytics",
-        title,
-        author,
-        updatedOn,
-        url,
-        highlights
+        counters: view.counters,
+        counterDefs: (view.counterDefs || []).map((def) => pick(def, ["name", "label", "icon", "target"])),
+        objectives: view.objectives,
+        objectivesCollapseSec: view.objectivesCollapseSec,
+        theme: view.theme,
+        currentBuildIndex: view.currentBuildIndex,
+        buildsTotal: Array.isArray(view.builds) ? view.builds.length : 0,
+        build: {
+            source: build.source,
+            title: build.title,
+            author: build.author,
+            updatedOn: build.updatedOn,
+            url: build.url,
+            highlights: highlights.map((h) => (typeof h === "string" ? h : pick(h, ["slot", "item", "aspect", "rarity"])))
+        },
+        nowIso: view.nowIso,
+        events: view.events,
+        eventsEstimated: view.eventsEstimated,
+        timeline: compactTimeline(view.timeline, Date.now()),
+        poll: view.poll && {
+            ...pick(view.poll, ["id", "question", "open", "total", "winner", "tie"]),
+            options: view.poll.options.map((o) => pick(o, ["id", "label", "votes"]))
+        },
+        prediction: pick(view.prediction, ["id", "question", "open", "locked", "lockTs", "current", "result", "guesses", "winners"])
     };
 }
 
-ensureDirs();
+function ensureDirs() {
+    if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+    if (!fs.existsSync(PUBLIC_DIR)) fs.mkdirSync(PUBLIC_DIR, { recursive: true });
+}
 
 const app = express();
 app.use(express.json());
@@ -315,14 +432,132 @@ app.use((req, res, next) => {
     next();
 });
 
+/**
+ * Auth JWT + permissions, appliquées ici pour toutes les routes plutôt que dans chaque handler.
+ * Chaque route en écriture est associée à une action (voir lib/permissions.mjs) ; une route
+ * en écriture absente de la table est réservée au broadcaster.
+ * Les handlers lisent ensuite req.auth (channel_id, role, opaque_user_id).
+ */
+const { authenticate, requireAuth } = createAuth({
+    secret: EXT_SECRET,
+    allowLocal: ALLOW_LOCAL_ADMIN,
+    localChannelId: LOCAL_CHANNEL_ID
+});
+
+const ROUTE_ACTIONS = [
+    { method: "POST", path: /^\/counters?\/[^/]+\/(inc|dec|set)$/, action: "counters.edit" },
+    { method: "POST", path: /^\/counters?\/([^/]+\/)?reset$/, action: "counters.reset" },
+    { method: "POST", path: /^\/counters(\/[^/]+\/(update|delete))?$/, action: "counters.manage" },
+    { method: "POST", path: /^\/objectives(\/[^/]+\/(toggle|inc|dec|set|move))?$/, action: "objectives.edit" },
+    { method: "POST", path: /^\/session\/(start|end)$/, action: "session.manage" },
+    { method: "POST", path: /^\/build\/(next|prev|select)$/, action: "build.select" },
+    { method: "POST", path: /^\/build(\/update)?$/, action: "build.edit" },
+    { method: "POST", path: /^\/build\/(delete|dedupe)$/, action: "build.delete" },
+    { method: "POST", path: /^\/build\/resync(\/(accept|discard))?$/, action: "build.import" },
+    { method: "GET", path: /^\/import(\/|$)/, action: "build.import" },
+    { method: "POST", path: /^\/events\/refresh$/, action: "events.refresh" },
+    { method: "POST", path: /^\/alerts\/(rules|test)$/, action: "alerts.manage" },
+    { method: "POST", path: /^\/overlay\/layout$/, action: "overlay.layout" },
+    { method: "POST", path: /^\/theme$/, action: "theme.edit" },
+    { method: "POST", path: /^\/poll\/(open|close|clear)$/, action: "polls.manage" },
+    // Vote : tout viewer authentifié (un vote par opaque_user_id)
+    { method: "POST", path: /^\/poll\/vote$/, action: null },
+    { method: "POST", path: /^\/prediction\/(open|lock|resolve|cancel)$/, action: "predictions.manage" },
+    { method: "POST", path: /^\/prediction\/guess$/, action: null },
+    { method: "POST", path: /^\/permissions$/, action: "permissions.edit" },
+    // Lecture de l'état : auth requise pour savoir quelle chaîne servir
+    { method: "GET", path: /^\/state$/, action: null },
+    { method: "GET", path: /^\/builds\/[^/]+$/, action: null },
+    // Journal des sessions (historique, export) : réservé à ceux qui gèrent les sessions
+    { method: "GET", path: /^\/sessions(\/|$)/, action: "session.manage" },
+    { method: "GET", path: /^\/poll$/, action: null },
+    { method: "GET", path: /^\/predictions?$/, action: null },
+    { method: "GET", path: /^\/obs$/, action: "obs.manage" },
+    { method: "POST", path: /^\/obs(\/test)?$/, action: "obs.manage" },
+    // Lecture de la matrice : auth requise (pour connaître le rôle) mais ouverte à tous
+    { method: "GET", path: /^\/permissions$/, action: null }
+];
+
+function routeAction(req) {
+    const rule = ROUTE_ACTIONS.find((r) => r.method === req.method && r.path.test(req.path));
+    if (rule) return rule;
+    if (req.method === "POST") return { action: "permissions.edit" };
+    return undefined;
+}
+
+app.use((req, res, next) => {
+    const rule = routeAction(req);
+    if (!rule) return next();
+    requireAuth(req, res, () => {
+        try {
+            channelKeys(req.auth.channel_id);
+        } catch (e) {
+            return res.status(400).json({ error: e.message });
+        }
+        if (!rule.action) return next();
+        const state = readState(req.auth.channel_id);
+        if (!isAllowed(req.auth.role, rule.action, state.permissions)) {
+            return res.status(403).json({ error: `Action non autorisée pour le rôle "${req.auth.role || "inconnu"}" (${rule.action})` });
+        }
+        next();
+    });
+});
+
+if (!EXT_SECRET) {
+    console.warn("[auth] EXT_SECRET absent : seuls les appels locaux sans JWT seront acceptés en écriture.");
+}
+
+// Handlers async : une erreur (stockage, import...) devient un 500 JSON au lieu d'un rejet non géré
+function asyncRoute(handler) {
+    return (req, res, next) => {
+        Promise.resolve(handler(req, res, next)).catch((e) => {
+            console.error(`[http] ${req.method} ${req.path} failed:`, e);
+            if (!res.headersSent) res.status(500).json({ error: e.message });
+        });
+    };
+}
+
 app.use("/public", express.static(PUBLIC_DIR));
 app.use("/ext", express.static(PUBLIC_DIR));
 
 
-/** Page overlay servie en local */
-app.get("/overlay", (req, res) => {
+/**
+ * Pages overlay servies en local : /overlay (toutes les cartes) et /overlay/<widget> (une seule carte,
+ * une source navigateur OBS par widget). Les fichiers de la page sont servis sous /overlay/ aussi.
+ */
+app.get("/overlay", (req, res, next) => {
+    // Sans "/" final, overlay.css et panel.js se résoudraient à la racine du serveur
+    if (!req.originalUrl.split("?")[0].endsWith("/")) {
+        const query = req.originalUrl.includes("?") ? req.originalUrl.slice(req.originalUrl.indexOf("?")) : "";
+        return res.redirect(302, `/overlay/${query}`);
+    }
     res.sendFile(path.join(PUBLIC_DIR, "overlay.html"));
 });
+app.get(`/overlay/:widget(${OVERLAY_WIDGETS.join("|")})`, (req, res) => {
+    // Avec un "/" final, les fichiers de la page seraient cherchés sous /overlay/<widget>/
+    if (req.path.endsWith("/")) return res.redirect(302, req.originalUrl.replace(/\/(\?|$)/, "$1"));
+    res.sendFile(path.join(PUBLIC_DIR, "overlay.html"));
+});
+app.use("/overlay", express.static(PUBLIC_DIR));
+
+// Disposition : { widgets: [{ id, visible, scale, opacity }] } dans l'ordre d'affichage
+app.post("/overlay/layout", asyncRoute(async (req, res) => {
+    const channelId = req.auth.channel_id;
+    const widgets = Array.isArray(req.body?.widgets) ? req.body.widgets : null;
+    if (!widgets) return res.status(400).json({ error: "Body attendu: { widgets: [{ id, visible?, scale?, opacity? }] }" });
+    let overlayLayout;
+    try {
+        overlayLayout = parseOverlayLayout(widgets);
+    } catch (e) {
+        return res.status(400).json({ error: e.message });
+    }
+
+    const state = await mutateState(channelId, (state) => {
+        state.overlayLayout = overlayLayout;
+    });
+    broadcastState(channelId);
+    res.json({ ok: true, overlayLayout: state.overlayLayout });
+}));
 
 /** Page admin local */
 app.get("/admin", (req, res) => {
@@ -331,189 +566,967 @@ app.get("/admin", (req, res) => {
 
 /** Etat JSON (debug / tests) */
 app.get("/state", (req, res) => {
+    const channelId = req.auth.channel_id;
     res.setHeader('Cache-Control', 'no-store');
-    const state = ensureBuildState(readJsonSafe(STATE_PATH, {}));
-    res.json(state);
+    res.json(projectView(channelView(channelId), viewProjection(req.auth.role)));
 });
 
-/** Import Mobalytics : /import/mobalytics?url=... */
-app.get("/import/mobalytics", async (req, res) => {
-    res.setHeader('Cache-Control', 'no-store');
-    const url = decodeURIComponent(String(req.query.url || "").trim());
-    if (!url.startsWith("https://mobalytics.gg/")) {
-        return res.status(400).json({ error: "URL invalide (attendu: https://mobalytics.gg/...)" });
+/** Une build de la bibliothèque (navigation locale des viewers, qui n'ont que la build courante) */
+app.get("/builds/:index", (req, res) => {
+    const builds = readBuilds(req.auth.channel_id);
+    const index = Number(req.params.index);
+    if (!Number.isInteger(index) || index < 0 || index >= builds.length) {
+        return res.status(404).json({ error: `Build introuvable : "${req.params.index}" (0 à ${builds.length - 1})` });
     }
+    res.json({ ok: true, index, total: builds.length, build: publicBuild(builds[index]) });
+});
 
-    try {
-        const build = await importFromMobalytics(url);
-        let builds = readBuilds();
+/**
+ * Enregistre une nouvelle build et la sélectionne (dans une mutation : tx de storage.mutate).
+ * Si une build de même URL (canonique) existe : refus avec { duplicate } sauf mode "update",
+ * qui remplace l'existante sur place.
+ */
+function storeNewBuild(tx, channelId, build, mode) {
+    let builds = readBuilds(channelId);
+    const existing = findBuildByUrl(builds, build.url);
+    if (existing >= 0 && mode !== "update") {
+        return {
+            duplicate: {
+                ok: false,
+                duplicate: true,
+                index: existing,
+                title: builds[existing].title,
+                error: `Build déjà présente (#${existing + 1} : ${builds[existing].title}). Relancer avec mode=update pour la mettre à jour.`
+            }
+        };
+    }
+
+    if (existing >= 0) {
+        build = mergeDuplicateBuild(builds[existing], build);
+        builds[existing] = build;
+    } else {
         builds.push(build);
-        builds = stripPlaceholder(builds);
-        writeBuilds(builds);
+    }
+    builds = stripPlaceholder(builds);
+    writeBuilds(tx, channelId, builds);
 
-        const state = ensureBuildState(readJsonSafe(STATE_PATH, {}));
-        state.builds = builds;
-        state.currentBuildIndex = builds.length - 1;
-        state.build = build;
-        writeJson(STATE_PATH, state);
+    const index = builds.indexOf(build);
+    const state = ensureBuildState(channelId, readState(channelId));
+    const previous = { index: state.currentBuildIndex, title: state.build?.title };
+    state.builds = builds;
+    state.currentBuildIndex = index;
+    state.build = build;
+    writeState(tx, channelId, state);
+    logBuildSwitch(tx, channelId, previous, state);
+
+    return { index, updated: existing >= 0 };
+}
+
+/** Import de build : /import?url=... (Mobalytics, Maxroll planner, d4builds.gg) */
+async function handleImport(req, res) {
+    const channelId = req.auth.channel_id;
+    res.setHeader('Cache-Control', 'no-store');
+    const url = decodeURIComponent(String(req.query.url || "").trim());
+    const importer = findImporter(url);
+    if (!importer) {
+        return res.status(400).json({ error: "URL non reconnue (attendu: Mobalytics, Maxroll planner ou d4builds.gg)" });
+    }
 
-        broadcastState();
-        return res.json({ ok: true, build });
+    try {
+        // Téléchargement hors de la file, enregistrement dedans
+        const build = await importer.importBuild(url);
+        const saved = await storage.mutate((tx) => storeNewBuild(tx, channelId, build, req.query.mode));
+        if (saved.duplicate) return res.status(409).json(saved.duplicate);
+        broadcastState(channelId);
+        return res.json({ ok: true, build, index: saved.index, updated: saved.updated, importer: importer.id });
     } catch (e) {
         return res.status(500).json({ error: e.message });
     }
-});
+}
 
-/** Compteurs */
-app.post("/counter/deaths/inc", (req, res) => {
-    const state = ensureCounters(readJsonSafe(STATE_PATH, {}));
-    state.counters.deaths = (state.counters.deaths ?? 0) + 1;
-    writeJson(STATE_PATH, state);
-    broadcastState();
-    res.json({ ok: true, deaths: state.counters.deaths });
-});
-app.post("/build", (req, res) => {
+app.get("/import", handleImport);
+// Ancienne route (Mobalytics uniquement à l'origine), conservée pour compat
+app.get("/import/mobalytics", handleImport);
+
+app.post("/build", asyncRoute(async (req, res) => {
+    const channelId = req.auth.channel_id;
     const body = req.body || {};
 
-    const build = {
+    const build = normalizeBuild({
         source: String(body.source ?? "manual").trim() || "manual",
         title: String(body.title ?? "").trim() || "Aucune build importée",
         author: String(body.author ?? "").trim(),
         updatedOn: String(body.updatedOn ?? "").trim(),
         url: String(body.url ?? "").trim(),
-        highlights: []
-    };
+        highlights: Array.isArray(body.highlights) ? body.highlights : [],
+        highlightsCustom: Array.isArray(body.highlights)
+    });
 
-    let builds = readBuilds();
-    builds.push(build);
-    builds = stripPlaceholder(builds);
-    writeBuilds(builds);
+    const saved = await storage.mutate((tx) => storeNewBuild(tx, channelId, build, body.mode));
+    if (saved.duplicate) return res.status(409).json(saved.duplicate);
+    broadcastState(channelId);
+    res.json({ ok: true, build, index: saved.index, updated: saved.updated });
+}));
+// Met à jour une build existante (par index, sinon build courante)
+app.post("/build/update", asyncRoute(async (req, res) => {
+    const channelId = req.auth.channel_id;
+    const body = req.body || {};
+    const state = await storage.mutate((tx) => {
+        const state = ensureBuildState(channelId, readState(channelId));
+        let builds = stripPlaceholder(readBuilds(channelId));
+
+        const idxRaw = body.index;
+        const idxNum = Number(idxRaw);
+        const targetIdx = Number.isFinite(idxNum)
+            ? Math.min(Math.max(0, Math.trunc(idxNum)), builds.length - 1)
+            : Math.min(Math.max(0, state.currentBuildIndex || 0), builds.length - 1);
+
+        // Les champs structurés de l'import (classe, compétences, stuff, parangon) sont conservés,
+        // les highlights aussi tant que le body n'en fournit pas de nouveaux
+        const hasHighlights = Array.isArray(body.highlights);
+        const updated = normalizeBuild({
+            ...builds[targetIdx],
+            source: String(body.source ?? builds[targetIdx].source ?? "manual").trim() || "manual",
+            title: String(body.title ?? builds[targetIdx].title ?? "").trim() || "Aucune build importée",
+            author: String(body.author ?? builds[targetIdx].author ?? "").trim(),
+            updatedOn: String(body.updatedOn ?? builds[targetIdx].updatedOn ?? "").trim(),
+            url: String(body.url ?? builds[targetIdx].url ?? "").trim(),
+            highlights: hasHighlights ? body.highlights : builds[targetIdx].highlights,
+            highlightsCustom: hasHighlights || builds[targetIdx].highlightsCustom === true
+        });
 
-    const state = ensureBuildState(readJsonSafe(STATE_PATH, {}));
-    state.builds = builds;
-    state.currentBuildIndex = builds.length - 1;
-    state.build = build;
-    writeJson(STATE_PATH, state);
+        builds[targetIdx] = updated;
+        builds = stripPlaceholder(builds);
+        writeBuilds(tx, channelId, builds);
+
+        state.builds = builds;
+        state.currentBuildIndex = targetIdx;
+        state.build = builds[targetIdx];
+        writeState(tx, channelId, state);
+        return state;
+    });
+    broadcastState(channelId);
+
+    res.json({ ok: true, build: state.build, currentBuildIndex: state.currentBuildIndex, total: state.builds.length });
+}));
+/**
+ * Compteurs personnalisés : définitions (label, icône, objectif) dans state.counterDefs,
+ * valeurs dans state.counters.
+ */
+// Opération inc / dec / set / reset ; null si le compteur n'existe pas
+function updateCounter(channelId, name, op, value) {
+    return storage.mutate((tx) => {
+        const state = normalizeCounters(readState(channelId));
+        const from = state.counters[name];
+        const result = applyCounterOp(state, name, op, value);
+        if (result === null) return null;
+        writeState(tx, channelId, state);
+        if (result !== from) logSession(tx, channelId, { type: "counter", name, op, from, to: result }, { autoStart: true });
+        return result;
+    });
+}
+
+app.post("/counters/:name/:op", asyncRoute(async (req, res, next) => {
+    const channelId = req.auth.channel_id;
+    const { name, op } = req.params;
+    if (!COUNTER_OPS.includes(op)) return next();
+    const value = parseCounterValue(req.body?.value);
+    if (op === "set" && value === null) return res.status(400).json({ error: "Body attendu: { value: entier >= 0 }" });
+
+    const result = await updateCounter(channelId, name, op, value);
+    if (result === null) return res.status(404).json({ error: `Compteur inconnu : "${name}"` });
+    broadcastState(channelId);
+    res.json({ ok: true, name, value: result });
+}));
+
+// Anciennes routes (macros Stream Deck) : /counter/deaths/inc... répondent { ok, deaths: n }
+app.post("/counter/:name/:op(inc|dec|reset)", asyncRoute(async (req, res) => {
+    const channelId = req.auth.channel_id;
+    const { name, op } = req.params;
+    const result = await updateCounter(channelId, name, op);
+    if (result === null) return res.status(404).json({ error: `Compteur inconnu : "${name}"` });
+    broadcastState(channelId);
+    res.json({ ok: true, [name]: result });
+}));
+
+// Endpoint legacy : reset de tous les compteurs (conservation pour compat).
+app.post("/counter/reset", asyncRoute(async (req, res) => {
+    const channelId = req.auth.channel_id;
+    const state = await storage.mutate((tx) => {
+        const state = normalizeCounters(readState(channelId));
+        for (const [name, from] of Object.entries(state.counters)) {
+            state.counters[name] = 0;
+            if (from !== 0) logSession(tx, channelId, { type: "counter", name, op: "reset", from, to: 0 }, { autoStart: true });
+        }
+        writeState(tx, channelId, state);
+        return state;
+    });
+    broadcastState(channelId);
+    res.json({ ok: true, counters: state.counters });
+}));
 
-    broadcastState();
-    res.json({ ok: true, build });
+// Création : { label, name?, icon?, target? } (name dérivé du label s'il manque)
+app.post("/counters", asyncRoute(async (req, res) => {
+    const channelId = req.auth.channel_id;
+    let def;
+    try {
+        def = normalizeCounterDef(req.body);
+    } catch (e) {
+        return res.status(400).json({ error: e.message });
+    }
+
+    const state = await storage.mutate((tx) => {
+        const state = normalizeCounters(readState(channelId));
+        if (state.counterDefs.some((d) => d.name === def.name)) return null;
+        state.counterDefs.push(def);
+        state.counters[def.name] = 0;
+        writeState(tx, channelId, state);
+        return state;
+    });
+    if (!state) return res.status(409).json({ error: `Le compteur "${def.name}" existe déjà` });
+    broadcastState(channelId);
+    res.json({ ok: true, counter: def, counterDefs: state.counterDefs, counters: state.counters });
+}));
+
+// Renommage / icône / objectif ; le nom (clé des routes) ne change pas
+app.post("/counters/:name/update", asyncRoute(async (req, res) => {
+    const channelId = req.auth.channel_id;
+    const { name } = req.params;
+    const result = await storage.mutate((tx) => {
+        const state = normalizeCounters(readState(channelId));
+        const index = state.counterDefs.findIndex((d) => d.name === name);
+        if (index < 0) return null;
+        try {
+            state.counterDefs[index] = normalizeCounterDef(req.body, state.counterDefs[index]);
+        } catch (e) {
+            return { error: e.message };
+        }
+        writeState(tx, channelId, state);
+        return { state };
+    });
+    if (!result) return res.status(404).json({ error: `Compteur inconnu : "${name}"` });
+    if (result.error) return res.status(400).json({ error: result.error });
+    const { state } = result;
+    broadcastState(channelId);
+    res.json({ ok: true, counterDefs: state.counterDefs, counters: state.counters });
+}));
+
+app.post("/counters/:name/delete", asyncRoute(async (req, res) => {
+    const channelId = req.auth.channel_id;
+    const { name } = req.params;
+    const state = await storage.mutate((tx) => {
+        const state = normalizeCounters(readState(channelId));
+        if (!state.counterDefs.some((d) => d.name === name)) return null;
+        state.counterDefs = state.counterDefs.filter((d) => d.name !== name);
+        delete state.counters[name];
+        writeState(tx, channelId, state);
+        return state;
+    });
+    if (!state) return res.status(404).json({ error: `Compteur inconnu : "${name}"` });
+    broadcastState(channelId);
+    res.json({ ok: true, counterDefs: state.counterDefs, counters: state.counters });
+}));
+
+/** Permissions : matrice de la chaîne + actions autorisées pour l'appelant */
+app.get("/permissions", (req, res) => {
+    const channelId = req.auth.channel_id;
+    res.setHeader('Cache-Control', 'no-store');
+    const permissions = normalizePermissions(readState(channelId).permissions);
+    res.json({
+        ok: true,
+        role: req.auth.role,
+        allowed: allowedActions(req.auth.role, permissions),
+        actions: ACTIONS,
+        delegable: delegableActions(),
+        permissions
+    });
 });
-// Met à jour une build existante (par index, sinon build courante)
-app.post("/build/update", (req, res) => {
+
+app.post("/permissions", asyncRoute(async (req, res) => {
+    const channelId = req.auth.channel_id;
     const body = req.body || {};
-    const state = ensureBuildState(readJsonSafe(STATE_PATH, {}));
-    let builds = stripPlaceholder(readBuilds());
-    if (!builds.length) return res.status(400).json({ error: "Aucune build" });
-
-    const idxRaw = body.index;
-    const idxNum = Number(idxRaw);
-    const targetIdx = Number.isFinite(idxNum)
-        ? Math.min(Math.max(0, Math.trunc(idxNum)), builds.length - 1)
-        : Math.min(Math.max(0, state.currentBuildIndex || 0), builds.length - 1);
-
-    const updated = {
-        source: String(body.source ?? builds[targetIdx].source ?? "manual").trim() || "manual",
-        title: String(body.title ?? builds[targetIdx].title ?? "").trim() || "Aucune build importée",
-        author: String(body.author ?? builds[targetIdx].author ?? "").trim(),
-        updatedOn: String(body.updatedOn ?? builds[targetIdx].updatedOn ?? "").trim(),
-        url: String(body.url ?? builds[targetIdx].url ?? "").trim(),
-        highlights: []
-    };
+    if (!body.permissions || typeof body.permissions !== "object") {
+        return res.status(400).json({ error: "Body attendu: { permissions: { moderator: string[], viewer: string[] } }" });
+    }
+    const state = await mutateState(channelId, (state) => {
+        state.permissions = normalizePermissions(body.permissions);
+    });
+    res.json({ ok: true, permissions: state.permissions });
+}));
 
-    builds[targetIdx] = updated;
-    builds = stripPlaceholder(builds);
-    writeBuilds(builds);
+/**
+ * Objectifs : [{ id, text, done, progress }] (voir lib/objectives.mjs).
+ * POST /objectives remplace la liste (chaînes ou objets) ; les routes /objectives/<id>/... touchent
+ * un seul objectif sans renvoyer la liste.
+ */
+app.post("/objectives", asyncRoute(async (req, res) => {
+    const channelId = req.auth.channel_id;
+    const objectives = Array.isArray(req.body?.objectives) ? req.body.objectives : null;
+    if (!objectives) return res.status(400).json({ error: "Body attendu: { objectives: (string | { text, done?, progress? })[], collapseSec? }" });
+
+    const result = await storage.mutate((tx) => {
+        const state = normalizeObjectives(readState(channelId));
+        try {
+            state.objectives = mergeObjectives(state.objectives, objectives, Date.now());
+        } catch (e) {
+            return { error: e.message };
+        }
+        if (req.body.collapseSec !== undefined) state.objectivesCollapseSec = req.body.collapseSec;
+        normalizeObjectives(state);
+        writeState(tx, channelId, state);
+        logSession(tx, channelId, { type: "objectives", objectives: state.objectives.map((o) => o.text) });
+        return { state };
+    });
+    if (result.error) return res.status(400).json({ error: result.error });
+    const { state } = result;
+    broadcastState(channelId);
+    res.json({ ok: true, objectives: state.objectives, collapseSec: state.objectivesCollapseSec });
+}));
+
+// Un objectif : toggle ({ done? } pour forcer), inc / dec / set ({ value }) sur la progression
+app.post("/objectives/:id/:op(toggle|inc|dec|set)", asyncRoute(async (req, res) => {
+    const channelId = req.auth.channel_id;
+    const { id, op } = req.params;
+    const value = op === "toggle" ? req.body?.done : req.body?.value;
+    if (op === "set" && (value === undefined || value === null || value === "")) {
+        return res.status(400).json({ error: "Body attendu: { value: entier >= 0 }" });
+    }
 
-    state.builds = builds;
-    state.currentBuildIndex = targetIdx;
-    state.build = builds[targetIdx];
-    writeJson(STATE_PATH, state);
-    broadcastState();
+    const result = await storage.mutate((tx) => {
+        const state = normalizeObjectives(readState(channelId));
+        const objective = state.objectives.find((o) => o.id === id);
+        if (!objective) return null;
+        const before = JSON.stringify(objective);
+        const applied = applyObjectiveOp(objective, op, value, Date.now());
+        if (applied.error) return applied;
+        if (JSON.stringify(objective) !== before) {
+            writeState(tx, channelId, state);
+            const { text, done, progress } = objective;
+            logSession(tx, channelId, { type: "objective", id, text, done, progress });
+        }
+        return { objective };
+    });
+    if (!result) return res.status(404).json({ error: `Objectif inconnu : "${id}"` });
+    if (result.error) return res.status(400).json({ error: result.error });
+    broadcastState(channelId);
+    res.json({ ok: true, objective: result.objective });
+}));
+
+// Réordonne : { index } = nouvelle position (0 = en haut)
+app.post("/objectives/:id/move", asyncRoute(async (req, res) => {
+    const channelId = req.auth.channel_id;
+    const { id } = req.params;
+    const index = Number(req.body?.index);
+    if (!Number.isInteger(index)) return res.status(400).json({ error: "Body attendu: { index: entier }" });
+
+    const state = await storage.mutate((tx) => {
+        const state = normalizeObjectives(readState(channelId));
+        if (!moveObjective(state.objectives, id, index)) return null;
+        writeState(tx, channelId, state);
+        return state;
+    });
+    if (!state) return res.status(404).json({ error: `Objectif inconnu : "${id}"` });
+    broadcastState(channelId);
+    res.json({ ok: true, objectives: state.objectives });
+}));
 
-    res.json({ ok: true, build: state.build, currentBuildIndex: state.currentBuildIndex, total: builds.length });
-});
-app.post("/counter/deaths/dec", (req, res) => {
-    const state = ensureCounters(readJsonSafe(STATE_PATH, {}));
-    state.counters.deaths = Math.max((state.counters.deaths ?? 0) - 1, 0);
-    writeJson(STATE_PATH, state);
-    broadcastState();
-    res.json({ ok: true, deaths: state.counters.deaths });
+/**
+ * Sessions de stream : démarrage auto au premier changement de compteur, ou manuel.
+ * Journal : compteurs, changements de build, objectifs. Historique + export pour les récaps.
+ */
+// Démarre une nouvelle session (termine la précédente si elle est encore ouverte)
+app.post("/session/start", asyncRoute(async (req, res) => {
+    const channelId = req.auth.channel_id;
+    const { session, previous } = await storage.mutate((tx) => {
+        const current = readSession(channelId);
+        const previous = current ? closeSession(tx, channelId, current) : null;
+        return { session: openSession(tx, channelId, false), previous };
+    });
+    broadcastState(channelId);
+    res.json({
+        ok: true,
+        session: summarizeSession(session, Date.now()),
+        ended: previous ? summarizeSession(previous, Date.now()) : null
+    });
+}));
+
+app.post("/session/end", asyncRoute(async (req, res) => {
+    const channelId = req.auth.channel_id;
+    const session = await storage.mutate((tx) => {
+        const current = readSession(channelId);
+        return current ? closeSession(tx, channelId, current) : null;
+    });
+    if (!session) return res.status(400).json({ error: "Aucune session en cours" });
+    broadcastState(channelId);
+    res.json({ ok: true, session: summarizeSession(session, Date.now()) });
+}));
+
+// Session en cours + historique (bilans sans journal), la plus récente d'abord
+app.get("/sessions", (req, res) => {
+    const channelId = req.auth.channel_id;
+    res.setHeader('Cache-Control', 'no-store');
+    const nowMs = Date.now();
+    const current = readSession(channelId);
+    res.json({
+        ok: true,
+        current: current ? summarizeSession(current, nowMs) : null,
+        sessions: readSessionHistory(channelId).map((session) => summarizeSession(session, nowMs)).reverse(),
+        counterDefs: normalizeCounters(readState(channelId)).counterDefs
+    });
 });
-app.post("/counter/uniques/inc", (req, res) => {
-    const state = ensureCounters(readJsonSafe(STATE_PATH, {}));
-    state.counters.uniques = (state.counters.uniques ?? 0) + 1;
-    writeJson(STATE_PATH, state);
-    broadcastState();
-    res.json({ ok: true, uniques: state.counters.uniques });
+
+// Export d'une session (en cours ou terminée) : ?format=csv (journal) ou json (session + bilan)
+app.get("/sessions/:id/export", (req, res) => {
+    const channelId = req.auth.channel_id;
+    const current = readSession(channelId);
+    const session = current?.id === req.params.id
+        ? current
+        : readSessionHistory(channelId).find((s) => s.id === req.params.id);
+    if (!session) return res.status(404).json({ error: `Session inconnue : "${req.params.id}"` });
+
+    const format = String(req.query.format || "json").toLowerCase();
+    const { counterDefs } = normalizeCounters(readState(channelId));
+    res.setHeader('Cache-Control', 'no-store');
+    if (format === "csv") {
+        const labels = Object.fromEntries(counterDefs.map((def) => [def.name, def.label]));
+        res.setHeader("Content-Type", "text/csv; charset=utf-8");
+        res.setHeader("Content-Disposition", `attachment; filename="session-${session.id}.csv"`);
+        return res.send(sessionToCsv(session, labels));
+    }
+    res.setHeader("Content-Disposition", `attachment; filename="session-${session.id}.json"`);
+    res.json({ ...session, summary: summarizeSession(session, Date.now()), counterDefs });
 });
-app.post("/counter/uniques/dec", (req, res) => {
-    const state = ensureCounters(readJsonSafe(STATE_PATH, {}));
-    state.counters.uniques = Math.max((state.counters.uniques ?? 0) - 1, 0);
-    writeJson(STATE_PATH, state);
-    broadcastState();
-    res.json({ ok: true, uniques: state.counters.uniques });
+
+/**
+ * Alertes d'events : règles par chaîne (type + minutes avant le début), évaluées côté serveur
+ * (checkAlerts) et poussées comme message "alert" distinct de l'état.
+ */
+app.post("/alerts/rules", asyncRoute(async (req, res) => {
+    const channelId = req.auth.channel_id;
+    const rules = Array.isArray(req.body?.rules) ? req.body.rules : null;
+    if (!rules) return res.status(400).json({ error: "Body attendu: { rules: [{ type, minutesBefore, sound?, enabled? }] }" });
+    let alertRules;
+    try {
+        alertRules = rules.map(normalizeAlertRule);
+    } catch (e) {
+        return res.status(400).json({ error: e.message });
+    }
+
+    const state = await mutateState(channelId, (state) => {
+        state.alertRules = alertRules;
+        normalizeAlertRules(state);
+    });
+    broadcastState(channelId);
+    res.json({ ok: true, alertRules: state.alertRules });
+}));
+
+// Alerte de test (réglage du bandeau et du son dans OBS), non mémorisée
+app.post("/alerts/test", (req, res) => {
+    const channelId = req.auth.channel_id;
+    const startTs = Math.floor(Date.now() / 1000) + 300;
+    const alert = {
+        id: `test-${startTs}`,
+        type: "world_boss",
+        title: "World Boss",
+        zone: "",
+        startTs,
+        minutesBefore: 5,
+        sound: req.body?.sound !== false,
+        text: "Test : World Boss dans 5 min",
+        test: true
+    };
+    broadcastAlert(channelId, alert);
+    res.json({ ok: true, alert });
 });
 
-// Resets séparés
-app.post("/counter/deaths/reset", (req, res) => {
-    const state = ensureCounters(readJsonSafe(STATE_PATH, {}));
-    state.counters.deaths = 0;
-    writeJson(STATE_PATH, state);
-    broadcastState();
-    res.json({ ok: true, deaths: state.counters.deaths });
+// Thème : { id, accent?, opacity?, font?, radius? } (surcharges vides = valeurs du thème)
+app.post("/theme", asyncRoute(async (req, res) => {
+    const channelId = req.auth.channel_id;
+    let theme;
+    try {
+        theme = normalizeTheme(req.body);
+    } catch (e) {
+        return res.status(400).json({ error: e.message });
+    }
+
+    await mutateState(channelId, (state) => {
+        state.theme = theme;
+    });
+    broadcastState(channelId);
+    res.json({ ok: true, theme });
+}));
+
+/**
+ * OBS (obs-websocket v5) : connexion et règles par chaîne, réservées au broadcaster.
+ * Appels locaux seulement, sauf OBS_REMOTE_CHANNELS=1 (hôte public obligatoire, voir syncObsClient).
+ * Le mot de passe n'est jamais renvoyé (hasPassword) ; absent du body, l'ancien est gardé.
+ */
+app.use(/^\/obs(\/|$)/, (req, res, next) => {
+    if (req.auth?.local || OBS_REMOTE_CHANNELS) return next();
+    res.status(403).json({ error: "Pilotage OBS réservé aux appels locaux (machine du streamer)" });
 });
 
-app.post("/counter/uniques/reset", (req, res) => {
-    const state = ensureCounters(readJsonSafe(STATE_PATH, {}));
-    state.counters.uniques = 0;
-    writeJson(STATE_PATH, state);
-    broadcastState();
-    res.json({ ok: true, uniques: state.counters.uniques });
+function obsResponse(channelId) {
+    const entry = obsClients.get(channelId);
+    return { obs: obsSettingsView(readObsSettings(channelId)), connection: entry ? entry.client.status() : null };
+}
+
+app.get("/obs", (req, res) => {
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({ ok: true, ...obsResponse(req.auth.channel_id) });
 });
 
-// Endpoint legacy : reset les deux (conservation pour compat).
-app.post("/counter/reset", (req, res) => {
-    const state = ensureCounters(readJsonSafe(STATE_PATH, {}));
-    state.counters = { deaths: 0, uniques: 0 };
-    writeJson(STATE_PATH, state);
-    broadcastState();
-    res.json({ ok: true, counters: state.counters });
+// { enabled, host, port, password?, rules: [{ trigger, action, ... }] }
+app.post("/obs", asyncRoute(async (req, res) => {
+    const channelId = req.auth.channel_id;
+    if (!req.auth.local) {
+        // Appel distant : l'EBS ne doit pas pouvoir être envoyé vers son propre réseau (SSRF)
+        try {
+            await assertPublicObsHost(normalizeObsSettings(req.body, readObsSettings(channelId)).host);
+        } catch (e) {
+            return res.status(400).json({ error: e.message });
+        }
+    }
+    const result = await storage.mutate((tx) => {
+        const key = channelKeys(channelId).obs;
+        let settings;
+        try {
+            settings = normalizeObsSettings(req.body, readObsSettings(channelId));
+        } catch (e) {
+            return { error: e.message };
+        }
+        tx.write(key, settings);
+        return { settings };
+    });
+    if (result.error) return res.status(400).json({ error: result.error });
+    try {
+        await syncObsClient(channelId);
+    } catch (e) {
+        return res.status(400).json({ error: e.message });
+    }
+    res.json({ ok: true, ...obsResponse(channelId) });
+}));
+
+// Joue une règle tout de suite (réglage des sources dans OBS) : { id } de la règle enregistrée
+app.post("/obs/test", asyncRoute(async (req, res) => {
+    const channelId = req.auth.channel_id;
+    const entry = obsClients.get(channelId);
+    if (!entry) return res.status(400).json({ error: "Pilotage OBS désactivé" });
+    const rule = normalizeObsSettings(readObsSettings(channelId)).rules.find((r) => r.id === req.body?.id);
+    if (!rule) return res.status(404).json({ error: `Règle OBS inconnue : "${req.body?.id}"` });
+
+    const view = channelView(channelId);
+    const event = {
+        trigger: rule.trigger,
+        counter: rule.counter,
+        value: view.counters?.[rule.counter] ?? 0,
+        build: view.build,
+        alert: { type: rule.eventType || "world_boss", text: "Test : World Boss dans 5 min" }
+    };
+    try {
+        await runObsRule(entry.client.request, rule, event);
+    } catch (e) {
+        return res.status(502).json({ error: e.message });
+    }
+    res.json({ ok: true, rule });
+}));
+
+/**
+ * Sondages viewers : ouverts depuis la live config (builds, objectifs ou texte libre), un vote par
+ * opaque_user_id depuis le panel / composant vidéo, totaux poussés avec l'état.
+ */
+app.get("/poll", (req, res) => {
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({ ok: true, poll: pollView(readPoll(req.auth.channel_id), req.auth.opaque_user_id) });
 });
 
+// { source: "builds" | "objectives" | "free", question?, options? } ; remplace un sondage clos
+app.post("/poll/open", asyncRoute(async (req, res) => {
+    const channelId = req.auth.channel_id;
+    const result = await storage.mutate((tx) => {
+        if (readPoll(channelId)?.closedAt === null) return { error: "Un sondage est déjà ouvert", status: 409 };
+        const state = ensureBuildState(channelId, normalizeObjectives(readState(channelId)));
+        let poll;
+        try {
+            poll = createPoll(req.body, { builds: state.builds, objectives: state.objectives }, Date.now());
+        } catch (e) {
+            return { error: e.message, status: 400 };
+        }
+        tx.write(channelKeys(channelId).poll, poll);
+        return { poll };
+    });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    broadcastState(channelId);
+    res.json({ ok: true, poll: pollView(result.poll) });
+}));
+
+app.post("/poll/vote", asyncRoute(async (req, res) => {
+    const channelId = req.auth.channel_id;
+    const voter = req.auth.opaque_user_id;
+    const option = String(req.body?.option ?? "");
+    const result = await storage.mutate((tx) => {
+        const poll = readPoll(channelId);
+        const error = castVote(poll, voter, option);
+        if (error) return { error };
+        tx.write(channelKeys(channelId).poll, poll);
+        return { poll };
+    });
+    if (result.error) return res.status(400).json({ error: result.error });
+    broadcastState(channelId);
+    res.json({ ok: true, poll: pollView(result.poll, voter) });
+}));
+
+// Build d'une option gagnante : même URL, sinon même titre, sinon l'index d'ouverture du sondage
+function winningBuildIndex(option, builds) {
+    const byUrl = option.buildUrl ? findBuildByUrl(builds, option.buildUrl) : -1;
+    if (byUrl >= 0) return byUrl;
+    const byTitle = builds.findIndex((b) => b.title === option.label);
+    if (byTitle >= 0) return byTitle;
+    return option.buildIndex < builds.length ? option.buildIndex : -1;
+}
 
-/** Objectifs */
-app.post("/objectives", (req, res) => {
-    const objectives = Array.isArray(req.body?.objectives) ? req.body.objectives : null;
-    if (!objectives) return res.status(400).json({ error: "Body attendu: { objectives: string[] }" });
+// { selectWinner: true } : affiche la build gagnante (sondage sur les builds, sans égalité)
+app.post("/poll/close", asyncRoute(async (req, res) => {
+    const channelId = req.auth.channel_id;
+    const result = await storage.mutate((tx) => {
+        const poll = readPoll(channelId);
+        if (!poll || poll.closedAt) return null;
+        closePoll(poll, Date.now());
+        tx.write(channelKeys(channelId).poll, poll);
+        const { winner } = tallyPoll(poll);
+        let selected = null;
+        if (req.body?.selectWinner === true && poll.source === "builds" && winner) {
+            const index = winningBuildIndex(winner, readBuilds(channelId));
+            if (index >= 0) {
+                const state = selectBuild(tx, channelId, index);
+                selected = { index: state.currentBuildIndex, title: state.build?.title };
+            }
+        }
+        return { poll, selected };
+    });
+    if (!result) return res.status(400).json({ error: "Aucun sondage ouvert" });
+    broadcastState(channelId);
+    res.json({ ok: true, poll: pollView(result.poll), selected: result.selected });
+}));
+
+// Retire le sondage (clos ou non) du panel
+app.post("/poll/clear", asyncRoute(async (req, res) => {
+    const channelId = req.auth.channel_id;
+    await storage.mutate((tx) => tx.write(channelKeys(channelId).poll, null));
+    broadcastState(channelId);
+    res.json({ ok: true });
+}));
 
-    const state = readJsonSafe(STATE_PATH, {});
-    state.objectives = objectives.map((x) => String(x));
-    writeJson(STATE_PATH, state);
-    broadcastState();
-    res.json({ ok: true, objectives: state.objectives });
+/**
+ * Pronostics viewers sur un compteur (morts par défaut) : ouverture, pronostics jusqu'à lockAt,
+ * résolution sur la variation du compteur depuis l'ouverture. Scores cumulés par session de stream.
+ */
+app.get("/prediction", (req, res) => {
+    const channelId = req.auth.channel_id;
+    const voter = req.auth.opaque_user_id;
+    const { counters } = normalizeCounters(readState(channelId));
+    const sessionId = readSession(channelId)?.id;
+    const board = readScoreboards(channelId).find((b) => b.sessionId === sessionId);
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({
+        ok: true,
+        prediction: predictionView(readPrediction(channelId), counters, Date.now(), voter),
+        scoreboard: scoreboardView(board ?? { sessionId }, voter)
+    });
+});
+
+// Tous les tableaux des scores (le plus récent d'abord)
+app.get("/predictions", (req, res) => {
+    res.setHeader('Cache-Control', 'no-store');
+    const scoreboards = readScoreboards(req.auth.channel_id).map((board) => ({
+        ...scoreboardView(board, null, 50),
+        rounds: board.rounds.map((round) => ({
+            ...round,
+            winners: round.winners.map(({ voter, value, rank }) => ({ who: viewerTag(voter), value, rank }))
+        }))
+    }));
+    res.json({ ok: true, scoreboards: scoreboards.reverse() });
 });
 
+// { question?, counter? = "deaths", lockInSec? = 120 } ; ouvre une session s'il n'y en a pas
+app.post("/prediction/open", asyncRoute(async (req, res) => {
+    const channelId = req.auth.channel_id;
+    const result = await storage.mutate((tx) => {
+        if (readPrediction(channelId)?.resolvedAt === null) return { error: "Un pronostic est déjà en cours", status: 409 };
+        const { counters } = normalizeCounters(readState(channelId));
+        let prediction;
+        try {
+            prediction = createPrediction(req.body, counters, Date.now());
+        } catch (e) {
+            return { error: e.message, status: 400 };
+        }
+        if (!readSession(channelId)) openSession(tx, channelId, true);
+        tx.write(channelKeys(channelId).prediction, prediction);
+        return { prediction, counters };
+    });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    broadcastState(channelId);
+    res.json({ ok: true, prediction: predictionView(result.prediction, result.counters, Date.now()) });
+}));
+
+app.post("/prediction/guess", asyncRoute(async (req, res) => {
+    const channelId = req.auth.channel_id;
+    const voter = req.auth.opaque_user_id;
+    const result = await storage.mutate((tx) => {
+        const prediction = readPrediction(channelId);
+        const error = submitGuess(prediction, voter, req.body?.value, Date.now());
+        if (error) return { error };
+        tx.write(channelKeys(channelId).prediction, prediction);
+        return { prediction };
+    });
+    if (result.error) return res.status(400).json({ error: result.error });
+    broadcastState(channelId);
+    const { counters } = normalizeCounters(readState(channelId));
+    res.json({ ok: true, prediction: predictionView(result.prediction, counters, Date.now(), voter) });
+}));
+
+// Ferme les pronostics tout de suite (avant lockAt)
+app.post("/prediction/lock", asyncRoute(async (req, res) => {
+    const channelId = req.auth.channel_id;
+    const prediction = await storage.mutate((tx) => {
+        const prediction = readPrediction(channelId);
+        if (!prediction || prediction.resolvedAt) return null;
+        const nowIso = new Date().toISOString();
+        if (prediction.lockAt > nowIso) prediction.lockAt = nowIso;
+        tx.write(channelKeys(channelId).prediction, prediction);
+        return prediction;
+    });
+    if (!prediction) return res.status(400).json({ error: "Aucun pronostic en cours" });
+    broadcastState(channelId);
+    res.json({ ok: true, prediction: predictionView(prediction, normalizeCounters(readState(channelId)).counters, Date.now()) });
+}));
+
+// { result? } pour forcer le résultat ; sinon variation du compteur depuis l'ouverture
+app.post("/prediction/resolve", asyncRoute(async (req, res) => {
+    const channelId = req.auth.channel_id;
+    const result = await storage.mutate((tx) => {
+        const prediction = readPrediction(channelId);
+        if (!prediction || prediction.resolvedAt) return null;
+        const { counters } = normalizeCounters(readState(channelId));
+        const nowMs = Date.now();
+        const ranking = resolvePrediction(prediction, counters[prediction.counter], req.body?.result, nowMs);
+        tx.write(channelKeys(channelId).prediction, prediction);
+
+        const sessionId = (readSession(channelId) ?? openSession(tx, channelId, true)).id;
+        const boards = readScoreboards(channelId);
+        const index = boards.findIndex((b) => b.sessionId === sessionId);
+        const board = addRound(index >= 0 ? boards[index] : { sessionId }, prediction, ranking);
+        if (index < 0) boards.push(board);
+        tx.write(channelKeys(channelId).predictions, boards.slice(-SESSION_HISTORY_MAX));
+        return { prediction, counters, board };
+    });
+    if (!result) return res.status(400).json({ error: "Aucun pronostic en cours" });
+    broadcastState(channelId);
+    res.json({
+        ok: true,
+        prediction: predictionView(result.prediction, result.counters, Date.now()),
+        scoreboard: scoreboardView(result.board)
+    });
+}));
+
+// Annule le pronostic (en cours ou résolu) sans toucher aux scores
+app.post("/prediction/cancel", asyncRoute(async (req, res) => {
+    const channelId = req.auth.channel_id;
+    await storage.mutate((tx) => tx.write(channelKeys(channelId).prediction, null));
+    broadcastState(channelId);
+    res.json({ ok: true });
+}));
+
 const server = app.listen(PORT, () => {
     console.log(`Overlay server running: http://localhost:${PORT}/overlay`);
 });
 
 const wss = new WebSocketServer({ server, path: "/ws" });
+// Messages WS { type, version, seq, data } (lib/ws_protocol.mjs) ; seq par chaîne
+const wsSequences = createSequencer();
+startHeartbeat(wss, WS_HEARTBEAT_MS);
+
+const pubsub = createPubSub({
+    clientId: EXT_CLIENT_ID,
+    ownerId: EXT_OWNER_ID,
+    secret: EXT_SECRET,
+    url: TWITCH_PUBSUB_URL
+});
+if (!pubsub.enabled) {
+    console.warn("[pubsub] EXT_CLIENT_ID / EXT_OWNER_ID / EXT_SECRET incomplets : les panels hébergés restent en polling.");
+}
+
+// Chaque client WS est rattaché à une chaîne (JWT en ?token=..., sinon chaîne locale) et à une projection
+// (état complet ou public, selon le rôle). Les panels hébergés (sans WS) reçoivent la version compacte via PubSub.
+const VIEW_PROJECTIONS = ["full", "public"];
+// Dernier état envoyé par chaîne et projection : base des patchs, gardée en mémoire tant qu'il y a des clients
+const wsViews = new Map();
+const wsKey = (channelId, projection) => `${channelId}:${projection}`;
+
+function channelClients(channelId, projection) {
+    return [...wss.clients].filter((client) => client.readyState === 1 && client.channelId === channelId && client.projection === projection);
+}
+
+// État de base d'un client qui (re)démarre : celui sur lequel les prochains patchs seront calculés
+function baseView(channelId, projection) {
+    const key = wsKey(channelId, projection);
+    if (!wsViews.has(key)) wsViews.set(key, projectView(channelView(channelId), projection));
+    return wsViews.get(key);
+}
+
+// Envoie la différence avec le dernier état envoyé (rien si identique, état complet si le patch est plus lourd)
+function pushView(channelId, projection, view) {
+    const key = wsKey(channelId, projection);
+    const clients = channelClients(channelId, projection);
+    if (!clients.length) {
+        wsViews.delete(key);
+        return;
+    }
+    const previous = wsViews.get(key);
+    wsViews.set(key, view);
+    const ops = previous ? diffJson(previous, view) : null;
+    if (ops && !ops.length) return;
+    const type = ops && JSON.stringify(ops).length < JSON.stringify(view).length ? "patch" : "state";
+    const payload = encodeMessage(type, wsSequences.next(key), type === "patch" ? ops : view);
+    for (const client of clients) client.send(payload);
+}
+
+function broadcastState(channelId) {
+    const view = channelView(channelId);
+    for (const projection of VIEW_PROJECTIONS) pushView(channelId, projection, projectView(view, projection));
+    pubsub.publish(channelId, compactState(view));
+    obsOnState(channelId, view);
+}
+
+// Alerte d'event : message "alert" à part (PubSub : { type: "alert", alert }), jamais fusionné avec un push d'état
+function broadcastAlert(channelId, alert) {
+    for (const projection of VIEW_PROJECTIONS) {
+        const payload = encodeMessage("alert", wsSequences.next(wsKey(channelId, projection)), alert);
+        for (const client of channelClients(channelId, projection)) client.send(payload);
+    }
+    pubsub.publish(channelId, { type: "alert", alert }, { coalesce: false });
+    obsTrigger(channelId, { trigger: "alert", alert });
+}
+
+/**
+ * Pilotage d'OBS : un client obs-websocket par chaîne dont les réglages sont actifs.
+ * Les déclencheurs viennent des états poussés (compteur en hausse, build changée) et des alertes.
+ */
+const obsClients = new Map(); // channelId -> { client, key }
+const obsLastViews = new Map(); // channelId -> dernier état vu (compteurs, build)
 
-function broadcastState() {
-    const state = ensureBuildState(readJsonSafe(STATE_PATH, {}));
-    const payload = JSON.stringify(state);
+function readObsSettings(channelId) {
+    return storage.read(channelKeys(channelId).obs) || {};
+}
 
-    for (const client of wss.clients) {
-        if (client.readyState === 1) client.send(payload);
+/**
+ * (Re)connecte ou coupe le client OBS d'une chaîne selon ses réglages. Hors chaîne locale : seulement avec
+ * OBS_REMOTE_CHANNELS=1 et vers un hôte public (rejette la promesse sinon).
+ */
+async function syncObsClient(channelId) {
+    const settings = normalizeObsSettings(readObsSettings(channelId));
+    const local = channelId === LOCAL_CHANNEL_ID;
+    const enabled = settings.enabled && (local || OBS_REMOTE_CHANNELS);
+    const key = `${settings.host}:${settings.port}:${settings.password}`;
+    const current = obsClients.get(channelId);
+    if (current && (!enabled || current.key !== key)) {
+        current.client.stop();
+        obsClients.delete(channelId);
     }
+    if (!enabled || obsClients.has(channelId)) return;
+    if (!local) await assertPublicObsHost(settings.host);
+    // Un autre appel a pu créer le client pendant la résolution DNS
+    if (obsClients.has(channelId)) return;
+    // Hors chaîne locale : adresse revérifiée à chaque (re)connexion, contre le DNS rebinding
+    const client = createObsClient({ ...settings, publicOnly: !local });
+    obsClients.set(channelId, { client, key });
+    // État de départ : le premier push après (re)connexion ne doit rien déclencher
+    const view = channelView(channelId);
+    obsLastViews.set(channelId, { counters: { ...view.counters }, build: view.build });
+    client.start();
 }
 
-wss.on("connection", (ws) => {
-    ws.send(JSON.stringify(readJsonSafe(STATE_PATH, {})));
+function obsTrigger(channelId, event) {
+    const entry = obsClients.get(channelId);
+    if (!entry) return;
+    let rules;
+    try {
+        rules = matchingRules(normalizeObsSettings(readObsSettings(channelId)).rules, event);
+    } catch (e) {
+        return console.warn("[obs] réglages illisibles:", e.message);
+    }
+    for (const rule of rules) {
+        runObsRule(entry.client.request, rule, event).catch((e) => console.warn(`[obs] règle ${rule.id} KO:`, e.message));
+    }
+}
+
+function obsOnState(channelId, view) {
+    if (!obsClients.has(channelId)) return;
+    const previous = obsLastViews.get(channelId) ?? null;
+    obsLastViews.set(channelId, { counters: { ...view.counters }, build: view.build });
+    for (const event of stateTriggers(previous, view)) obsTrigger(channelId, event);
+}
+
+// Chaînes à servir : celles qui ont des clients WS, plus les chaînes stockées si PubSub est actif
+function activeChannels() {
+    const channels = new Set([...wss.clients].map((client) => client.channelId).filter(Boolean));
+    if (pubsub.enabled) {
+        for (const channelId of storage.list(CHANNELS_PREFIX)) channels.add(channelId);
+    }
+    return channels;
+}
+
+// Après un refresh events : pousse l'état à toutes les chaînes actives
+function broadcastAllChannels() {
+    for (const channelId of activeChannels()) {
+        // Une chaîne dont l'état est illisible (voir lib/storage.mjs) ne bloque pas les autres
+        try {
+            broadcastState(channelId);
+        } catch (e) {
+            console.error(`[broadcast] ${channelId}:`, e.message);
+        }
+    }
+}
+
+wss.on("connection", (ws, req) => {
+    try {
+        const token = new URL(req.url, "http://localhost").searchParams.get("token") || "";
+        const auth = authenticate(req, token || undefined);
+        channelKeys(auth.channel_id);
+        ws.channelId = auth.channel_id;
+        ws.projection = viewProjection(auth.role);
+    } catch (e) {
+        ws.close(4401, e.message);
+        return;
+    }
+    // État complet au numéro de séquence courant : le client repart de là (connexion ou reconnexion)
+    const sendState = () => {
+        const key = wsKey(ws.channelId, ws.projection);
+        ws.send(encodeMessage("state", wsSequences.current(key), baseView(ws.channelId, ws.projection)));
+    };
+    ws.on("message", (raw) => {
+        // Le client a vu un trou de séquence (ou ne sait pas appliquer un message) : état complet
+        if (decodeClientMessage(raw)?.type === "resync") sendState();
+    });
+    sendState();
 });
 
 /** Boucle events */
-async function refreshEvents() {
+let eventsRefresh = null;
+// Dernier refresh manuel (toutes chaînes confondues)
+let eventsManualRefreshAt = 0;
+
+// Un seul refresh à la fois : un appel pendant un refresh en cours reçoit le même résultat
+function refreshEvents() {
+    if (!eventsRefresh) {
+        eventsRefresh = fetchEvents().finally(() => {
+            eventsRefresh = null;
+        });
+    }
+    return eventsRefresh;
+}
+
+async function fetchEvents() {
     try {
         const res = await fetch(HELLTIDES_SCHEDULE_URL, {
             headers: { "User-Agent": "Mozilla/5.0 (overlay-local; +OBS)" }
@@ -523,104 +1536,384 @@ async function refreshEvents() {
 
         const schedule = await res.json();
         const nowMs = Date.now();
-
-        const nextWorldBoss = formatEventForOverlay(
-            pickNextByStartTime(schedule.world_boss, nowMs),
-            "world_boss"
-        );
-        const nextLegion = formatEventForOverlay(
-            pickNextByStartTime(schedule.legion, nowMs),
-            "legion"
-        );
-        const nextHelltide = formatEventForOverlay(
-            pickNextByStartTime(schedule.helltide, nowMs),
-            "helltide"
-        );
-
-        const state = ensureBuildState(readJsonSafe(STATE_PATH, {}));
-        state.nowIso = new Date().toISOString();
-        state.events = { nextWorldBoss, nextLegion, nextHelltide };
-        state.builds = readBuilds();
-        state.build = state.builds[state.currentBuildIndex] || defaultBuild();
-
-        writeJson(STATE_PATH, state);
-        broadcastState();
-        return state;
+        const eventsCache = { ...eventsSnapshot(schedule, nowMs, { horizonMs: EVENTS_HORIZON_MS }), estimated: false };
+        await storage.mutate((tx) => {
+            tx.write(SCHEDULE_KEY, { fetchedAt: new Date(nowMs).toISOString(), schedule });
+            tx.write(EVENTS_KEY, eventsCache);
+        });
+        broadcastAllChannels();
+        await checkAlerts();
+        return eventsCache;
     } catch (e) {
-        // On ne crash pas : si l’API tombe, l’overlay continue d’afficher l’état précédent.
+        // On ne crash pas : si l’API tombe, on bascule sur le planning de secours (estimé).
         console.warn("[events] refresh failed:", e.message);
+        await applyFallbackSchedule();
+        return null;
+    }
+}
+
+/**
+ * Planning de secours : dernier planning valide + extrapolation (lib/event_predictor.mjs),
+ * recalculé à chaque refresh raté pour que les comptes à rebours ne restent pas à 0:00.
+ */
+async function applyFallbackSchedule() {
+    const last = storage.read(SCHEDULE_KEY);
+    if (!last?.schedule) return null;
+    try {
+        const nowMs = Date.now();
+        const schedule = fallbackSchedule(last.schedule, nowMs, EVENTS_HORIZON_MS);
+        const eventsCache = {
+            ...eventsSnapshot(schedule, nowMs, { horizonMs: EVENTS_HORIZON_MS }),
+            estimated: true,
+            lastLiveIso: last.fetchedAt
+        };
+        await storage.mutate((tx) => tx.write(EVENTS_KEY, eventsCache));
+        broadcastAllChannels();
+        await checkAlerts();
+        return eventsCache;
+    } catch (e) {
+        console.warn("[events] fallback failed:", e.message);
         return null;
     }
 }
 
+/**
+ * Alertes dues pour chaque chaîne active, d'après la timeline en cache.
+ * Les clés envoyées sont écrites avant la diffusion : un redémarrage ne rejoue rien.
+ */
+let checkingAlerts = false;
+
+async function checkAlerts() {
+    if (checkingAlerts) return;
+    checkingAlerts = true;
+    try {
+        const { timeline } = readEventsCache();
+        for (const channelId of activeChannels()) {
+            const alerts = await storage.mutate((tx) => {
+                const nowMs = Date.now();
+                const { alertRules } = normalizeAlertRules(readState(channelId));
+                const key = channelKeys(channelId).alerts;
+                const stored = storage.read(key)?.fired || {};
+                const fired = pruneFiredAlerts(stored, nowMs);
+                const due = dueAlerts(alertRules, timeline, nowMs, fired);
+                const changed = due.alerts.length || Object.keys(fired).length !== Object.keys(stored).length;
+                if (changed) tx.write(key, { fired: { ...fired, ...due.fired } });
+                return due.alerts;
+            }).catch((e) => {
+                // État illisible d'une chaîne : les autres gardent leurs alertes
+                console.warn(`[alerts] ${channelId}:`, e.message);
+                return [];
+            });
+            for (const alert of alerts) broadcastAlert(channelId, alert);
+        }
+    } catch (e) {
+        console.warn("[alerts] check failed:", e.message);
+    } finally {
+        checkingAlerts = false;
+    }
+}
+
+/**
+ * Bot de chat : commandes de lecture depuis l'état de la chaîne, +/- sur les compteurs pour les modos
+ * (même permission counters.edit que les routes /counters/<nom>/inc|dec).
+ */
+// login de la chaîne -> channel_id de l'état servi
+const chatChannels = new Map(
+    TWITCH_CHAT_CHANNELS.split(",")
+        .map((entry) => entry.trim().toLowerCase().replace(/^#/, ""))
+        .filter(Boolean)
+        .map((entry) => {
+            const [login, channelId] = entry.split(":");
+            return [login, channelId || LOCAL_CHANNEL_ID];
+        })
+);
+const handleChatMessage = createChatHandler({
+    channels: chatChannels,
+    readView: channelView,
+    canEdit: (channelId, role) => isAllowed(role, "counters.edit", readState(channelId).permissions),
+    updateCounter: async (channelId, name, op) => {
+        const value = await updateCounter(channelId, name, op);
+        if (value !== null) broadcastState(channelId);
+        return value;
+    },
+    say: (channel, text) => chat.say(channel, text),
+    cooldowns: TWITCH_CHAT_COOLDOWNS
+});
+
+const chat = createChatBot({
+    host: TWITCH_CHAT_HOST,
+    port: TWITCH_CHAT_PORT,
+    secure: TWITCH_CHAT_TLS,
+    username: TWITCH_CHAT_USERNAME,
+    token: TWITCH_CHAT_TOKEN,
+    channels: [...chatChannels.keys()],
+    onMessage: handleChatMessage
+});
+if (chat.enabled) chat.start();
+else if (TWITCH_CHAT_CHANNELS) console.warn("[chat] TWITCH_CHAT_USERNAME / TWITCH_CHAT_TOKEN manquants : bot de chat désactivé.");
+
+for (const channelId of storage.list(CHANNELS_PREFIX)) {
+    Promise.resolve()
+        .then(() => syncObsClient(channelId))
+        .catch((e) => console.warn(`[obs] client OBS de ${channelId} non démarré:`, e.message));
+}
+
 // Toutes les 30s (tu peux monter à 60s si tu veux)
 setInterval(refreshEvents, 30_000);
 refreshEvents();
+// Le refresh est trop espacé pour une alerte T-1 : vérification dédiée toutes les 5s
+setInterval(checkAlerts, 5_000);
 
-// Endpoint manuel pour forcer un refresh events
+// Endpoint manuel pour forcer un refresh events. Limité globalement (pas par chaîne) : le planning est
+// partagé, une chaîne ne doit pas pouvoir faire marteler helltides.com au nom de toutes les autres.
 app.post("/events/refresh", async (req, res) => {
-    const state = await refreshEvents();
-    if (!state) return res.status(500).json({ ok: false, error: "refresh failed" });
-    res.json({ ok: true, state });
+    const waitMs = eventsManualRefreshAt + EVENTS_MANUAL_REFRESH_MS - Date.now();
+    if (waitMs > 0) {
+        const retryAfter = Math.ceil(waitMs / 1000);
+        res.set("Retry-After", String(retryAfter));
+        return res.status(429).json({ ok: false, error: `Planning rafraîchi il y a peu, réessaie dans ${retryAfter} s`, retryAfter });
+    }
+    eventsManualRefreshAt = Date.now();
+    const refreshed = await refreshEvents();
+    if (!refreshed) return res.status(500).json({ ok: false, error: "refresh failed" });
+    res.json({ ok: true, state: channelView(req.auth.channel_id) });
 });
 
 // Navigation entre builds
-app.post("/build/next", (req, res) => {
-    const state = ensureBuildState(readJsonSafe(STATE_PATH, {}));
-    const total = state.builds.length;
-    if (!total) return res.status(400).json({ error: "Aucune build" });
-    state.currentBuildIndex = (state.currentBuildIndex + 1) % total;
+app.post("/build/next", asyncRoute(async (req, res) => {
+    const channelId = req.auth.channel_id;
+    const state = await storage.mutate((tx) => {
+        const state = ensureBuildState(channelId, readState(channelId));
+        const previous = { index: state.currentBuildIndex, title: state.build?.title };
+        const total = state.builds.length;
+        state.currentBuildIndex = (state.currentBuildIndex + 1) % total;
+        state.build = state.builds[state.currentBuildIndex];
+        writeState(tx, channelId, state);
+        logBuildSwitch(tx, channelId, previous, state);
+        return state;
+    });
+    broadcastState(channelId);
+    res.json({ ok: true, build: state.build, currentBuildIndex: state.currentBuildIndex, total: state.builds.length });
+}));
+
+app.post("/build/prev", asyncRoute(async (req, res) => {
+    const channelId = req.auth.channel_id;
+    const state = await storage.mutate((tx) => {
+        const state = ensureBuildState(channelId, readState(channelId));
+        const previous = { index: state.currentBuildIndex, title: state.build?.title };
+        const total = state.builds.length;
+        state.currentBuildIndex = (state.currentBuildIndex - 1 + total) % total;
+        state.build = state.builds[state.currentBuildIndex];
+        writeState(tx, channelId, state);
+        logBuildSwitch(tx, channelId, previous, state);
+        return state;
+    });
+    broadcastState(channelId);
+    res.json({ ok: true, build: state.build, currentBuildIndex: state.currentBuildIndex, total: state.builds.length });
+}));
+// Affiche la build idx (bornée) ; partagé par /build/select et la clôture d'un sondage
+function selectBuild(tx, channelId, idx) {
+    const state = ensureBuildState(channelId, readState(channelId));
+    const previous = { index: state.currentBuildIndex, title: state.build?.title };
+    state.currentBuildIndex = Math.min(Math.max(0, Math.trunc(idx)), state.builds.length - 1);
     state.build = state.builds[state.currentBuildIndex];
-    writeJson(STATE_PATH, state);
-    broadcastState();
-    res.json({ ok: true, build: state.build, currentBuildIndex: state.currentBuildIndex, total });
-});
+    writeState(tx, channelId, state);
+    logBuildSwitch(tx, channelId, previous, state);
+    return state;
+}
 
-app.post("/build/prev", (req, res) => {
-    const state = ensureBuildState(readJsonSafe(STATE_PATH, {}));
-    const total = state.builds.length;
-    if (!total) return res.status(400).json({ error: "Aucune build" });
-    state.currentBuildIndex = (state.currentBuildIndex - 1 + total) % total;
-    state.build = state.builds[state.currentBuildIndex];
-    writeJson(STATE_PATH, state);
-    broadcastState();
-    res.json({ ok: true, build: state.build, currentBuildIndex: state.currentBuildIndex, total });
-});
-app.post("/build/select", (req, res) => {
-    const state = ensureBuildState(readJsonSafe(STATE_PATH, {}));
-    const total = state.builds.length;
-    if (!total) return res.status(400).json({ error: "Aucune build" });
+app.post("/build/select", asyncRoute(async (req, res) => {
+    const channelId = req.auth.channel_id;
     const idx = Number(req.body?.index);
     if (!Number.isFinite(idx)) return res.status(400).json({ error: "index requis" });
-    const clamped = Math.min(Math.max(0, Math.trunc(idx)), total - 1);
-    state.currentBuildIndex = clamped;
-    state.build = state.builds[state.currentBuildIndex];
-    writeJson(STATE_PATH, state);
-    broadcastState();
-    res.json({ ok: true, build: state.build, currentBuildIndex: state.currentBuildIndex, total });
-});
+    const state = await storage.mutate((tx) => selectBuild(tx, channelId, idx));
+    broadcastState(channelId);
+    res.json({ ok: true, build: state.build, currentBuildIndex: state.currentBuildIndex, total: state.builds.length });
+}));
 
 // Supprime une build (par index, sinon build courante)
-app.post("/build/delete", (req, res) => {
-    const state = ensureBuildState(readJsonSafe(STATE_PATH, {}));
-    let builds = stripPlaceholder(readBuilds());
-    if (!builds.length) return res.status(400).json({ error: "Aucune build" });
+app.post("/build/delete", asyncRoute(async (req, res) => {
+    const channelId = req.auth.channel_id;
+    const state = await storage.mutate((tx) => {
+        const state = ensureBuildState(channelId, readState(channelId));
+        const previous = { index: state.currentBuildIndex, title: state.build?.title };
+        let builds = stripPlaceholder(readBuilds(channelId));
+
+        const idxRaw = req.body?.index;
+        const idxNum = Number(idxRaw);
+        const total = builds.length;
+        const targetIdx = Number.isFinite(idxNum) ? Math.min(Math.max(0, Math.trunc(idxNum)), total - 1) : Math.min(Math.max(0, state.currentBuildIndex || 0), total - 1);
+
+        builds.splice(targetIdx, 1);
+        if (!builds.length) builds = [defaultBuild()];
+        builds = stripPlaceholder(builds);
+        writeBuilds(tx, channelId, builds);
 
-    const idxRaw = req.body?.index;
-    const idxNum = Number(idxRaw);
-    const total = builds.length;
-    const targetIdx = Number.isFinite(idxNum) ? Math.min(Math.max(0, Math.trunc(idxNum)), total - 1) : Math.min(Math.max(0, state.currentBuildIndex || 0), total - 1);
+        state.builds = builds;
+        state.currentBuildIndex = Math.min(targetIdx, builds.length - 1);
+        state.build = builds[state.currentBuildIndex];
+        writeState(tx, channelId, state);
+        logBuildSwitch(tx, channelId, previous, state);
+        return state;
+    });
+    broadcastState(channelId);
 
-    builds.splice(targetIdx, 1);
-    if (!builds.length) builds = [defaultBuild()];
-    builds = stripPlaceholder(builds);
-    writeBuilds(builds);
+    res.json({ ok: true, build: state.build, currentBuildIndex: state.currentBuildIndex, total: state.builds.length });
+}));
 
-    state.builds = builds;
-    state.currentBuildIndex = Math.min(targetIdx, builds.length - 1);
-    state.build = builds[state.currentBuildIndex];
-    writeJson(STATE_PATH, state);
-    broadcastState();
+// Index de build ciblé par le body (sinon build courante), borné à la liste
+function targetBuildIndex(rawIndex, state, total) {
+    const idxNum = Number(rawIndex);
+    if (Number.isFinite(idxNum) && rawIndex !== null && rawIndex !== "") {
+        return Math.min(Math.max(0, Math.trunc(idxNum)), total - 1);
+    }
+    return Math.min(Math.max(0, state.currentBuildIndex || 0), total - 1);
+}
+
+/**
+ * Re-sync : re-télécharge la source d'une build (ou de toutes avec { all: true }) et stocke
+ * les différences dans build.pendingUpdate, à accepter ou rejeter depuis la page config.
+ */
+app.post("/build/resync", asyncRoute(async (req, res) => {
+    const channelId = req.auth.channel_id;
+    const all = req.body?.all === true;
+    const before = readBuilds(channelId);
+    const state = ensureBuildState(channelId, readState(channelId));
+    const targets = all ? before.map((_, i) => i) : [targetBuildIndex(req.body?.index, state, before.length)];
+
+    // Téléchargements hors de la file (chacun borné par le timeout de fetchPage), puis écriture dans une
+    // mutation qui relit les builds : une suppression ou un réordonnancement a pu passer pendant les fetch,
+    // la build visée est donc retrouvée par son URL canonique, pas par son index de départ
+    const fetched = [];
+    for (const index of targets) {
+        const stored = before[index];
+        const importer = stored?.url ? findImporter(stored.url) : null;
+        if (!importer) {
+            if (!all) fetched.push({ index, url: stored?.url, title: stored?.title, error: "Build sans URL importable" });
+            continue;
+        }
+        try {
+            fetched.push({ index, url: stored.url, title: stored.title, fresh: await importer.importBuild(stored.url) });
+        } catch (e) {
+            fetched.push({ index, url: stored.url, title: stored.title, error: e.message });
+        }
+    }
+
+    const results = await storage.mutate((tx) => {
+        const builds = readBuilds(channelId);
+        const syncedAt = new Date().toISOString();
+        const results = fetched.map(({ index: fetchedIndex, url, title, fresh, error }) => {
+            if (error) return { index: fetchedIndex, title, error };
+            const index = findBuildByUrl(builds, url);
+            if (index < 0) return { index: fetchedIndex, title, error: "Build supprimée pendant le re-sync" };
+            const stored = builds[index];
+            const changes = diffBuilds(stored, fresh);
+            builds[index] = normalizeBuild({
+                ...stored,
+                lastSyncedAt: syncedAt,
+                pendingUpdate: changes.length ? { fetchedAt: syncedAt, build: fresh, changes } : null
+            });
+            return { index, title, changes };
+        });
+        writeBuilds(tx, channelId, builds);
+        return results;
+    });
+    broadcastState(channelId);
+
+    res.json({ ok: true, results });
+}));
+
+/**
+ * Build visée par accept / discard, lue dans la mutation : par son URL canonique ({ url }, envoyée par la
+ * page config) plutôt que par son index, qui a pu changer depuis l'affichage (doublons fusionnés, build
+ * supprimée ou importée entre-temps). { index } seul reste accepté (scripts, Stream Deck). -1 : introuvable.
+ */
+function resyncTargetIndex(body, state, builds) {
+    if (body?.url) return findBuildByUrl(builds, body.url);
+    return targetBuildIndex(body?.index, state, builds.length);
+}
+
+const RESYNC_TARGET_ERRORS = {
+    missing: "Build introuvable (supprimée ou fusionnée depuis le re-sync ?)",
+    noPending: "Aucune mise à jour en attente pour cette build"
+};
+
+// Applique la version re-téléchargée
+app.post("/build/resync/accept", asyncRoute(async (req, res) => {
+    const channelId = req.auth.channel_id;
+    const result = await storage.mutate((tx) => {
+        const state = ensureBuildState(channelId, readState(channelId));
+        const builds = readBuilds(channelId);
+        const targetIdx = resyncTargetIndex(req.body, state, builds);
+        if (targetIdx < 0) return { error: RESYNC_TARGET_ERRORS.missing };
+        const pending = builds[targetIdx]?.pendingUpdate;
+        if (!pending?.build) return { error: RESYNC_TARGET_ERRORS.noPending };
+
+        // Highlights édités à la main : conservés, sinon on reprend ceux de la nouvelle version
+        const stored = builds[targetIdx];
+        builds[targetIdx] = normalizeBuild({
+            ...pending.build,
+            ...(stored.highlightsCustom ? { highlights: stored.highlights, highlightsCustom: true } : {}),
+            lastSyncedAt: pending.fetchedAt,
+            pendingUpdate: null
+        });
+        writeBuilds(tx, channelId, builds);
+
+        state.builds = builds;
+        state.build = builds[state.currentBuildIndex] || defaultBuild();
+        writeState(tx, channelId, state);
+        return { build: builds[targetIdx], index: targetIdx };
+    });
+    if (result.error) return res.status(400).json({ error: result.error });
+    broadcastState(channelId);
+
+    res.json({ ok: true, ...result });
+}));
+
+// Ignore la version re-téléchargée (la build enregistrée reste inchangée)
+app.post("/build/resync/discard", asyncRoute(async (req, res) => {
+    const channelId = req.auth.channel_id;
+    const result = await storage.mutate((tx) => {
+        const state = ensureBuildState(channelId, readState(channelId));
+        const builds = readBuilds(channelId);
+        const targetIdx = resyncTargetIndex(req.body, state, builds);
+        if (targetIdx < 0) return { error: RESYNC_TARGET_ERRORS.missing };
+        if (!builds[targetIdx]?.pendingUpdate) return { error: RESYNC_TARGET_ERRORS.noPending };
+
+        builds[targetIdx] = normalizeBuild({ ...builds[targetIdx], pendingUpdate: null });
+        writeBuilds(tx, channelId, builds);
+        return { build: builds[targetIdx], index: targetIdx };
+    });
+    if (result.error) return res.status(400).json({ error: result.error });
+    broadcastState(channelId);
+
+    res.json({ ok: true, ...result });
+}));
+
+// Fusionne les doublons (même URL canonique) de la bibliothèque
+app.post("/build/dedupe", asyncRoute(async (req, res) => {
+    const channelId = req.auth.channel_id;
+    const { state, removed } = await storage.mutate((tx) => {
+        const state = ensureBuildState(channelId, readState(channelId));
+        const merged = dedupeBuilds(readBuilds(channelId), state.currentBuildIndex);
+        if (merged.removed) {
+            const builds = stripPlaceholder(merged.builds);
+            writeBuilds(tx, channelId, builds);
+            state.builds = builds;
+            state.currentBuildIndex = Math.min(merged.currentIndex, builds.length - 1);
+            state.build = builds[state.currentBuildIndex];
+            writeState(tx, channelId, state);
+        }
+        return { state, removed: merged.removed };
+    });
+    if (removed) broadcastState(channelId);
+
+    res.json({ ok: true, removed, currentBuildIndex: state.currentBuildIndex, total: state.builds.length });
+}));
 
-    res.json({ ok: true, build: state.build, currentBuildIndex: state.currentBuildIndex, total: builds.length });
+// Erreur levée par une route synchrone (ex. document illisible sans snapshot, voir lib/storage.mjs) : JSON aussi
+app.use((err, req, res, next) => {
+    if (res.headersSent) return next(err);
+    console.error(`[http] ${req.method} ${req.path} failed:`, err.message);
+    res.status(err.status || 500).json({ error: err.message });
 });
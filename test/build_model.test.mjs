@@ -0,0 +1,55 @@
+// Doublons de builds : URL canonique, fusion et recalage de la build courante
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { canonicalBuildUrl, dedupeBuilds, findBuildByUrl, normalizeBuild } from "../lib/build_model.mjs";
+
+const build = (title, url, extra = {}) => normalizeBuild({ source: "maxroll", title, url, ...extra });
+
+test("URL canonique : sans query, sans / final, hôte sans www, fragment gardé", () => {
+    assert.equal(canonicalBuildUrl("https://WWW.Maxroll.gg/d4/planner/abc/?utm=x#2"), "https://maxroll.gg/d4/planner/abc#2");
+    assert.equal(findBuildByUrl([build("a", "https://maxroll.gg/d4/planner/abc#2")], "https://www.maxroll.gg/d4/planner/abc/#2"), 0);
+    assert.equal(findBuildByUrl([build("a", "https://maxroll.gg/d4/planner/abc#2")], "https://maxroll.gg/d4/planner/abc#3"), -1);
+});
+
+test("la version la plus récente prend la place de la première, currentIndex recalé", () => {
+    const builds = [
+        build("A v1", "https://maxroll.gg/d4/planner/aaa"),
+        build("B", "https://mobalytics.gg/diablo-4/builds/bbb"),
+        build("A v2", "https://www.maxroll.gg/d4/planner/aaa/"),
+        build("C", "https://d4builds.gg/builds/ccc")
+    ];
+
+    // Courante = C (index 3) : décalée d'un cran par la suppression du doublon
+    const merged = dedupeBuilds(builds, 3);
+    assert.deepEqual(merged.builds.map((b) => b.title), ["A v2", "B", "C"]);
+    assert.equal(merged.removed, 1);
+    assert.equal(merged.currentIndex, 2);
+
+    // Courante = le doublon supprimé (index 2) : recalée sur l'entrée fusionnée
+    assert.equal(dedupeBuilds(builds, 2).currentIndex, 0);
+    assert.equal(dedupeBuilds(builds, 1).currentIndex, 1);
+});
+
+test("carte Stuff éditée à la main sur l'ancienne entrée : conservée", () => {
+    const custom = [{ slot: "Helm", item: "Harlequin Crest", rarity: "mythic", aspect: "" }];
+    const builds = [
+        build("A v1", "https://maxroll.gg/d4/planner/aaa", { highlights: custom, highlightsCustom: true }),
+        build("A v2", "https://maxroll.gg/d4/planner/aaa", { gear: [{ slot: "Gloves", aspect: "Aspect of Ancestral Force" }] })
+    ];
+
+    const [kept] = dedupeBuilds(builds, 0).builds;
+    assert.equal(kept.title, "A v2");
+    assert.equal(kept.highlightsCustom, true);
+    assert.deepEqual(kept.highlights, custom);
+    // Le reste vient bien de la version récente
+    assert.deepEqual(kept.gear.map((g) => g.aspect), ["Aspect of Ancestral Force"]);
+});
+
+test("sans doublon : liste inchangée", () => {
+    const builds = [build("A", "https://maxroll.gg/d4/planner/aaa"), build("Manuelle", "")];
+    const merged = dedupeBuilds(builds, 1);
+
+    assert.deepEqual(merged.builds, builds);
+    assert.equal(merged.removed, 0);
+    assert.equal(merged.currentIndex, 1);
+});
@@ -0,0 +1,204 @@
+// Bot de chat contre un faux serveur IRC local (TCP en clair) : commandes, cooldowns, permissions
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import net from "node:net";
+import { createChatBot, parseIrcLine } from "../lib/twitch_chat.mjs";
+import { createChatHandler, parseChatCommand, parseChatCooldowns } from "../lib/chat_commands.mjs";
+import { defaultPermissions, isAllowed } from "../lib/permissions.mjs";
+
+const NOW = Date.parse("2026-01-01T20:00:00Z");
+const nowSec = NOW / 1000;
+
+const view = () => ({
+    build: { title: "HotA Barbarian", url: "https://maxroll.gg/d4/planner/abc" },
+    builds: [{ title: "HotA Barbarian", url: "https://maxroll.gg/d4/planner/abc" }],
+    counters: { deaths: 4 },
+    counterDefs: [{ name: "deaths", label: "Morts", icon: "☠️" }],
+    objectives: [],
+    timeline: [
+        { type: "helltide", title: "Helltide", zone: "Kehjistan", startTs: nowSec - 600, endTs: nowSec + 2700 },
+        { type: "legion", title: "Légion", zone: "", startTs: nowSec + 300, endTs: nowSec + 600 },
+        { type: "world_boss", title: "World Boss: Avarice", zone: "Fractured Peaks", startTs: nowSec + 1800, endTs: nowSec + 2700, estimated: true }
+    ]
+});
+
+/**
+ * Faux irc.chat.twitch.tv : enregistre les lignes du bot, répond 001 après NICK.
+ * chat(line) envoie une ligne au bot ; replies(n) attend n PRIVMSG du bot.
+ */
+async function fakeIrc(t) {
+    const lines = [];
+    const waiters = [];
+    let client = null;
+    const wake = () => waiters.splice(0).forEach((fn) => fn());
+    const server = net.createServer((socket) => {
+        client = socket;
+        let buffer = "";
+        socket.setEncoding("utf8");
+        socket.on("data", (chunk) => {
+            buffer += chunk;
+            const parts = buffer.split("\r\n");
+            buffer = parts.pop();
+            for (const line of parts) {
+                lines.push(line);
+                if (line.startsWith("NICK ")) socket.write(":tmi.twitch.tv 001 d4bot :Welcome, GLHF!\r\n");
+            }
+            wake();
+        });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    t.after(() => {
+        client?.destroy();
+        server.close();
+    });
+
+    const until = async (predicate) => {
+        while (!predicate()) await new Promise((resolve) => waiters.push(resolve));
+    };
+    const replies = () => lines.filter((l) => l.startsWith("PRIVMSG ")).map((l) => parseIrcLine(l).params[1]);
+    return {
+        port: server.address().port,
+        lines,
+        until,
+        replies,
+        waitReplies: (count) => until(() => replies().length >= count),
+        chat: (line) => client.write(`${line}\r\n`)
+    };
+}
+
+// Bot + handler branchés sur le faux serveur ; compteurs et permissions en mémoire
+async function startBot(t, { cooldowns } = {}) {
+    const irc = await fakeIrc(t);
+    const state = view();
+    const clock = { now: NOW };
+    const updates = [];
+    const handler = createChatHandler({
+        channels: new Map([["streamer", "123"]]),
+        readView: () => state,
+        canEdit: (channelId, role) => isAllowed(role, "counters.edit", defaultPermissions()),
+        updateCounter: async (channelId, name, op) => {
+            if (!(name in state.counters)) return null;
+            updates.push({ channelId, name, op });
+            state.counters[name] += op === "inc" ? 1 : -1;
+            return state.counters[name];
+        },
+        say: (channel, text) => bot.say(channel, text),
+        cooldowns: parseChatCooldowns(cooldowns),
+        now: () => clock.now
+    });
+    const bot = createChatBot({
+        host: "127.0.0.1",
+        port: irc.port,
+        secure: false,
+        username: "D4Bot",
+        token: "abc123",
+        channels: ["#Streamer"],
+        onMessage: handler,
+        minIntervalMs: 0
+    });
+    t.after(() => bot.stop());
+    bot.start();
+    await irc.until(() => irc.lines.includes("JOIN #streamer"));
+    return { irc, clock, updates, state };
+}
+
+const privmsg = (login, text, tags = "") => `${tags ? `@${tags} ` : ""}:${login}!${login}@${login}.tmi.twitch.tv PRIVMSG #streamer :${text}`;
+const pause = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("parseChatCommand : lecture, compteurs, raccourcis et +/-", () => {
+    assert.deepEqual(parseChatCommand("!build"), { command: "build", cooldown: "build" });
+    assert.deepEqual(parseChatCommand("!Events stp"), { command: "events", cooldown: "events" });
+    assert.deepEqual(parseChatCommand("!wb"), { command: "wb", cooldown: "wb" });
+    assert.deepEqual(parseChatCommand("!uniques"), { command: "counter", name: "uniques", op: null, cooldown: "counter" });
+    assert.deepEqual(parseChatCommand("!death+"), { command: "counter", name: "deaths", op: "inc", cooldown: "mod" });
+    assert.deepEqual(parseChatCommand("!unique-"), { command: "counter", name: "uniques", op: "dec", cooldown: "mod" });
+    assert.equal(parseChatCommand("gg !build"), null);
+    assert.equal(parseChatCommand("!"), null);
+});
+
+test("parseChatCooldowns : surcharge par clé, valeurs invalides ignorées", () => {
+    const cooldowns = parseChatCooldowns("build=10, events=0,wb=abc,inconnu=5");
+    assert.equal(cooldowns.build, 10);
+    assert.equal(cooldowns.events, 0);
+    assert.equal(cooldowns.wb, 30);
+    assert.equal("inconnu" in cooldowns, false);
+});
+
+test("connexion : capacités, auth oauth:, NICK en minuscules, JOIN ; PING -> PONG", async (t) => {
+    const { irc } = await startBot(t);
+
+    assert.deepEqual(irc.lines.slice(0, 4), ["CAP REQ :twitch.tv/tags twitch.tv/commands", "PASS oauth:abc123", "NICK d4bot", "JOIN #streamer"]);
+    irc.chat("PING :tmi.twitch.tv");
+    await irc.until(() => irc.lines.includes("PONG :tmi.twitch.tv"));
+});
+
+test("!build, !wb et !events répondent depuis l'état de la chaîne", async (t) => {
+    const { irc } = await startBot(t);
+
+    irc.chat(privmsg("viewer1", "!build"));
+    irc.chat(privmsg("viewer1", "!wb"));
+    irc.chat(privmsg("viewer1", "!events"));
+    await irc.waitReplies(3);
+
+    assert.deepEqual(irc.replies(), [
+        "Build actuelle : HotA Barbarian — https://maxroll.gg/d4/planner/abc",
+        "World Boss: Avarice dans 30 min (20:30 UTC) — Fractured Peaks (horaire estimé)",
+        "Events : Helltide en cours, encore 45 min — Kehjistan · Légion dans 5 min (20:05 UTC) · World Boss: Avarice dans 30 min (20:30 UTC) — Fractured Peaks (horaire estimé)"
+    ]);
+});
+
+test("cooldown par commande : une seule réponse dans la fenêtre, à nouveau après", async (t) => {
+    const { irc, clock } = await startBot(t, { cooldowns: "events=60" });
+
+    irc.chat(privmsg("viewer1", "!events"));
+    irc.chat(privmsg("viewer2", "!events"));
+    // Autre commande : son propre cooldown
+    irc.chat(privmsg("viewer2", "!build"));
+    await irc.waitReplies(2);
+    await pause(50);
+    assert.equal(irc.replies().filter((r) => r.startsWith("Events")).length, 1);
+
+    clock.now += 61_000;
+    irc.chat(privmsg("viewer3", "!events"));
+    await irc.waitReplies(3);
+    assert.match(irc.replies()[2], /^Events : /);
+});
+
+test("!death+ : refusé aux viewers, accepté pour modos et broadcaster", async (t) => {
+    const { irc, clock, updates } = await startBot(t);
+
+    irc.chat(privmsg("viewer1", "!death+"));
+    irc.chat(privmsg("viewer1", "!death+", "badges=subscriber/12;mod=0"));
+    await pause(50);
+    assert.deepEqual(updates, []);
+    assert.deepEqual(irc.replies(), []);
+
+    irc.chat(privmsg("modo", "!death+", "badges=moderator/1;mod=1"));
+    await irc.waitReplies(1);
+    assert.deepEqual(updates, [{ channelId: "123", name: "deaths", op: "inc" }]);
+    assert.equal(irc.replies()[0], "☠️ Morts : 5");
+
+    // Deuxième modo qui compte la même mort : absorbé par le cooldown "mod"
+    irc.chat(privmsg("modo2", "!death+", "mod=1"));
+    await pause(50);
+    assert.equal(updates.length, 1);
+
+    clock.now += 5_000;
+    irc.chat(privmsg("streamer", "!death-"));
+    await irc.waitReplies(2);
+    assert.equal(irc.replies()[1], "☠️ Morts : 4");
+});
+
+test("compteur inconnu ou chaîne non suivie : pas de réponse", async (t) => {
+    const { irc, updates } = await startBot(t);
+
+    irc.chat(privmsg("modo", "!mana+", "mod=1"));
+    irc.chat(privmsg("viewer1", "!mana"));
+    irc.chat(":viewer1!viewer1@viewer1.tmi.twitch.tv PRIVMSG #autre :!build");
+    irc.chat(privmsg("viewer1", "!deaths"));
+    await irc.waitReplies(1);
+    await pause(50);
+
+    assert.deepEqual(updates, []);
+    assert.deepEqual(irc.replies(), ["☠️ Morts : 4"]);
+});
@@ -0,0 +1,52 @@
+// Import d4builds hors ligne : page enregistrée dans test/fixtures (__NEXT_DATA__ réduit à la build)
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { matchesD4Builds, parseD4BuildsHtml } from "../lib/importers/d4builds.mjs";
+import { cleanTitle } from "../lib/importers/build_parser.mjs";
+
+const BUILD_URL = "https://d4builds.gg/builds/0b9c6f1e";
+
+const fixture = (name) => fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf-8");
+
+test("__NEXT_DATA__ : titre, compétences, stuff, gemmes et parangon", () => {
+    const build = parseD4BuildsHtml(fixture("d4builds-build.html"), BUILD_URL);
+
+    assert.equal(build.source, "d4builds");
+    assert.equal(build.url, BUILD_URL);
+    // Mot répété volontairement dans le titre : gardé
+    assert.equal(build.title, "Boom Boom Corpse Explosion Necromancer");
+    assert.equal(build.author, "Wudijo");
+    assert.equal(build.updatedOn, "Dec 27, 2025");
+    assert.equal(build.class, "Necromancer");
+    assert.equal(build.season, "Season 11");
+    assert.deepEqual(build.skills, [
+        { name: "Decompose", slot: "1" },
+        { name: "Bone Spear", slot: "2" },
+        { name: "Corpse Explosion", slot: "3" }
+    ]);
+    assert.deepEqual(build.gear, [
+        { slot: "Helm", item: "Harlequin Crest", rarity: "mythic", aspect: "", affixes: ["Maximum Life", "Cooldown Reduction"], tempers: ["Ultimate Efficiency"] },
+        { slot: "Chest Armor", item: "", rarity: "legendary", aspect: "Aspect of Grasping Veins", affixes: ["Armor"], tempers: [] },
+        { slot: "Amulet", item: "", rarity: "legendary", aspect: "Aspect of Serration", affixes: [], tempers: [] }
+    ]);
+    assert.deepEqual(build.gems, ["Royal Skull", "Royal Emerald"]);
+    assert.deepEqual(build.paragon, [
+        { board: "Starting Board", glyph: "Essence" },
+        { board: "Bone Graft", glyph: "Golem" }
+    ]);
+});
+
+test("cleanTitle : doublon collé du fil d'Ariane retiré, répétitions légitimes gardées", () => {
+    assert.equal(cleanTitle("Diablo 4Diablo 4 Barbarian HotA Build Guide"), "Diablo 4 Barbarian HotA Build Guide");
+    assert.equal(cleanTitle("BuildsBuilds  Bone Spear"), "Builds Bone Spear");
+    assert.equal(cleanTitle("Boom Boom Barbarian"), "Boom Boom Barbarian");
+    assert.equal(cleanTitle("Ice Ice Baby Frozen Orb"), "Ice Ice Baby Frozen Orb");
+    assert.equal(cleanTitle("Bash Bashing Barbarian"), "Bash Bashing Barbarian");
+});
+
+test("URL reconnue : page /builds/<id> uniquement", () => {
+    assert.equal(matchesD4Builds(BUILD_URL), true);
+    assert.equal(matchesD4Builds("https://www.d4builds.gg/builds/0b9c6f1e?var=1"), true);
+    assert.equal(matchesD4Builds("https://d4builds.gg/database/uniques"), false);
+});
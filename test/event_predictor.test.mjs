@@ -0,0 +1,93 @@
+// Planning de secours : extrapolation à horloge fixe (nowMs en paramètre), sans réseau
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EVENT_INTERVALS_MS, fallbackSchedule, predictStarts, scheduleAnchors } from "../lib/event_predictor.mjs";
+import { EVENT_DURATIONS_MS } from "../lib/events.mjs";
+
+const at = (iso) => new Date(iso).getTime();
+const iso = (ms) => new Date(ms).toISOString();
+const HOUR = 3_600_000;
+
+const starts = (type, anchor, now, horizonMs = 3 * HOUR) =>
+    predictStarts(at(anchor), EVENT_INTERVALS_MS[type], EVENT_DURATIONS_MS[type], at(now), at(now) + horizonMs).map(iso);
+
+test("intervalles de rotation : World Boss 210 min, Légion 25 min, Helltide 60 min", () => {
+    assert.equal(EVENT_INTERVALS_MS.world_boss, 210 * 60_000);
+    assert.equal(EVENT_INTERVALS_MS.legion, 25 * 60_000);
+    assert.equal(EVENT_INTERVALS_MS.helltide, 60 * 60_000);
+});
+
+test("World Boss : +3 h 30 depuis l'ancre, passage au jour suivant", () => {
+    assert.deepEqual(starts("world_boss", "2026-01-01T20:30:00Z", "2026-01-01T23:50:00Z"), ["2026-01-02T00:00:00.000Z"]);
+    // En cours (15 min) : gardé tant qu'il n'est pas terminé
+    assert.deepEqual(starts("world_boss", "2026-01-01T20:30:00Z", "2026-01-02T00:10:00Z"), ["2026-01-02T00:00:00.000Z"]);
+    assert.deepEqual(starts("world_boss", "2026-01-01T20:30:00Z", "2026-01-02T00:16:00Z"), []);
+});
+
+test("Légion : toutes les 25 min, occurrence terminée sautée, passage de minuit", () => {
+    assert.deepEqual(starts("legion", "2026-01-01T23:10:00Z", "2026-01-01T23:50:00Z", HOUR), [
+        "2026-01-02T00:00:00.000Z",
+        "2026-01-02T00:25:00.000Z",
+        "2026-01-02T00:50:00.000Z"
+    ]);
+    // 23:35 encore en cours à 23:38 (5 min)
+    assert.deepEqual(starts("legion", "2026-01-01T23:10:00Z", "2026-01-01T23:38:00Z", 30 * 60_000), [
+        "2026-01-01T23:35:00.000Z",
+        "2026-01-02T00:00:00.000Z"
+    ]);
+});
+
+test("Helltide : toutes les heures, en cours 55 min, passage d'heure et de jour", () => {
+    assert.deepEqual(starts("helltide", "2026-01-01T22:00:00Z", "2026-01-01T23:50:00Z"), [
+        "2026-01-01T23:00:00.000Z",
+        "2026-01-02T00:00:00.000Z",
+        "2026-01-02T01:00:00.000Z",
+        "2026-01-02T02:00:00.000Z"
+    ]);
+    // 23:55 : la Helltide de 23:00 est finie, la suivante démarre à minuit
+    assert.deepEqual(starts("helltide", "2026-01-01T22:00:00Z", "2026-01-01T23:56:00Z", HOUR), ["2026-01-02T00:00:00.000Z"]);
+});
+
+test("dernier planning vieux de deux jours : rattrapage sans lister le passé", () => {
+    assert.deepEqual(starts("world_boss", "2026-01-01T00:00:00Z", "2026-01-03T00:05:00Z"), ["2026-01-03T01:00:00.000Z"]);
+});
+
+test("events réels connus : gardés tels quels, extrapolation seulement après le dernier", () => {
+    const now = at("2026-01-01T23:50:00Z");
+    const last = {
+        world_boss: [{ startTime: "2026-01-02T00:00:00Z", name: "Avarice", zone: [{ name: "Fractured Peaks" }] }],
+        legion: [],
+        helltide: [
+            { startTime: "2026-01-01T22:00:00Z" },
+            { startTime: "2026-01-01T23:00:00Z", endTime: "2026-01-01T23:55:00Z" },
+            { startTime: "2026-01-02T00:00:00Z" }
+        ]
+    };
+
+    const schedule = fallbackSchedule(last, now, 2 * HOUR);
+
+    // Réels : pas marqués estimés ; la Helltide terminée de 22:00 disparaît
+    assert.deepEqual(schedule.world_boss, [last.world_boss[0]]);
+    assert.deepEqual(schedule.helltide, [
+        last.helltide[1],
+        last.helltide[2],
+        { startTime: "2026-01-02T01:00:00.000Z", estimated: true }
+    ]);
+    // Type absent du dernier planning : rien d'inventé
+    assert.deepEqual(schedule.legion, []);
+    assert.equal(scheduleAnchors(last).legion, null);
+});
+
+test("planning réel qui couvre déjà l'horizon : aucune occurrence estimée", () => {
+    const now = at("2026-01-01T12:59:30Z");
+    const last = {
+        world_boss: [{ startTime: "2026-01-01T14:00:00Z" }],
+        legion: [{ startTime: "2026-01-01T13:05:00Z" }, { startTime: "2026-01-01T13:30:00Z" }],
+        helltide: [{ startTime: "2026-01-01T13:00:00Z" }]
+    };
+
+    const schedule = fallbackSchedule(last, now, 30 * 60_000);
+
+    assert.deepEqual(schedule, last);
+    assert.equal(Object.values(schedule).flat().some((evt) => evt.estimated), false);
+});
@@ -0,0 +1,95 @@
+// Diff JSON Patch du serveur, rejoué par applyJsonPatch côté client (public/ws_client.js chargé dans vm)
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import vm from "node:vm";
+import { diffJson } from "../lib/json_patch.mjs";
+
+const client = vm.createContext({});
+vm.runInContext(fs.readFileSync(new URL("../public/ws_client.js", import.meta.url), "utf-8"), client);
+const { applyJsonPatch } = client;
+
+// Patch du serveur, passé par JSON comme sur le WebSocket, appliqué par le client sur l'état précédent :
+// doit redonner l'état suivant tel que le client l'aurait reçu en entier
+const wire = (value) => JSON.parse(JSON.stringify(value));
+
+function roundTrip(previous, next) {
+    const ops = diffJson(previous, next);
+    assert.deepEqual(applyJsonPatch(wire(previous), wire(ops)), wire(next));
+    return ops;
+}
+
+const view = () => ({
+    counters: { deaths: 4, uniques: 1 },
+    objectives: [{ id: "a", text: "Uber Lilith", done: false }, { id: "b", text: "Pit 100", done: false }],
+    build: { title: "HotA Barbarian", highlights: [{ slot: "Helm", item: "Harlequin Crest" }] },
+    nowIso: null,
+    timeline: [{ type: "legion", startTs: 100 }]
+});
+
+test("états identiques : aucun patch", () => {
+    assert.deepEqual(diffJson(view(), view()), []);
+});
+
+test("replace : scalaire d'objet imbriqué et élément de tableau", () => {
+    const next = view();
+    next.counters.deaths = 5;
+    next.objectives[1].done = true;
+    next.build.highlights[0].item = "Shako";
+
+    assert.deepEqual(roundTrip(view(), next), [
+        { op: "replace", path: "/counters/deaths", value: 5 },
+        { op: "replace", path: "/objectives/1/done", value: true },
+        { op: "replace", path: "/build/highlights/0/item", value: "Shako" }
+    ]);
+});
+
+test("add / remove : clés d'objets imbriqués, y compris dans un tableau", () => {
+    const next = view();
+    delete next.counters.uniques;
+    next.counters.runes = 0;
+    next.objectives[0].doneAt = "2026-01-01T20:00:00Z";
+    delete next.build.highlights[0].slot;
+
+    assert.deepEqual(roundTrip(view(), next), [
+        { op: "remove", path: "/counters/uniques" },
+        { op: "add", path: "/counters/runes", value: 0 },
+        { op: "add", path: "/objectives/0/doneAt", value: "2026-01-01T20:00:00Z" },
+        { op: "remove", path: "/build/highlights/0/slot" }
+    ]);
+});
+
+test("tableau redimensionné : remplacé en entier", () => {
+    const next = view();
+    next.objectives.push({ id: "c", text: "Tormented Duriel", done: false });
+    next.timeline = [];
+
+    assert.deepEqual(roundTrip(view(), next), [
+        { op: "replace", path: "/objectives", value: next.objectives },
+        { op: "replace", path: "/timeline", value: [] }
+    ]);
+});
+
+test("changement de type, null, clés à échapper (~ et /)", () => {
+    const previous = { ...view(), layout: { "a/b": 1, "c~d": [1, 2] } };
+    const next = { ...view(), nowIso: "2026-01-01T20:00:00.000Z", build: null, layout: { "a/b": 2, "c~d": { x: 1 } } };
+
+    assert.deepEqual(roundTrip(previous, next), [
+        { op: "replace", path: "/build", value: null },
+        { op: "replace", path: "/nowIso", value: "2026-01-01T20:00:00.000Z" },
+        { op: "replace", path: "/layout/a~1b", value: 2 },
+        { op: "replace", path: "/layout/c~0d", value: { x: 1 } }
+    ]);
+});
+
+test("undefined ignoré comme en JSON : ni add ni remove parasite", () => {
+    const previous = { counters: { deaths: 1 }, session: undefined };
+    const next = { counters: { deaths: 1 }, session: undefined, poll: undefined };
+
+    assert.deepEqual(diffJson(previous, next), []);
+    assert.deepEqual(roundTrip({ a: 1, b: 2 }, { a: 1, b: undefined }), [{ op: "remove", path: "/b" }]);
+});
+
+test("chemin vide : document entier remplacé", () => {
+    assert.deepEqual(roundTrip([1, 2], { counters: {} }), [{ op: "replace", path: "", value: { counters: {} } }]);
+});
@@ -0,0 +1,64 @@
+// Import Maxroll hors ligne : réponses de l'API profiles du planner enregistrées dans test/fixtures
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { parseMaxrollProfile } from "../lib/importers/maxroll.mjs";
+
+const PLANNER_URL = "https://maxroll.gg/d4/planner/abc123";
+
+const fixture = (name) => JSON.parse(fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf-8"));
+
+test("profil choisi par l'ancre, noms fournis par le planner", () => {
+    const build = parseMaxrollProfile(fixture("maxroll-profile.json"), `${PLANNER_URL}#2`);
+
+    assert.equal(build.source, "maxroll");
+    assert.equal(build.title, "Barbarian HotA Endgame");
+    assert.equal(build.updatedOn, "Dec 27, 2025");
+    assert.equal(build.class, "Barbarian");
+    assert.equal(build.season, "Season 11");
+    assert.deepEqual(build.skills, [
+        { name: "Lunging Strike", slot: "1" },
+        { name: "Hammer of the Ancients", slot: "2" }
+    ]);
+    assert.deepEqual(build.gear, [
+        { slot: "Helm", item: "Harlequin Crest", rarity: "unique", aspect: "", affixes: ["Maximum Life"], tempers: ["Ultimate Efficiency"] },
+        { slot: "Gloves", item: "", rarity: "legendary", aspect: "Aspect of Ancestral Force", affixes: ["Attack Speed"], tempers: [] },
+        { slot: "Amulet", item: "", rarity: "unique", aspect: "", affixes: [], tempers: [] }
+    ]);
+    assert.deepEqual(build.gems, ["Royal Skull"]);
+    assert.deepEqual(build.paragon, [
+        { board: "Starting Board", glyph: "" },
+        { board: "Hemorrhage", glyph: "" }
+    ]);
+});
+
+test("identifiants sans nom : listés dans unresolved, jamais de pseudo-nom", () => {
+    const build = parseMaxrollProfile(fixture("maxroll-profile.json"), `${PLANNER_URL}#2`);
+
+    assert.deepEqual(
+        [...build.unresolved].sort(),
+        ["2077", "Amulet_Unique_Barb_100", "Barbarian_RallyingCry", "Gloves_Legendary_Generic_003", "Rare_020_Barb"]
+    );
+    const texts = JSON.stringify([build.skills, build.gear, build.gems, build.paragon, build.highlights]);
+    assert.doesNotMatch(texts, /Amulet Unique|Rallying ?Cry|Rare 020|Gloves Legendary/);
+    // Carte Stuff : seulement les lignes avec un nom réel
+    assert.deepEqual(build.highlights.map((h) => h.item || h.aspect), ["Harlequin Crest", "Aspect of Ancestral Force"]);
+});
+
+test("sans ancre : premier profil", () => {
+    const build = parseMaxrollProfile(fixture("maxroll-profile.json"), PLANNER_URL);
+
+    assert.deepEqual(build.skills.map((s) => s.name), ["Lunging Strike"]);
+    assert.deepEqual(build.gear.map((g) => g.slot), ["Helm", "Gloves"]);
+});
+
+test("réponse sans aucun nom lisible : import refusé avec une erreur explicite", () => {
+    assert.throws(
+        () => parseMaxrollProfile(fixture("maxroll-profile-ids-only.json"), "https://maxroll.gg/d4/planner/def456"),
+        { message: "Maxroll : aucun nom lisible dans la réponse du planner (4 identifiants non résolus), import annulé" }
+    );
+});
+
+test("champ data illisible : erreur « format du planner modifié »", () => {
+    assert.throws(() => parseMaxrollProfile({ data: "{pas du json" }, PLANNER_URL), /Maxroll : champ data illisible/);
+});
@@ -0,0 +1,68 @@
+// Import Mobalytics hors ligne : pages enregistrées dans test/fixtures (données embarquées réduites à la build)
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { parseMobalyticsHtml } from "../lib/importers/mobalytics.mjs";
+
+const BUILD_URL = "https://mobalytics.gg/diablo-4/builds/barbarian-hota";
+
+const fixture = (name) => fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf-8");
+
+test("cache Apollo : méta, compétences, stuff, gemmes et parangon (références résolues)", () => {
+    const build = parseMobalyticsHtml(fixture("mobalytics-apollo.html"), BUILD_URL);
+
+    assert.equal(build.source, "mobalytics");
+    assert.equal(build.url, BUILD_URL);
+    // Préfixe doublé par le fil d'Ariane retiré
+    assert.equal(build.title, "Diablo 4 Barbarian HotA Build Guide");
+    assert.equal(build.author, "Maxa");
+    assert.equal(build.updatedOn, "Dec 27, 2025");
+    assert.equal(build.class, "Barbarian");
+    assert.equal(build.season, "Season 11");
+    assert.deepEqual(build.skills, [
+        { name: "Lunging Strike", slot: "1" },
+        { name: "Hammer of the Ancients", slot: "2" },
+        { name: "Rallying Cry", slot: "3" }
+    ]);
+    assert.deepEqual(build.gear, [
+        { slot: "helm", item: "Harlequin Crest", rarity: "mythic", aspect: "", affixes: ["Maximum Life", "Cooldown Reduction"], tempers: ["Ultimate Efficiency"] },
+        { slot: "gloves", item: "", rarity: "legendary", aspect: "Aspect of Ancestral Force", affixes: ["Attack Speed"], tempers: [] },
+        { slot: "weapon", item: "The Grandfather", rarity: "unique", aspect: "", affixes: [], tempers: [] }
+    ]);
+    assert.deepEqual(build.gems, ["Royal Skull"]);
+    assert.deepEqual(build.paragon, [
+        { board: "Starting Board", glyph: "" },
+        { board: "Hemorrhage", glyph: "Ire" }
+    ]);
+    // Carte Stuff dérivée du stuff importé
+    assert.deepEqual(build.highlights.map((h) => h.item || h.aspect), ["Harlequin Crest", "Aspect of Ancestral Force", "The Grandfather"]);
+});
+
+test("__NEXT_DATA__ : autres noms de champs (creator, lastUpdated, equipment...)", () => {
+    const build = parseMobalyticsHtml(fixture("mobalytics-next-data.html"), BUILD_URL);
+
+    assert.equal(build.title, "Sorcerer Ball Lightning Build Guide");
+    assert.equal(build.author, "Rob");
+    assert.equal(build.updatedOn, "Dec 27, 2025");
+    assert.equal(build.class, "Sorcerer");
+    assert.deepEqual(build.skills.map((s) => s.name), ["Spark", "Ball Lightning"]);
+    assert.deepEqual(build.gear.map((g) => [g.slot, g.item, g.rarity, g.aspect]), [
+        ["Amulet", "Ring of Starless Skies", "unique", ""],
+        ["Chest", "", "legendary", "Aspect of Static Cling"]
+    ]);
+    assert.deepEqual(build.paragon.map((p) => p.board), ["Starting Board", "Static Surge"]);
+});
+
+test("page sans données embarquées : erreur explicite « mise en page modifiée »", () => {
+    assert.throws(
+        () => parseMobalyticsHtml(fixture("mobalytics-no-data.html"), BUILD_URL),
+        { message: "Mobalytics : aucune donnée JSON embarquée dans la page (mise en page modifiée ?)" }
+    );
+});
+
+test("données embarquées sans nœud de build : erreur explicite, pas de build vide", () => {
+    assert.throws(
+        () => parseMobalyticsHtml(fixture("mobalytics-unknown-structure.html"), BUILD_URL),
+        /Mobalytics : build introuvable dans les données de la page \(mise en page modifiée \?\)/
+    );
+});
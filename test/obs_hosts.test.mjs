@@ -0,0 +1,21 @@
+// Pilotage OBS depuis un EBS partagé : adresses privées ou locales refusées
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { assertPublicObsHost, isPrivateAddress } from "../lib/obs_websocket.mjs";
+
+test("boucle locale, réseaux privés, lien local et métadonnées cloud : privés", () => {
+    for (const ip of ["127.0.0.1", "10.1.2.3", "172.20.0.1", "192.168.1.10", "169.254.169.254", "100.64.0.1", "0.0.0.0", "::1", "fe80::1", "fd00::1", "::ffff:10.0.0.1"]) {
+        assert.equal(isPrivateAddress(ip), true, ip);
+    }
+});
+
+test("adresses publiques acceptées", () => {
+    for (const ip of ["8.8.8.8", "172.32.0.1", "2606:4700::1111"]) {
+        assert.equal(isPrivateAddress(ip), false, ip);
+    }
+});
+
+test("hôte IP privé refusé sans résolution DNS", async () => {
+    await assert.rejects(assertPublicObsHost("169.254.169.254"), /Hôte OBS refusé : "169\.254\.169\.254"/);
+    await assert.doesNotReject(assertPublicObsHost("1.1.1.1"));
+});
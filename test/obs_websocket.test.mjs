@@ -0,0 +1,109 @@
+// Client obs-websocket contre un faux serveur OBS local : handshake, authentification, requêtes, hôtes refusés
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { WebSocketServer } from "ws";
+import { createObsClient, obsAuthResponse, publicOnlyLookup } from "../lib/obs_websocket.mjs";
+
+const AUTH = { salt: "c2FsdA==", challenge: "Y2hhbGxlbmdl" };
+
+/**
+ * Faux OBS 28+ : Hello avec défi si password, Identified ou fermeture 4009, réponses op 7 aux requêtes.
+ * scene : scène courante, modifiée par SetCurrentProgramScene.
+ */
+async function fakeObs(t, { password = "" } = {}) {
+    const wss = new WebSocketServer({ host: "127.0.0.1", port: 0 });
+    await new Promise((resolve) => wss.once("listening", resolve));
+    const obs = { port: wss.address().port, connections: 0, identify: null, requests: [], scene: "Jeu" };
+    wss.on("connection", (socket) => {
+        obs.connections++;
+        const hello = { obsWebSocketVersion: "5.5.0", rpcVersion: 1 };
+        if (password) hello.authentication = AUTH;
+        socket.send(JSON.stringify({ op: 0, d: hello }));
+        socket.on("message", (raw) => {
+            const { op, d } = JSON.parse(String(raw));
+            if (op === 1) {
+                obs.identify = d;
+                if (password && d.authentication !== obsAuthResponse(password, AUTH)) return socket.close(4009, "Authentication failed.");
+                socket.send(JSON.stringify({ op: 2, d: { negotiatedRpcVersion: 1 } }));
+            } else if (op === 6) {
+                obs.requests.push(d);
+                const ok = d.requestType === "SetCurrentProgramScene" || d.requestType === "GetCurrentProgramScene";
+                if (d.requestType === "SetCurrentProgramScene") obs.scene = d.requestData.sceneName;
+                socket.send(JSON.stringify({
+                    op: 7,
+                    d: {
+                        requestType: d.requestType,
+                        requestId: d.requestId,
+                        requestStatus: ok ? { result: true, code: 100 } : { result: false, code: 204, comment: "Unknown request type" },
+                        responseData: d.requestType === "GetCurrentProgramScene" ? { currentProgramSceneName: obs.scene } : undefined
+                    }
+                }));
+            }
+        });
+    });
+    t.after(() => {
+        for (const client of wss.clients) client.terminate();
+        wss.close();
+    });
+    return obs;
+}
+
+function startClient(t, options) {
+    const client = createObsClient(options);
+    t.after(() => client.stop());
+    t.mock.method(console, "log", () => {});
+    t.mock.method(console, "warn", () => {});
+    client.start();
+    return client;
+}
+
+async function waitStatus(client, expected) {
+    for (let i = 0; i < 200 && client.status().status !== expected; i++) await new Promise((resolve) => setTimeout(resolve, 10));
+    assert.equal(client.status().status, expected);
+}
+
+test("handshake avec mot de passe : Identify authentifié, puis requêtes corrélées", async (t) => {
+    const obs = await fakeObs(t, { password: "s3cret" });
+    const client = startClient(t, { host: "127.0.0.1", port: obs.port, password: "s3cret" });
+
+    await waitStatus(client, "connected");
+    assert.deepEqual(obs.identify, { rpcVersion: 1, eventSubscriptions: 0, authentication: obsAuthResponse("s3cret", AUTH) });
+
+    assert.deepEqual(await client.request("SetCurrentProgramScene", { sceneName: "Mort" }), {});
+    assert.deepEqual(await client.request("GetCurrentProgramScene"), { currentProgramSceneName: "Mort" });
+    await assert.rejects(client.request("Nope"), /Nope : Unknown request type/);
+    assert.deepEqual(obs.requests.map((r) => r.requestId), ["1", "2", "3"]);
+});
+
+test("mot de passe refusé (4009) : statut auth_failed, requêtes rejetées", async (t) => {
+    const obs = await fakeObs(t, { password: "s3cret" });
+    const client = startClient(t, { host: "127.0.0.1", port: obs.port, password: "faux" });
+
+    await waitStatus(client, "auth_failed");
+    assert.equal(client.status().error, "Mot de passe obs-websocket refusé");
+    await assert.rejects(client.request("GetCurrentProgramScene"), /OBS non connecté/);
+});
+
+test("publicOnly : IP locale ou nom résolu en local refusés avant toute connexion", async (t) => {
+    const obs = await fakeObs(t);
+
+    const literal = startClient(t, { host: "127.0.0.1", port: obs.port, publicOnly: true });
+    const named = startClient(t, { host: "localhost", port: obs.port, publicOnly: true });
+
+    await waitStatus(literal, "disconnected");
+    assert.match(literal.status().error, /Hôte OBS refusé : "127\.0\.0\.1"/);
+    await waitStatus(named, "disconnected");
+    assert.match(named.status().error, /Hôte OBS refusé : "localhost" \((127\.0\.0\.1|::1)\)/);
+    assert.equal(obs.connections, 0);
+});
+
+test("DNS rebinding : chaque résolution est revérifiée, la socket reçoit l'adresse vérifiée", async () => {
+    // Premier lookup public, le suivant pointe vers le réseau interne
+    const answers = [[{ address: "93.184.216.34", family: 4 }], [{ address: "10.0.0.5", family: 4 }]];
+    const lookup = publicOnlyLookup((hostname, options, callback) => callback(null, answers.shift()));
+    const resolve = (options) => new Promise((done) => lookup("obs.example.net", options, (err, ...result) => done({ err, result })));
+
+    assert.deepEqual(await resolve({}), { err: null, result: ["93.184.216.34", 4] });
+    const second = await resolve({ all: true });
+    assert.match(second.err.message, /Hôte OBS refusé : "obs\.example\.net" \(10\.0\.0\.5\)/);
+});
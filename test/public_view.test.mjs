@@ -0,0 +1,60 @@
+// État servi aux viewers : build courante seulement, rien de ce qui ne sert qu'au broadcaster
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeBuild } from "../lib/build_model.mjs";
+import { PRIVATE_BUILD_KEYS, PRIVATE_STATE_KEYS, publicBuild, publicView } from "../lib/public_view.mjs";
+
+const build = (title) => normalizeBuild({
+    source: "maxroll",
+    title,
+    url: `https://maxroll.gg/d4/planner/${title}`,
+    gear: [{ slot: "Helm", item: "Harlequin Crest", rarity: "mythic" }],
+    highlightsCustom: true,
+    lastSyncedAt: "2026-01-01T00:00:00.000Z",
+    unresolved: ["Amulet_Unique_Barb_100"],
+    pendingUpdate: { fetchedAt: "2026-01-01T00:00:00.000Z", build: { title: `${title} v2` }, changes: [{ field: "title" }] }
+});
+
+const view = () => ({
+    counters: { deaths: 3 },
+    builds: [build("a"), build("b")],
+    currentBuildIndex: 1,
+    build: build("b"),
+    permissions: { moderator: ["counters.edit"], viewer: [] },
+    alertRules: [{ id: "wb-5", type: "world_boss", minutesBefore: 5 }],
+    overlayLayout: [{ id: "build", visible: true, scale: 100, opacity: null }],
+    theme: { id: "classic" }
+});
+
+test("la projection publique retire la bibliothèque et les réglages du broadcaster", () => {
+    const out = publicView(view());
+
+    for (const key of PRIVATE_STATE_KEYS) assert.equal(key in out, false, key);
+    for (const key of PRIVATE_BUILD_KEYS) assert.equal(key in out.build, false, `build.${key}`);
+    assert.equal(out.buildsTotal, 2);
+    assert.equal(out.build.title, "b");
+    assert.deepEqual(out.build.highlights, [{ slot: "Helm", item: "Harlequin Crest", rarity: "mythic", aspect: "" }]);
+    assert.deepEqual(out.counters, { deaths: 3 });
+});
+
+test("aucune donnée de travail du broadcaster dans le JSON envoyé aux viewers", () => {
+    const payload = JSON.stringify(publicView(view()));
+
+    assert.doesNotMatch(payload, /pendingUpdate|highlightsCustom|lastSyncedAt|unresolved|permissions|alertRules|overlayLayout/);
+    assert.doesNotMatch(payload, /b v2/);
+});
+
+test("la build parcourue (GET /builds/:index) est nettoyée de la même façon", () => {
+    const out = publicBuild(build("a"));
+
+    for (const key of PRIVATE_BUILD_KEYS) assert.equal(key in out, false, key);
+    assert.equal(out.title, "a");
+});
+
+test("l'état d'origine n'est pas modifié (la projection complète reste diffusée aux modos)", () => {
+    const full = view();
+    publicView(full);
+
+    assert.equal(full.builds.length, 2);
+    assert.ok(full.build.pendingUpdate);
+});
@@ -0,0 +1,38 @@
+// Bilan de session : progression des compteurs malgré les resets et corrections
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { summarizeSession } from "../lib/sessions.mjs";
+
+const counter = (name, op, from, to) => ({ type: "counter", name, op, from, to });
+
+const session = (log) => ({
+    id: "s1",
+    startedAt: "2026-01-01T20:00:00.000Z",
+    endedAt: "2026-01-01T22:00:00.000Z",
+    log
+});
+
+test("un reset ouvre un nouveau segment au lieu de retirer des morts", () => {
+    const summary = summarizeSession(session([
+        counter("deaths", "inc", 5, 6),
+        counter("deaths", "inc", 6, 7),
+        counter("deaths", "reset", 7, 0),
+        counter("deaths", "inc", 0, 1),
+        counter("uniques", "reset", 3, 0)
+    ]), 0);
+
+    assert.deepEqual(summary.totals, { deaths: 3, uniques: 0 });
+    assert.deepEqual(summary.perHour, { deaths: 1.5, uniques: 0 });
+});
+
+test("un -1 de correction annule le +1, un « set » vers le bas repart de la nouvelle valeur", () => {
+    const summary = summarizeSession(session([
+        counter("deaths", "inc", 0, 1),
+        counter("deaths", "dec", 1, 0),
+        counter("deaths", "set", 0, 10),
+        counter("deaths", "set", 10, 4),
+        counter("deaths", "inc", 4, 5)
+    ]), 0);
+
+    assert.equal(summary.totals.deaths, 11);
+});
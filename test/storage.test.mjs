@@ -0,0 +1,153 @@
+// Stockage fichiers : écriture atomique, snapshots, récupération d'un fichier abîmé, file des mutations
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createJsonFileBackend, createStorage } from "../lib/storage.mjs";
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "d4-storage-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+const readJson = (file) => JSON.parse(fs.readFileSync(file, "utf-8"));
+const corruptCopies = (dir, name) => fs.readdirSync(dir).filter((f) => f.startsWith(`${name}.json.corrupt-`));
+
+// Les messages [storage] attendus ne polluent pas la sortie des tests
+function quiet(t) {
+    t.mock.method(console, "warn", () => {});
+    t.mock.method(console, "error", () => {});
+}
+
+test("écriture atomique et rotation des snapshots <fichier>.N.bak", (t) => {
+    const dir = tempDir(t);
+    const backend = createJsonFileBackend({ dir, snapshots: 2 });
+
+    for (const version of [1, 2, 3]) backend.write("channels/1/state", { version });
+
+    const file = path.join(dir, "channels/1/state.json");
+    assert.deepEqual(readJson(file), { version: 3 });
+    assert.deepEqual(readJson(`${file}.1.bak`), { version: 2 });
+    assert.deepEqual(readJson(`${file}.2.bak`), { version: 1 });
+    assert.equal(fs.existsSync(`${file}.3.bak`), false);
+    // Aucun fichier temporaire laissé derrière le rename
+    assert.deepEqual(fs.readdirSync(path.dirname(file)).filter((f) => f.endsWith(".tmp")), []);
+});
+
+test("JSON tronqué : mis de côté et restauré depuis le dernier snapshot valide", (t) => {
+    quiet(t);
+    const dir = tempDir(t);
+    const backend = createJsonFileBackend({ dir, snapshots: 3 });
+    backend.write("state", { counters: { deaths: 4 } });
+    backend.write("state", { counters: { deaths: 5 } });
+    const file = path.join(dir, "state.json");
+    fs.writeFileSync(file, '{ "counters": { "dea');
+
+    assert.deepEqual(backend.read("state"), { counters: { deaths: 4 } });
+    assert.deepEqual(readJson(file), { counters: { deaths: 4 } });
+    const [aside] = corruptCopies(dir, "state");
+    assert.equal(fs.readFileSync(path.join(dir, aside), "utf-8"), '{ "counters": { "dea');
+});
+
+test("JSON tronqué sans snapshot : erreur, copie .corrupt gardée, jamais d'état vide", async (t) => {
+    quiet(t);
+    const dir = tempDir(t);
+    const backend = createJsonFileBackend({ dir, snapshots: 0 });
+    const file = path.join(dir, "state.json");
+    fs.writeFileSync(file, '{ "counters": { "dea');
+    const storage = createStorage({ backend });
+
+    assert.throws(() => storage.read("state", { counters: {} }), /state\.json illisible .* aucun snapshot valide/);
+    // Deuxième lecture : même erreur, pas de nouvelle copie, fichier d'origine toujours là
+    assert.throws(() => storage.read("state", { counters: {} }), /aucun snapshot valide/);
+    assert.equal(corruptCopies(dir, "state").length, 1);
+    assert.equal(fs.readFileSync(file, "utf-8"), '{ "counters": { "dea');
+
+    // Une mutation qui lit l'état abîmé échoue sans rien écrire
+    await assert.rejects(storage.mutate((tx) => {
+        tx.write("state", storage.read("state", { counters: {} }));
+    }), /aucun snapshot valide/);
+    assert.equal(fs.readFileSync(file, "utf-8"), '{ "counters": { "dea');
+});
+
+test("snapshots tous abîmés : erreur plutôt qu'un retour à vide", (t) => {
+    quiet(t);
+    const dir = tempDir(t);
+    const backend = createJsonFileBackend({ dir, snapshots: 2 });
+    const file = path.join(dir, "state.json");
+    fs.writeFileSync(file, "{");
+    fs.writeFileSync(`${file}.1.bak`, "[1,");
+
+    assert.throws(() => backend.read("state"), /aucun snapshot valide/);
+});
+
+test("mutations concurrentes (async) : exécutées l'une après l'autre, aucune perdue", async (t) => {
+    const dir = tempDir(t);
+    const storage = createStorage({ backend: createJsonFileBackend({ dir }) });
+
+    await Promise.all(Array.from({ length: 20 }, (_, i) => storage.mutate(async (tx) => {
+        const counters = tx.read("counters", { deaths: 0 });
+        // Fetch simulé au milieu de la lecture-modification-écriture
+        await new Promise((resolve) => setTimeout(resolve, i % 3));
+        tx.write("counters", { deaths: counters.deaths + 1 });
+    })));
+
+    assert.deepEqual(storage.read("counters"), { deaths: 20 });
+    assert.deepEqual(readJson(path.join(dir, "counters.json")), { deaths: 20 });
+});
+
+test("erreur dans une mutation : ses écritures sont annulées, la file continue", async (t) => {
+    const dir = tempDir(t);
+    const storage = createStorage({ backend: createJsonFileBackend({ dir }) });
+    await storage.mutate((tx) => tx.write("state", { deaths: 1 }));
+
+    await assert.rejects(storage.mutate((tx) => {
+        tx.write("build", [{ title: "nouvelle" }]);
+        tx.write("state", { deaths: 2 });
+        throw new Error("import KO");
+    }), /import KO/);
+
+    assert.deepEqual(storage.read("state"), { deaths: 1 });
+    assert.equal(storage.read("build"), undefined);
+    assert.equal(fs.existsSync(path.join(dir, "build.json")), false);
+    assert.equal(await storage.mutate((tx) => tx.read("state").deaths), 1);
+});
+
+test("plusieurs documents d'une mutation : écrits ensemble, journal supprimé", async (t) => {
+    const dir = tempDir(t);
+    const storage = createStorage({ backend: createJsonFileBackend({ dir }) });
+
+    await storage.mutate((tx) => {
+        tx.write("channels/1/build", [{ title: "A" }]);
+        // Lecture dans la même mutation : voit l'écriture en attente
+        assert.deepEqual(tx.read("channels/1/build"), [{ title: "A" }]);
+        tx.write("channels/1/state", { currentBuildIndex: 0 });
+    });
+
+    assert.deepEqual(readJson(path.join(dir, "channels/1/build.json")), [{ title: "A" }]);
+    assert.deepEqual(readJson(path.join(dir, "channels/1/state.json")), { currentBuildIndex: 0 });
+    assert.equal(fs.existsSync(path.join(dir, ".journal.json")), false);
+});
+
+test("crash entre deux fichiers : le journal est rejoué au démarrage", (t) => {
+    quiet(t);
+    const dir = tempDir(t);
+    const first = createJsonFileBackend({ dir });
+    first.write("channels/1/build", [{ title: "A" }]);
+    first.write("channels/1/state", { currentBuildIndex: 0, builds: [{ title: "A" }] });
+    // Crash simulé : journal écrit, build.json à jour, state.json pas encore
+    const entries = [
+        ["channels/1/build", [{ title: "A" }, { title: "B" }]],
+        ["channels/1/state", { currentBuildIndex: 1, builds: [{ title: "A" }, { title: "B" }] }]
+    ];
+    fs.writeFileSync(path.join(dir, ".journal.json"), JSON.stringify(entries));
+    first.write("channels/1/build", entries[0][1]);
+
+    const backend = createJsonFileBackend({ dir });
+
+    assert.deepEqual(backend.read("channels/1/build"), entries[0][1]);
+    assert.deepEqual(backend.read("channels/1/state"), entries[1][1]);
+    assert.equal(fs.existsSync(path.join(dir, ".journal.json")), false);
+});
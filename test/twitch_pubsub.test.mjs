@@ -0,0 +1,97 @@
+// Push PubSub contre un faux endpoint Twitch local (http://127.0.0.1:<port>)
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { createPubSub } from "../lib/twitch_pubsub.mjs";
+import { verifyExtensionJwt } from "../lib/twitch_jwt.mjs";
+
+const SECRET = Buffer.from("pubsub-test-secret").toString("base64");
+
+// Faux endpoint : garde chaque requête reçue (en-têtes, corps, message décodé, heure d'arrivée)
+async function fakePubSub(t) {
+    const received = [];
+    const waiters = [];
+    const server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => (body += chunk));
+        req.on("end", () => {
+            const json = JSON.parse(body);
+            received.push({ at: Date.now(), headers: req.headers, body: json, message: JSON.parse(json.message) });
+            res.writeHead(204).end();
+            waiters.splice(0).forEach((wake) => wake());
+        });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    t.after(() => server.close());
+
+    const until = async (count) => {
+        while (received.length < count) await new Promise((resolve) => waiters.push(resolve));
+    };
+    const pubsub = createPubSub({ clientId: "client", ownerId: "999", secret: SECRET, url: `http://127.0.0.1:${server.address().port}` });
+    return { pubsub, received, until };
+}
+
+const pause = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("un message par seconde et par chaîne : les états rapprochés sont fusionnés", async (t) => {
+    const { pubsub, received, until } = await fakePubSub(t);
+
+    pubsub.publish("123", { counters: { deaths: 1 } });
+    await until(1);
+    pubsub.publish("123", { counters: { deaths: 2 } });
+    pubsub.publish("123", { counters: { deaths: 3 } });
+    // Autre chaîne : son propre créneau, pas d'attente derrière 123
+    pubsub.publish("456", { counters: { deaths: 7 } });
+    await until(3);
+    await pause(1200);
+
+    const sent123 = received.filter((r) => r.body.broadcaster_id === "123");
+    assert.deepEqual(sent123.map((r) => r.message), [
+        { counters: { deaths: 1 }, seq: 1 },
+        { counters: { deaths: 3 }, seq: 2 }
+    ]);
+    assert.ok(sent123[1].at - sent123[0].at >= 950, `écart ${sent123[1].at - sent123[0].at} ms`);
+    const sent456 = received.find((r) => r.body.broadcaster_id === "456");
+    assert.deepEqual(sent456.message, { counters: { deaths: 7 }, seq: 1 });
+    assert.ok(sent456.at - sent123[0].at < 500);
+});
+
+test("requête signée pour la chaîne visée, topic broadcast", async (t) => {
+    const { pubsub, received, until } = await fakePubSub(t);
+
+    pubsub.publish("123", { counters: {} });
+    await until(1);
+
+    const [{ headers, body }] = received;
+    assert.equal(headers["client-id"], "client");
+    const claims = verifyExtensionJwt(headers.authorization.replace(/^Bearer /, ""), SECRET);
+    assert.equal(claims.role, "external");
+    assert.equal(claims.channel_id, "123");
+    assert.deepEqual(claims.pubsub_perms, { send: ["broadcast"] });
+    assert.deepEqual(body.target, ["broadcast"]);
+});
+
+test("message au-delà de 5 Ko : remplacé par un refetch qui garde la séquence", async (t) => {
+    const { pubsub, received, until } = await fakePubSub(t);
+
+    pubsub.publish("123", { build: { title: "x".repeat(6 * 1024) } });
+    await until(1);
+
+    assert.deepEqual(received[0].message, { type: "refetch", seq: 1 });
+});
+
+test("chaîne non numérique (local, démo) : rien n'est envoyé", async (t) => {
+    const { pubsub, received, until } = await fakePubSub(t);
+
+    pubsub.publish("local", { counters: {} });
+    pubsub.publish("12a", { counters: {} });
+    pubsub.publish("123", { counters: {} });
+    await until(1);
+    await pause(100);
+
+    assert.deepEqual(received.map((r) => r.body.broadcaster_id), ["123"]);
+});
+
+test("sans client id, propriétaire ou secret : désactivé", () => {
+    assert.equal(createPubSub({ clientId: "client", ownerId: "", secret: SECRET }).enabled, false);
+});
@@ -0,0 +1,108 @@
+// Protocole WebSocket : enveloppes serveur, messages client, et suivi côté client (public/ws_client.js chargé dans vm)
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import vm from "node:vm";
+import { WS_PROTOCOL_VERSION, createSequencer, decodeClientMessage, encodeMessage } from "../lib/ws_protocol.mjs";
+
+const client = vm.createContext({});
+vm.runInContext(fs.readFileSync(new URL("../public/ws_client.js", import.meta.url), "utf-8"), client);
+const { createWsReceiver, isWsEnvelope } = client;
+
+// Receiver branché sur des journaux d'appels
+function receiver() {
+    const calls = { states: [], alerts: [], resyncs: 0, versionMismatches: 0 };
+    const rx = createWsReceiver({
+        onState: (view) => calls.states.push(structuredClone(view)),
+        onAlert: (alert) => calls.alerts.push(alert),
+        resync: () => calls.resyncs++,
+        onVersionMismatch: () => calls.versionMismatches++
+    });
+    const send = (type, seq, data) => rx.handle(JSON.parse(encodeMessage(type, seq, data)));
+    return { rx, calls, send };
+}
+
+test("enveloppe serveur : { type, version, seq, data }, type inconnu refusé", () => {
+    assert.deepEqual(JSON.parse(encodeMessage("patch", 3, [{ op: "replace", path: "/counters/deaths", value: 5 }])), {
+        type: "patch",
+        version: WS_PROTOCOL_VERSION,
+        seq: 3,
+        data: [{ op: "replace", path: "/counters/deaths", value: 5 }]
+    });
+    assert.throws(() => encodeMessage("hello", 1, {}), /Type de message WS inconnu : "hello"/);
+});
+
+test("message client : JSON objet avec un type, sinon null", () => {
+    assert.deepEqual(decodeClientMessage('{"type":"resync"}'), { type: "resync" });
+    assert.equal(decodeClientMessage("resync"), null);
+    assert.equal(decodeClientMessage('{"type":1}'), null);
+    assert.equal(decodeClientMessage("null"), null);
+    assert.equal(decodeClientMessage("[]"), null);
+});
+
+test("séquences : une par clé (chaîne et projection), courante sans incrément", () => {
+    const seq = createSequencer();
+    assert.equal(seq.current("1:full"), 0);
+    assert.equal(seq.next("1:full"), 1);
+    assert.equal(seq.next("1:full"), 2);
+    assert.equal(seq.next("1:public"), 1);
+    assert.equal(seq.current("1:full"), 2);
+});
+
+test("côté client : enveloppe mal formée ignorée", () => {
+    assert.equal(isWsEnvelope({ type: "state", version: 1, seq: 0, data: {} }), true);
+    assert.equal(isWsEnvelope({ type: "patch", version: 1, seq: 2, data: {} }), false);
+    assert.equal(isWsEnvelope({ type: "state", version: 1, seq: "2", data: {} }), false);
+    assert.equal(isWsEnvelope({ type: "state", version: 1, seq: 1 }), false);
+    assert.equal(isWsEnvelope({ type: "hello", version: 1, seq: 1, data: {} }), false);
+
+    const { rx, calls } = receiver();
+    rx.handle({ type: "state", version: 1, seq: 1, data: { counters: { deaths: 1 } } });
+    rx.handle({ type: "patch", version: 1, seq: 2, data: { op: "replace" } });
+    rx.handle("state");
+    assert.equal(calls.states.length, 1);
+    assert.equal(calls.resyncs, 0);
+});
+
+test("côté client : version inconnue rejetée, rien n'est appliqué", () => {
+    const { rx, calls, send } = receiver();
+    send("state", 4, { counters: { deaths: 1 } });
+
+    rx.handle({ type: "patch", version: 2, seq: 5, data: [{ op: "replace", path: "/counters/deaths", value: 2 }] });
+    rx.handle({ type: "state", version: 0, seq: 0, data: {} });
+
+    assert.equal(calls.versionMismatches, 2);
+    assert.deepEqual(calls.states, [{ counters: { deaths: 1 } }]);
+});
+
+test("côté client : patchs dans l'ordre appliqués, trou de séquence -> resync jusqu'au prochain state", () => {
+    const { calls, send } = receiver();
+    send("state", 7, { counters: { deaths: 1 } });
+    send("patch", 8, [{ op: "replace", path: "/counters/deaths", value: 2 }]);
+    assert.deepEqual(calls.states.at(-1), { counters: { deaths: 2 } });
+
+    // seq 9 perdu
+    send("patch", 10, [{ op: "replace", path: "/counters/deaths", value: 4 }]);
+    assert.equal(calls.resyncs, 1);
+    // En attente du state : patchs ignorés sans nouvelle demande, alertes toujours affichées
+    send("patch", 11, [{ op: "replace", path: "/counters/deaths", value: 5 }]);
+    send("alert", 12, { type: "world_boss", minutesBefore: 5 });
+    assert.equal(calls.resyncs, 1);
+    assert.equal(calls.states.length, 2);
+    assert.deepEqual(calls.alerts, [{ type: "world_boss", minutesBefore: 5 }]);
+
+    // Le state de resync remet le compteur à niveau
+    send("state", 12, { counters: { deaths: 5 } });
+    send("patch", 13, [{ op: "replace", path: "/counters/deaths", value: 6 }]);
+    assert.deepEqual(calls.states.at(-1), { counters: { deaths: 6 } });
+    assert.equal(calls.resyncs, 1);
+});
+
+test("côté client : patch inapplicable -> resync", () => {
+    const { calls, send } = receiver();
+    send("state", 1, { counters: {} });
+    send("patch", 2, [{ op: "add", path: "/objectives/0/done", value: true }]);
+
+    assert.equal(calls.resyncs, 1);
+    assert.equal(calls.states.length, 1);
+});